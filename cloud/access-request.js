@@ -0,0 +1,109 @@
+const FrostSignature = require('../scripts/frost-crypto');
+const { hasWildcard } = require('./resource-path');
+
+// How far the time a request was signed may be from the gateway's clock
+const MAX_REQUEST_AGE_MS = 5 * 60 * 1000;
+
+// Tags with their keys sorted, so the signed message does not depend on their order
+const sortedTags = (tags) => Object.fromEntries(Object.entries(tags || {}).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+
+/**
+ * The message the FROST group signs to approve an access request: the request's fields as
+ * JSON in a fixed order, bound to one registry. The context is signed too, since policy
+ * conditions on MFA and tags are evaluated against it.
+ * @param {object} request - { registry, resourceId, principalId, action, cloudPrincipalId, issuedAt,
+ * context }; issuedAt is an ISO 8601 timestamp, context is { mfa, principalTags, resourceTags }
+ * @returns {string} - The message
+ */
+function accessRequestMessage({ registry, resourceId, principalId, action, cloudPrincipalId, issuedAt, context = {} }) {
+  return JSON.stringify({
+    type: 'FrostIAM.AccessRequest.v1',
+    registry: String(registry).toLowerCase(),
+    resourceId,
+    principalId,
+    action,
+    cloudPrincipalId: cloudPrincipalId || null,
+    issuedAt,
+    context: {
+      mfa: context.mfa === true,
+      principalTags: sortedTags(context.principalTags),
+      resourceTags: sortedTags(context.resourceTags)
+    }
+  });
+}
+
+/**
+ * Check that an access request names a concrete action and resource. Grant and deny patterns
+ * are matched against the requested action, so a wildcard request such as "s3:*" would pass a
+ * grant of "s3:*" while no deny on a concrete action (e.g. "s3:DeleteObject") matches it. A
+ * wildcard resource such as "bucket/lo*" would be governed by the bucket's policy and issued
+ * as a wildcard covering paths with more specific policies.
+ * @param {object} request - { resourceId, action }
+ * @returns {string|null} - Why the request cannot be evaluated, or null
+ */
+function accessRequestError({ resourceId, action }) {
+  if (/[*?]/.test(action)) {
+    return `Requested action ${action} must not contain wildcards`;
+  }
+  if (hasWildcard(resourceId)) {
+    return `Requested resource ${resourceId} must not contain wildcards`;
+  }
+  return null;
+}
+
+class AccessRequestVerifier {
+  /**
+   * Check the FROST group's signature on access requests. A signature is accepted once, within
+   * maxAgeMs of the time the request was signed.
+   * @param {FrostSignature} [frost] - FROST implementation of the group's ciphersuite
+   * @param {object} [options]
+   * @param {number} [options.maxAgeMs] - How old (or how far in the future) a request may be
+   */
+  constructor(frost = new FrostSignature(), options = {}) {
+    this.frost = frost;
+    this.maxAgeMs = options.maxAgeMs || MAX_REQUEST_AGE_MS;
+
+    // Signatures already accepted, until the requests they approve are too old anyway
+    this.used = new Map();
+  }
+
+  /**
+   * @param {object} request - The signed fields, as for accessRequestMessage
+   * @param {string} signature - Signature as encoded by FrostSignature.serializeSignature
+   * @param {string} groupPublicKey - The group key as encoded by FrostSignature.serializePublicKey
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {object} - { valid, reason }
+   */
+  verify(request, signature, groupPublicKey, now = Date.now()) {
+    const issuedAt = Date.parse(request.issuedAt);
+    if (!Number.isFinite(issuedAt) || Math.abs(now - issuedAt) > this.maxAgeMs) {
+      return { valid: false, reason: 'Request is too old or not yet valid' };
+    }
+
+    let decoded;
+    let groupKey;
+    try {
+      decoded = this.frost.deserializeSignature(signature);
+      groupKey = this.frost.deserializePublicKey(groupPublicKey);
+    } catch (error) {
+      return { valid: false, reason: 'Malformed signature' };
+    }
+    if (!this.frost.verifySignature(accessRequestMessage(request), decoded, groupKey)) {
+      return { valid: false, reason: 'Signature does not match the request' };
+    }
+
+    for (const [used, expiresAt] of this.used) {
+      if (expiresAt <= now) {
+        this.used.delete(used);
+      }
+    }
+    const key = this.frost.serializeSignature(decoded);
+    if (this.used.has(key)) {
+      return { valid: false, reason: 'Signature was already used' };
+    }
+    this.used.set(key, issuedAt + this.maxAgeMs);
+    return { valid: true, reason: null };
+  }
+}
+
+module.exports = { accessRequestMessage, accessRequestError, AccessRequestVerifier, MAX_REQUEST_AGE_MS };
@@ -0,0 +1,12 @@
+// Same semantics as ActionPattern.sol: '*' matches any run of characters and '?' a single
+// character, case-insensitively. Azure actions follow the same rules.
+const actionMatches = (pattern, action) => {
+  const source = pattern.split('').map(c => {
+    if (c === '*') return '.*';
+    if (c === '?') return '.';
+    return c.replace(/[.+^${}()|[\]\\/-]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`, 'is').test(action);
+};
+
+module.exports = { actionMatches };
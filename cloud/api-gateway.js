@@ -1,11 +1,22 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { ethers } = require('ethers');
 const FrostSignature = require('../scripts/frost-crypto');
-const AwsIamConnector = require('./aws-iam-connector');
-const AzureIamConnector = require('./azure-iam-connector');
+const { resourcePathCandidates, resourceKey, principalKey } = require('./resource-path');
+const { loadConditionSets, evaluateConditions } = require('./conditions');
+const { AccessRequestVerifier, accessRequestError } = require('./access-request');
+const { windowEnd } = require('./time-window');
+const RevocationListener = require('./revocation-listener');
+const GrantsLedger = require('./grants-ledger');
+const GrantSweeper = require('./grant-sweeper');
+const AwsIamConnector = require('./aws/aws-iam-connector');
+const AzureIamConnector = require('./azure/azure-iam-connector');
+const GcpIamConnector = require('./gcp/gcp-iam-connector');
+const KubernetesRbacConnector = require('./kubernetes/kubernetes-rbac-connector');
+const { ProviderRegistry, CLOUD_PROVIDERS } = require('./provider-registry');
 
 // Load environment variables
 require('dotenv').config();
@@ -13,12 +24,31 @@ require('dotenv').config();
 // Create instances of cloud connectors and FROST crypto
 const awsConnector = new AwsIamConnector();
 const azureConnector = new AzureIamConnector();
+const gcpConnector = new GcpIamConnector();
+const kubernetesConnector = new KubernetesRbacConnector();
 const frostCrypto = new FrostSignature();
 
+// Access requests must carry the FROST group's signature over the request
+const accessRequestVerifier = new AccessRequestVerifier(frostCrypto);
+
+// Connectors by the cloudProvider code stored in registry policies
+const providers = new ProviderRegistry()
+  .register(CLOUD_PROVIDERS.aws, awsConnector)
+  .register(CLOUD_PROVIDERS.azure, azureConnector)
+  .register(CLOUD_PROVIDERS.gcp, gcpConnector)
+  .register(CLOUD_PROVIDERS.kubernetes, kubernetesConnector);
+const connectorsByName = Object.fromEntries(providers.entries().map(([, connector]) => [connector.provider, connector]));
+
+// Every credential and role assignment handed out, kept across restarts
+const grantsLedger = new GrantsLedger(process.env.GRANTS_LEDGER_PATH || '.grants-ledger.jsonl');
+
 // Initialize the Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Lifetime of just-in-time cloud access (STS sessions last at least 15 minutes)
+const JIT_DURATION_SECONDS = Number(process.env.JIT_DURATION_SECONDS || 900);
+
 // Middleware
 app.use(cors());
 app.use(helmet());
@@ -43,6 +73,19 @@ const accessControlRegistryAbi = require('../artifacts/contracts/AccessControlRe
 // Initialize contracts
 let frostMultiSigContract;
 let accessControlRegistryContract;
+let revocationListener;
+
+// Revocation listener view of a grant from the ledger
+// (the provider details connectors need to revoke it are passed through)
+const issuanceFromGrant = (grant) => ({
+  ...grant,
+  grantId: grant.id,
+  resourceId: grant.policyKey,
+  principalId: grant.principalKey,
+  expiresAt: new Date(grant.expiresAt).getTime(),
+  policyExpiresAt: grant.policyExpiresAt ? new Date(grant.policyExpiresAt).getTime() : null,
+  windowEndsAt: grant.windowEndsAt ? new Date(grant.windowEndsAt).getTime() : null
+});
 
 // Function to initialize contracts with deployed addresses
 const initializeContracts = () => {
@@ -61,6 +104,20 @@ const initializeContracts = () => {
       );
       
       console.log('Smart contracts initialized successfully');
+      
+      // Revoke issued cloud access within seconds of the on-chain permission going away
+      revocationListener = new RevocationListener(
+        accessControlRegistryContract,
+        connectorsByName,
+        {
+          checkpointPath: process.env.REVOCATION_CHECKPOINT_PATH || '.revocation-checkpoint.json',
+          ledger: grantsLedger
+        }
+      );
+      grantsLedger.list({ status: 'active' })
+        .filter(grant => providers.byName(grant.provider)?.revocable)
+        .forEach(grant => revocationListener.track(issuanceFromGrant(grant)));
+      revocationListener.start();
     } else {
       console.warn('Contract addresses not set in environment variables');
     }
@@ -72,6 +129,16 @@ const initializeContracts = () => {
 // Initialize contracts on startup
 initializeContracts();
 
+// Remove what expired grants leave behind in the cloud, including grants issued before a
+// restart, and drop AWS session revocations once the sessions have expired
+const grantSweeper = new GrantSweeper(grantsLedger, connectorsByName);
+grantSweeper.start();
+
+// ABAC condition sets, keyed by the hash policies anchor on-chain
+const conditionSets = process.env.POLICY_CONDITIONS_PATH
+  ? loadConditionSets(process.env.POLICY_CONDITIONS_PATH)
+  : new Map();
+
 // API Routes
 
 // Health check endpoint
@@ -87,7 +154,36 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Get policy information from blockchain
+// Check each registered cloud connector's configuration and credentials
+app.get('/health/providers', async (req, res) => {
+  const results = await Promise.all(providers.entries().map(async ([code, connector]) => ({
+    code,
+    provider: connector.label,
+    ...(await connector.health())
+  })));
+  const isHealthy = results.every(result => result.healthy);
+  res.status(isHealthy ? 200 : 503).json({ status: isHealthy ? 'healthy' : 'degraded', providers: results });
+});
+
+// Find the most specific policy covering a resource by walking up its ARN or Azure scope path.
+// Resolves to null if no policy is attached to the resource or any of its ancestors.
+const findGoverningPolicy = async (resourceId) => {
+  const candidates = resourcePathCandidates(resourceId);
+  const keys = candidates.map(resourceKey);
+  const [found, index] = await accessControlRegistryContract.findResourcePolicy(keys);
+  
+  if (!found) {
+    return null;
+  }
+  
+  return {
+    resourcePath: candidates[Number(index)],
+    resourceIdBytes32: keys[Number(index)],
+    inherited: Number(index) > 0
+  };
+};
+
+// Get the policy governing a resource from blockchain
 app.get('/policies/:resourceId', async (req, res) => {
   try {
     const resourceId = req.params.resourceId;
@@ -96,19 +192,23 @@ app.get('/policies/:resourceId', async (req, res) => {
       return res.status(503).json({ error: 'Contract not initialized' });
     }
     
-    // Convert resource ID to bytes32
-    const resourceIdBytes32 = ethers.encodeBytes32String(resourceId);
+    const governing = await findGoverningPolicy(resourceId);
+    if (!governing) {
+      return res.status(404).json({ error: 'No policy covers this resource' });
+    }
     
     // Query policy from blockchain
-    const policy = await accessControlRegistryContract.resourcePolicies(resourceIdBytes32);
+    const policy = await accessControlRegistryContract.resourcePolicies(governing.resourceIdBytes32);
     
     res.json({
       resourceId,
+      attachedTo: governing.resourcePath,
+      inherited: governing.inherited,
       policy: {
         created: new Date(policy.created * 1000).toISOString(),
         updated: new Date(policy.updated * 1000).toISOString(),
         expiryTime: policy.expiryTime > 0 ? new Date(policy.expiryTime * 1000).toISOString() : null,
-        cloudProvider: ['', 'AWS', 'Azure', 'GCP'][policy.cloudProvider] || 'Unknown',
+        cloudProvider: providers.get(policy.cloudProvider)?.label || 'Unknown',
         requiresFrostSig: policy.requiresFrostSig
       }
     });
@@ -118,34 +218,183 @@ app.get('/policies/:resourceId', async (req, res) => {
   }
 });
 
+// Format a grant's time window from the registry
+const formatTimeWindow = (window) => {
+  const clock = (minute) => `${String(Math.floor(minute / 60)).padStart(2, '0')}:${String(minute % 60).padStart(2, '0')}`;
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const validFrom = Number(window.validFrom);
+  const validUntil = Number(window.validUntil);
+  const dailyStart = Number(window.dailyStartMinute);
+  const dailyEnd = Number(window.dailyEndMinute);
+  const weekdayMask = Number(window.weekdays);
+
+  return {
+    validFrom: validFrom > 0 ? new Date(validFrom * 1000).toISOString() : null,
+    validUntil: validUntil > 0 ? new Date(validUntil * 1000).toISOString() : null,
+    dailyWindowUtc: dailyStart !== dailyEnd ? `${clock(dailyStart)}-${clock(dailyEnd)}` : null,
+    weekdays: weekdayMask > 0 ? weekdays.filter((_, day) => (weekdayMask >> day) & 1) : null
+  };
+};
+
+// Get the permissions granted to a principal on a resource
+app.get('/permissions/:resourceId/:principalId', async (req, res) => {
+  try {
+    const { resourceId, principalId } = req.params;
+
+    if (!accessControlRegistryContract) {
+      return res.status(503).json({ error: 'Contract not initialized' });
+    }
+
+    // Grants are listed for the exact resource path they were attached to
+    const [actions, windows, active] = await accessControlRegistryContract.getPermissionGrants(
+      resourceKey(resourceId),
+      principalKey(principalId)
+    );
+
+    res.json({
+      resourceId,
+      principalId,
+      grants: actions.map((action, i) => ({
+        action,
+        active: active[i],
+        ...formatTimeWindow(windows[i])
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching permissions:', error);
+    res.status(500).json({ error: 'Failed to fetch permissions', details: error.message });
+  }
+});
+
+// Short principal IDs are stored as bytes32 strings; long ones are hashed, so show them as hex
+const decodePrincipalId = (principalIdBytes32) => {
+  try {
+    return ethers.decodeBytes32String(principalIdBytes32);
+  } catch (error) {
+    return principalIdBytes32;
+  }
+};
+
 // Request access to a resource
 app.post('/access/request', async (req, res) => {
   try {
-    const { resourceId, principalId, cloudProvider, action, signature, publicKeys } = req.body;
+    const { resourceId, principalId, cloudProvider, action, signature, issuedAt, context = {}, cloudPrincipalId } = req.body;
     
-    if (!resourceId || !principalId || !action || !signature || !publicKeys) {
+    if (!resourceId || !principalId || !action || !signature || !issuedAt) {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
     
+    // Deny rules and the most specific policy on the path only apply to concrete requests
+    const requestError = accessRequestError({ resourceId, action });
+    if (requestError) {
+      return res.status(400).json({ error: 'Invalid access request', details: requestError });
+    }
+    
     if (!accessControlRegistryContract) {
       return res.status(503).json({ error: 'Contract not initialized' });
     }
     
-    // Convert IDs to bytes32
-    const resourceIdBytes32 = ethers.encodeBytes32String(resourceId);
-    const principalIdBytes32 = ethers.encodeBytes32String(principalId);
+    // The FROST group signs the request (see accessRequestMessage) with the key the registry holds
+    const groupPublicKey = await accessControlRegistryContract.frostGroupPublicKey();
+    if (groupPublicKey === '0x') {
+      return res.status(503).json({ error: 'FROST group key not set in the registry' });
+    }
+    const verification = accessRequestVerifier.verify({
+      registry: process.env.ACCESS_CONTROL_REGISTRY_ADDRESS,
+      resourceId,
+      principalId,
+      action,
+      cloudPrincipalId,
+      issuedAt,
+      context
+    }, signature, groupPublicKey);
+    if (!verification.valid) {
+      return res.status(401).json({ error: 'Invalid FROST signature', details: verification.reason });
+    }
+    
+    const principalIdBytes32 = principalKey(principalId);
+    
+    // Policies attached to a prefix (e.g. an S3 bucket or Azure resource group) apply to
+    // everything below it; the most specific policy on the resource's path decides
+    const governing = await findGoverningPolicy(resourceId);
+    if (!governing) {
+      return res.status(403).json({
+        error: 'Permission denied on blockchain',
+        details: `No policy covers ${resourceId}`
+      });
+    }
+    
+    // Evaluate the requested action against the principal's direct and group rules in the
+    // blockchain registry; explicit deny rules override grants
+    const decision = await accessControlRegistryContract.evaluateAccess(
+      governing.resourceIdBytes32,
+      principalIdBytes32,
+      action
+    );
     
-    // Check if principal has permission in blockchain registry
-    const hasPermission = await accessControlRegistryContract.hasPermission(resourceIdBytes32, principalIdBytes32);
+    if (decision.denied) {
+      return res.status(403).json({
+        error: 'Permission denied on blockchain',
+        details: `${action} on ${resourceId} is explicitly denied`,
+        decidedBy: {
+          type: 'deny',
+          resourcePath: governing.resourcePath,
+          principalId: decodePrincipalId(decision.ruleOwnerId),
+          action: decision.actionPattern
+        }
+      });
+    }
     
-    if (!hasPermission) {
-      return res.status(403).json({ error: 'Permission denied on blockchain' });
+    if (!decision.allowed) {
+      return res.status(403).json({
+        error: 'Permission denied on blockchain',
+        details: `${action} is not granted on ${governing.resourcePath}`
+      });
     }
     
-    // Verify FROST signature (in real implementation, this would be more robust)
-    // For demo purposes, we'll just check if the signature has the correct format
-    if (!signature || typeof signature !== 'string' || signature.length < 10) {
-      return res.status(400).json({ error: 'Invalid signature format' });
+    // Enforce the policy's conditions; only the condition set whose hash is anchored on-chain
+    // applies, so the gateway's copy cannot be changed silently
+    const policy = await accessControlRegistryContract.resourcePolicies(governing.resourceIdBytes32);
+    if (policy.conditionsHash !== ethers.ZeroHash) {
+      const conditions = conditionSets.get(policy.conditionsHash);
+      if (!conditions) {
+        return res.status(403).json({
+          error: 'Policy conditions unavailable',
+          details: `No condition set with hash ${policy.conditionsHash} is loaded`
+        });
+      }
+      
+      // Source IP and time come from the gateway; MFA and tags from the context the FROST group signed
+      const { satisfied, failed } = evaluateConditions(conditions, {
+        sourceIp: req.ip,
+        mfa: context.mfa === true,
+        requestTime: new Date(),
+        principalTags: context.principalTags,
+        resourceTags: context.resourceTags
+      });
+      if (!satisfied) {
+        return res.status(403).json({
+          error: 'Policy conditions not met',
+          details: `Failed conditions: ${failed.join(', ')}`,
+          failedConditions: failed
+        });
+      }
+    }
+    
+    // The policy's provider decides where access is issued; the request's cloudProvider
+    // field, if given, only has to agree with it
+    const connector = providers.get(policy.cloudProvider);
+    if (!connector) {
+      return res.status(400).json({
+        error: 'Unsupported cloud provider',
+        details: `No connector is registered for provider code ${policy.cloudProvider}`
+      });
+    }
+    if (cloudProvider && cloudProvider.toLowerCase() !== connector.provider) {
+      return res.status(400).json({
+        error: 'Cloud provider mismatch',
+        details: `${governing.resourcePath} is governed by a ${connector.label} policy`
+      });
     }
     
     // Create blockchain proof object
@@ -158,57 +407,91 @@ app.post('/access/request', async (req, res) => {
       txHash: ethers.keccak256(ethers.toUtf8Bytes(`${resourceId}:${principalId}:${action}:${Date.now()}`))
     };
     
-    // Validate access on the appropriate cloud provider
-    let accessGranted = false;
-    let credentials = null;
+    const accessGranted = await connector.validateAccess(resourceId, principalId, blockchainProof);
     
-    if (cloudProvider.toUpperCase() === 'AWS') {
-      accessGranted = await awsConnector.validateAccess(
-        resourceId,
-        principalId,
-        blockchainProof
+    if (accessGranted) {
+      const decidedBy = {
+        type: 'grant',
+        resourcePath: governing.resourcePath,
+        inherited: governing.inherited,
+        principalId: decodePrincipalId(decision.ruleOwnerId),
+        viaGroup: decision.ruleOwnerId !== principalIdBytes32,
+        action: decision.actionPattern
+      };
+      const proof = {
+        txHash: blockchainProof.txHash,
+        timestamp: new Date(blockchainProof.timestamp).toISOString()
+      };
+      
+      // When the deciding grant's time window closes before the access expires, the revocation
+      // listener checks the access again
+      const [grantedActions, windows] = await accessControlRegistryContract.getPermissionGrants(
+        governing.resourceIdBytes32,
+        decision.ruleOwnerId
       );
+      const decidingWindow = windows[grantedActions.indexOf(decision.actionPattern)];
+      const issuedAtSeconds = Math.floor(Date.now() / 1000);
+      const windowEndsAt = decidingWindow
+        ? windowEnd(decidingWindow, issuedAtSeconds, issuedAtSeconds + JIT_DURATION_SECONDS)
+        : null;
       
-      if (accessGranted) {
-        // Generate temporary AWS credentials for the allowed resource
-        // This is a simplified implementation
-        credentials = {
-          accessKeyId: 'temporary-access-key-id',
-          secretAccessKey: 'temporary-secret-access-key',
-          sessionToken: 'temporary-session-token',
-          expiresAt: new Date(Date.now() + 3600 * 1000).toISOString()
-        };
+      // Temporary access limited to the requested action where the provider allows it; the
+      // grant's ledger id names it in the cloud so it can be revoked on its own
+      const grantId = crypto.randomUUID();
+      let issued;
+      try {
+        issued = await connector.issueCredentials({
+          grantId,
+          resourceId,
+          principalId,
+          cloudPrincipalId,
+          action,
+          durationSeconds: JIT_DURATION_SECONDS
+        });
+      } catch (error) {
+        console.error(`Error issuing ${connector.label} credentials:`, error);
+        return res.status(502).json({ error: 'Failed to issue cloud credentials', details: error.message });
       }
-    } else if (cloudProvider.toUpperCase() === 'AZURE') {
-      accessGranted = await azureConnector.validateAccess(
+      
+      // A reused Azure role assignment that no grant of the gateway created is standing access;
+      // it stays in place when the grants reusing it end
+      const sharing = issued.grant.reused ? grantsLedger.sharing(issued.grant) : [];
+      const standing = !!issued.grant.reused && (sharing.length === 0 || sharing.some(other => other.standing));
+      
+      // Record the issuance with the registry state that allowed it, then watch for revocation
+      const grant = grantsLedger.record({
+        ...issued.grant,
+        id: grantId,
+        standing,
         resourceId,
+        resourcePath: governing.resourcePath,
         principalId,
-        blockchainProof
-      );
-      
-      if (accessGranted) {
-        // Generate temporary Azure access token
-        // This is a simplified implementation
-        credentials = {
-          accessToken: 'temporary-azure-access-token',
-          expiresAt: new Date(Date.now() + 3600 * 1000).toISOString()
-        };
+        action,
+        policyKey: governing.resourceIdBytes32,
+        principalKey: principalIdBytes32,
+        policyExpiresAt: Number(policy.expiryTime) > 0 ? new Date(Number(policy.expiryTime) * 1000).toISOString() : null,
+        windowEndsAt: windowEndsAt ? new Date(windowEndsAt * 1000).toISOString() : null,
+        proof: {
+          ...proof,
+          registry: process.env.ACCESS_CONTROL_REGISTRY_ADDRESS,
+          blockNumber: await provider.getBlockNumber(),
+          decidedBy
+        }
+      });
+      // The listener only runs once the contracts are initialized
+      if (connector.revocable && revocationListener) {
+        revocationListener.track(issuanceFromGrant(grant));
       }
-    } else {
-      return res.status(400).json({ error: 'Unsupported cloud provider' });
-    }
-    
-    if (accessGranted) {
+      
       res.json({
         status: 'access_granted',
-        provider: cloudProvider,
+        grantId: grant.id,
+        provider: connector.label,
         resourceId,
         principalId,
-        credentials,
-        proof: {
-          txHash: blockchainProof.txHash,
-          timestamp: new Date(blockchainProof.timestamp).toISOString()
-        }
+        credentials: issued.credentials,
+        decidedBy,
+        proof
       });
     } else {
       res.status(403).json({ error: 'Access validation failed' });
@@ -219,45 +502,35 @@ app.post('/access/request', async (req, res) => {
   }
 });
 
-// Create FROST key shares for a group
-app.post('/frost/generate-shares', (req, res) => {
+// List issued grants, optionally for one principal or with one status
+app.get('/grants', (req, res) => {
   try {
-    const { participants, threshold } = req.body;
-    
-    if (!participants || !threshold) {
-      return res.status(400).json({ error: 'Missing required parameters' });
-    }
-    
-    if (participants < 1 || threshold < 1 || threshold > participants) {
-      return res.status(400).json({ 
-        error: 'Invalid parameters', 
-        details: 'Threshold must be between 1 and the number of participants' 
-      });
+    const { principal, status } = req.query;
+    res.json({ grants: grantsLedger.list({ principal, status }) });
+  } catch (error) {
+    console.error('Error listing grants:', error);
+    res.status(500).json({ error: 'Failed to list grants', details: error.message });
+  }
+});
+
+// Get one issued grant
+app.get('/grants/:id', (req, res) => {
+  try {
+    const grant = grantsLedger.get(req.params.id);
+    if (!grant) {
+      return res.status(404).json({ error: 'Grant not found' });
     }
-    
-    // Generate key shares
-    const keyShares = frostCrypto.generateKeyShares(participants, threshold);
-    
-    // Return only the necessary information (keep private shares secure)
-    res.json({
-      groupPublicKey: keyShares.groupPublicKey,
-      publicShares: keyShares.publicShares,
-      threshold: keyShares.threshold,
-      total: keyShares.total,
-      // In a real application, private shares should be distributed securely to participants
-      // For demo purposes, we're returning them here
-      shares: keyShares.shares.map(share => ({ 
-        index: share.index,
-        // In production, don't expose the actual value in the response
-        value: `share_${share.index}_secure_value` 
-      }))
-    });
+    res.json(grant);
   } catch (error) {
-    console.error('Error generating FROST shares:', error);
-    res.status(500).json({ error: 'Failed to generate shares', details: error.message });
+    console.error('Error fetching grant:', error);
+    res.status(500).json({ error: 'Failed to fetch grant', details: error.message });
   }
 });
 
+// FROST key shares are not generated here: a gateway dealing shares would hold the group
+// secret. Signers run the distributed key generation among themselves (DkgParticipant in
+// scripts/frost-crypto.js) and each exports only its own share with exportShare.
+
 // Start the server
 app.listen(PORT, () => {
   console.log(`API Gateway running on port ${PORT}`);
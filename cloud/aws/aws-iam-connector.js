@@ -1,9 +1,34 @@
-const { IAMClient, GetUserCommand, CreateUserCommand, AttachUserPolicyCommand } = require('@aws-sdk/client-iam');
-const { STSClient, AssumeRoleCommand } = require('@aws-sdk/client-sts');
+const {
+  IAMClient,
+  GetUserCommand,
+  CreateUserCommand,
+  AttachUserPolicyCommand,
+  DetachUserPolicyCommand,
+  ListUsersCommand,
+  ListAttachedUserPoliciesCommand,
+  ListUserPoliciesCommand,
+  GetUserPolicyCommand,
+  DeleteUserPolicyCommand,
+  GetPolicyCommand,
+  GetPolicyVersionCommand,
+  GetRolePolicyCommand,
+  PutRolePolicyCommand,
+  DeleteRolePolicyCommand
+} = require('@aws-sdk/client-iam');
+const { STSClient, AssumeRoleCommand, GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
+const { CloudConnector } = require('../cloud-connector');
 require('dotenv').config();
 
-class AwsIamConnector {
+// Inline role policy holding the deny statements of all revoked sessions of the role
+const REVOCATION_POLICY_NAME = 'frost-revoked-sessions';
+
+// IAM limit on the total size of a role's inline policies
+const MAX_INLINE_POLICY_SIZE = 10240;
+
+class AwsIamConnector extends CloudConnector {
   constructor(region = 'us-east-1') {
+    super('aws', 'AWS');
+
     // Initialize IAM client
     this.iamClient = new IAMClient({ 
       region,
@@ -21,6 +46,15 @@ class AwsIamConnector {
         secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
       }
     });
+    
+    // Role assumed for just-in-time access; it must allow everything the registry may grant
+    this.jitRoleArn = process.env.AWS_JIT_ROLE_ARN;
+
+    // STS sessions expire on their own; only revocation entries are cleaned up
+    this.cleanupOnExpiry = false;
+
+    // Revocation policy updates are read-modify-write, so they run one at a time
+    this.revocationUpdates = Promise.resolve();
   }
 
   /**
@@ -79,19 +113,125 @@ class AwsIamConnector {
     }
   }
 
+  /**
+   * Detach a managed policy from a user
+   * @param {string} username - The IAM username
+   * @param {string} policyArn - The policy ARN to detach
+   * @returns {Promise<object>} - Policy detachment result
+   */
+  async detachPolicy(username, policyArn) {
+    try {
+      const command = new DetachUserPolicyCommand({
+        UserName: username,
+        PolicyArn: policyArn
+      });
+      return await this.iamClient.send(command);
+    } catch (error) {
+      console.error('Error detaching policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an inline policy of a user
+   * @param {string} username - The IAM username
+   * @param {string} policyName - The inline policy name
+   * @returns {Promise<object>} - Policy deletion result
+   */
+  async deleteInlinePolicy(username, policyName) {
+    try {
+      const command = new DeleteUserPolicyCommand({
+        UserName: username,
+        PolicyName: policyName
+      });
+      return await this.iamClient.send(command);
+    } catch (error) {
+      console.error('Error deleting inline policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List all IAM users
+   * @returns {Promise<Array>} - Users ({ UserName, Arn, ... })
+   */
+  async listUsers() {
+    try {
+      return await this._paginate(
+        marker => new ListUsersCommand({ Marker: marker }),
+        response => response.Users
+      );
+    } catch (error) {
+      console.error('Error listing users:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the managed and inline policies of a user with their policy documents
+   * @param {string} username - The IAM username
+   * @returns {Promise<Array>} - Policies ({ type: 'managed'|'inline', policyName, policyArn, document })
+   */
+  async getUserPolicies(username) {
+    try {
+      const attached = await this._paginate(
+        marker => new ListAttachedUserPoliciesCommand({ UserName: username, Marker: marker }),
+        response => response.AttachedPolicies
+      );
+      const inlineNames = await this._paginate(
+        marker => new ListUserPoliciesCommand({ UserName: username, Marker: marker }),
+        response => response.PolicyNames
+      );
+
+      const policies = [];
+      for (const { PolicyName, PolicyArn } of attached) {
+        const { Policy } = await this.iamClient.send(new GetPolicyCommand({ PolicyArn }));
+        const { PolicyVersion } = await this.iamClient.send(new GetPolicyVersionCommand({
+          PolicyArn,
+          VersionId: Policy.DefaultVersionId
+        }));
+        policies.push({
+          type: 'managed',
+          policyName: PolicyName,
+          policyArn: PolicyArn,
+          document: this._parsePolicyDocument(PolicyVersion.Document)
+        });
+      }
+      for (const policyName of inlineNames) {
+        const response = await this.iamClient.send(new GetUserPolicyCommand({
+          UserName: username,
+          PolicyName: policyName
+        }));
+        policies.push({
+          type: 'inline',
+          policyName,
+          policyArn: null,
+          document: this._parsePolicyDocument(response.PolicyDocument)
+        });
+      }
+
+      return policies;
+    } catch (error) {
+      console.error('Error getting user policies:', error);
+      throw error;
+    }
+  }
+
   /**
    * Generate temporary credentials using STS
    * @param {string} roleArn - The role ARN to assume
    * @param {string} sessionName - Name for the temporary session
    * @param {number} durationSeconds - Duration of the temporary credentials
+   * @param {object} [sessionPolicy] - Session policy further restricting the role's permissions
    * @returns {Promise<object>} - Temporary credentials
    */
-  async assumeRole(roleArn, sessionName, durationSeconds = 3600) {
+  async assumeRole(roleArn, sessionName, durationSeconds = 3600, sessionPolicy = null) {
     try {
       const command = new AssumeRoleCommand({
         RoleArn: roleArn,
         RoleSessionName: sessionName,
-        DurationSeconds: durationSeconds
+        DurationSeconds: durationSeconds,
+        ...(sessionPolicy && { Policy: JSON.stringify(sessionPolicy) })
       });
       
       const response = await this.stsClient.send(command);
@@ -108,39 +248,254 @@ class AwsIamConnector {
   }
   
   /**
-   * Validate an access request against blockchain-based IAM
+   * Generate temporary credentials that only allow one action on one resource. The role's
+   * permissions are intersected with a session policy for the requested access.
+   * @param {string} roleArn - The role ARN to assume; it must allow at least the requested access
+   * @param {string} grantId - ID of the grant the credentials are issued for; every grant gets
+   * its own role session name so it can be revoked on its own
    * @param {string} resourceArn - ARN of the resource
-   * @param {string} principalId - ID of the principal requesting access
-   * @param {object} blockchainProof - Proof from blockchain
-   * @returns {Promise<boolean>} - Whether access is granted
+   * @param {string} action - The granted action, e.g. "s3:GetObject"
+   * @param {number} durationSeconds - Duration of the temporary credentials (900 or more)
+   * @returns {Promise<object>} - Temporary credentials
    */
-  async validateAccess(resourceArn, principalId, blockchainProof) {
+  async assumeRoleForResource(roleArn, grantId, resourceArn, action, durationSeconds = 900) {
+    const sessionPolicy = {
+      Version: '2012-10-17',
+      Statement: [{
+        Effect: 'Allow',
+        Action: [action],
+        Resource: [resourceArn]
+      }]
+    };
+    const sessionName = this._sessionName(grantId);
+    const credentials = await this.assumeRole(roleArn, sessionName, durationSeconds, sessionPolicy);
+    return { ...credentials, sessionName };
+  }
+
+  /**
+   * Revoke a role session that was already issued by denying everything to it until its
+   * credentials expire. The deny is added to the role's single revocation policy; entries of
+   * sessions that have expired are dropped on every update.
+   * @param {string} roleArn - ARN of the assumed role
+   * @param {string} sessionName - Role session name, as returned by assumeRoleForResource
+   * @param {Date} expiresAt - When the session's credentials expire
+   * @returns {Promise<void>}
+   */
+  async revokeRoleSessions(roleArn, sessionName, expiresAt) {
     try {
-      // Verify the blockchain proof is valid
-      if (!blockchainProof || !blockchainProof.signature) {
-        return false;
+      await this._updateRevocationPolicy(roleArn, statements => [
+        ...statements.filter(statement => statement.Sid !== this._revocationSid(sessionName)),
+        {
+          Sid: this._revocationSid(sessionName),
+          Effect: 'Deny',
+          Action: '*',
+          Resource: '*',
+          Condition: {
+            StringLike: { 'aws:userid': `*:${sessionName}` },
+            DateLessThan: { 'aws:CurrentTime': new Date(expiresAt).toISOString() }
+          }
+        }
+      ]);
+    } catch (error) {
+      console.error('Error revoking role sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop the revocation entries of sessions that have expired
+   * @param {Date} [now]
+   * @param {string} [roleArn] - ARN of the role; defaults to the just-in-time role
+   * @returns {Promise<void>}
+   */
+  async pruneRevocations(now = new Date(), roleArn = this.jitRoleArn) {
+    if (!roleArn) {
+      return;
+    }
+    try {
+      await this._updateRevocationPolicy(roleArn, statements => statements, now);
+    } catch (error) {
+      console.error('Error pruning role session revocations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue STS credentials limited to the requested action and resource
+   * @param {object} request - { grantId, resourceId, principalId, action, durationSeconds }
+   * @returns {Promise<object>} - { credentials, grant }
+   */
+  async issueCredentials({ grantId, resourceId, action, durationSeconds }) {
+    if (!this.jitRoleArn) {
+      throw new Error('AWS_JIT_ROLE_ARN is not configured');
+    }
+    if (!grantId) {
+      throw new Error('A grant ID is required to name the role session');
+    }
+    const session = await this.assumeRoleForResource(this.jitRoleArn, grantId, resourceId, action, durationSeconds);
+    
+    return {
+      credentials: {
+        accessKeyId: session.accessKeyId,
+        secretAccessKey: session.secretAccessKey,
+        sessionToken: session.sessionToken,
+        expiresAt: new Date(session.expiration).toISOString()
+      },
+      grant: {
+        provider: this.provider,
+        expiresAt: session.expiration,
+        roleArn: this.jitRoleArn,
+        sessionName: session.sessionName
       }
-      
-      // Extract resource type from ARN
-      const resourceType = this._getResourceTypeFromArn(resourceArn);
-      
-      // Log the validation attempt for audit
-      console.log(`[AWS] Validating access to ${resourceType}:${resourceArn} for ${principalId}`);
-      console.log(`[AWS] Blockchain proof transaction: ${blockchainProof.txHash}`);
-      
-      // In a production environment, validate against blockchain state
-      // For this implementation, we'll assume the proof is valid if it contains expected fields
-      return (
-        blockchainProof.resourceId && 
-        blockchainProof.principalId === principalId &&
-        blockchainProof.timestamp > Date.now() - 300000 // Valid for 5 minutes
-      );
+    };
+  }
+  
+  /**
+   * Revoke the role session of a grant
+   * @param {object} grant - { roleArn, sessionName, expiresAt }
+   * @returns {Promise<void>}
+   */
+  async revoke(grant) {
+    await this.revokeRoleSessions(grant.roleArn, grant.sessionName, grant.expiresAt);
+  }
+  
+  /**
+   * List the managed and inline policies of all users
+   * @returns {Promise<Array>} - Assignments ({ id, principalId, role, scope })
+   */
+  async listAssignments() {
+    const assignments = [];
+    for (const user of await this.listUsers()) {
+      for (const policy of await this.getUserPolicies(user.UserName)) {
+        const role = policy.policyArn || policy.policyName;
+        assignments.push({ id: `${user.UserName}/${role}`, principalId: user.Arn, role, scope: null });
+      }
+    }
+    return assignments;
+  }
+  
+  /**
+   * Check the configured credentials with STS
+   * @returns {Promise<object>} - { healthy, details }
+   */
+  async health() {
+    if (!this.jitRoleArn) {
+      return { healthy: false, details: 'AWS_JIT_ROLE_ARN is not configured' };
+    }
+    try {
+      const identity = await this.stsClient.send(new GetCallerIdentityCommand({}));
+      return { healthy: true, details: `Authenticated as ${identity.Arn}` };
     } catch (error) {
-      console.error('Error validating access:', error);
-      return false;
+      return { healthy: false, details: error.message };
     }
   }
   
+  /**
+   * @protected
+   */
+  _describeResource(resourceArn) {
+    return `${this._getResourceTypeFromArn(resourceArn)}:${resourceArn}`;
+  }
+  
+  /**
+   * Build a role session name from a grant ID; it shows up in CloudTrail
+   * @private
+   * @param {string} grantId - ID of the grant in the grants ledger
+   * @returns {string} - Session name of 2-64 allowed characters
+   */
+  _sessionName(grantId) {
+    return `frost-${grantId}`.replace(/[^\w+=,.@-]/g, '-').slice(0, 64);
+  }
+
+  /**
+   * Statement ID of a session's entry in the revocation policy (alphanumeric only)
+   * @private
+   */
+  _revocationSid(sessionName) {
+    return `Revoke${sessionName.replace(/[^A-Za-z0-9]/g, '')}`;
+  }
+
+  /**
+   * Change the deny statements of a role's revocation policy. Statements of expired sessions
+   * are dropped; the policy is deleted from the role once it would be empty.
+   * @private
+   * @param {string} roleArn - ARN of the role
+   * @param {Function} update - Maps the current statements to the new ones
+   * @param {Date} [now]
+   * @returns {Promise<void>}
+   */
+  _updateRevocationPolicy(roleArn, update, now = new Date()) {
+    const roleName = roleArn.split('/').pop();
+    const run = async () => {
+      let statements = [];
+      try {
+        const response = await this.iamClient.send(new GetRolePolicyCommand({
+          RoleName: roleName,
+          PolicyName: REVOCATION_POLICY_NAME
+        }));
+        statements = this._parsePolicyDocument(response.PolicyDocument).Statement;
+      } catch (error) {
+        if (error.name !== 'NoSuchEntityException') {
+          throw error;
+        }
+      }
+
+      const current = statements.filter(statement => new Date(statement.Condition.DateLessThan['aws:CurrentTime']) > now);
+      const updated = update(current);
+      if (updated.length === 0) {
+        if (statements.length > 0) {
+          await this.iamClient.send(new DeleteRolePolicyCommand({ RoleName: roleName, PolicyName: REVOCATION_POLICY_NAME }));
+        }
+        return;
+      }
+      if (updated.length === statements.length && updated.every((statement, i) => statement === statements[i])) {
+        return;
+      }
+
+      const document = JSON.stringify({ Version: '2012-10-17', Statement: updated });
+      if (document.length > MAX_INLINE_POLICY_SIZE) {
+        throw new Error(`Revocation policy of ${roleName} is full; ${updated.length} sessions are revoked and not yet expired`);
+      }
+      await this.iamClient.send(new PutRolePolicyCommand({
+        RoleName: roleName,
+        PolicyName: REVOCATION_POLICY_NAME,
+        PolicyDocument: document
+      }));
+    };
+
+    const result = this.revocationUpdates.then(run);
+    this.revocationUpdates = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Collect the items of a paginated IAM list operation
+   * @private
+   * @param {Function} createCommand - Builds the command for a page marker
+   * @param {Function} getItems - Extracts the items from a response
+   * @returns {Promise<Array>} - Items of all pages
+   */
+  async _paginate(createCommand, getItems) {
+    const items = [];
+    let marker;
+    do {
+      const response = await this.iamClient.send(createCommand(marker));
+      items.push(...(getItems(response) || []));
+      marker = response.IsTruncated ? response.Marker : undefined;
+    } while (marker);
+    return items;
+  }
+
+  /**
+   * Parse an IAM policy document, which the API returns URL-encoded
+   * @private
+   * @param {string} document - The policy document
+   * @returns {object} - Parsed policy JSON
+   */
+  _parsePolicyDocument(document) {
+    return JSON.parse(decodeURIComponent(document));
+  }
+
   /**
    * Extract resource type from ARN
    * @private
@@ -1,9 +1,13 @@
 const { DefaultAzureCredential } = require('@azure/identity');
 const { AuthorizationManagementClient } = require('@azure/arm-authorization');
+const { actionMatches } = require('../action-pattern');
+const { CloudConnector } = require('../cloud-connector');
 require('dotenv').config();
 
-class AzureIamConnector {
+class AzureIamConnector extends CloudConnector {
   constructor() {
+    super('azure', 'Azure');
+
     // Use DefaultAzureCredential which tries multiple authentication methods
     this.credential = new DefaultAzureCredential();
     
@@ -84,6 +88,22 @@ class AzureIamConnector {
     }
   }
 
+  /**
+   * Find the role assignment of a role to a principal made directly at a scope
+   * @param {string} scope - The scope of the role assignment
+   * @param {string} roleDefinitionId - The role definition ID
+   * @param {string} principalId - The principal ID (object ID of user, group, or service principal)
+   * @returns {Promise<object|null>} - The role assignment, or null if there is none
+   */
+  async findRoleAssignment(scope, roleDefinitionId, principalId) {
+    const assignments = await this.getRoleAssignments(scope);
+    return assignments.find(assignment =>
+      assignment.principalId === principalId &&
+      String(assignment.roleDefinitionId).toLowerCase() === roleDefinitionId.toLowerCase() &&
+      String(assignment.scope).toLowerCase() === scope.toLowerCase()
+    ) || null;
+  }
+
   /**
    * Delete a role assignment
    * @param {string} scope - The scope of the role assignment
@@ -101,33 +121,188 @@ class AzureIamConnector {
   }
   
   /**
-   * Validate an access request against blockchain-based IAM
-   * @param {string} resourceId - ID of the Azure resource
-   * @param {string} principalId - ID of the principal requesting access
-   * @param {object} blockchainProof - Proof from blockchain
-   * @returns {Promise<boolean>} - Whether access is granted
+   * Find the role definition at a scope that allows an action and the least else. Roles that
+   * allow the action without a wildcard verb (a pattern ending in "/read" for a read) come first,
+   * so a read never gets a role that also writes or deletes; ties go to the role whose broadest
+   * permission is narrowest, then to the one with fewer wildcard patterns, fewer permissions and
+   * more exclusions (Contributor before Owner).
+   * @param {string} scope - The scope the role would be assigned at
+   * @param {string} action - A control-plane or data action
+   * @returns {Promise<object|null>} - The role definition, or null if no role allows the action
+   */
+  async findLeastPrivilegedRole(scope, action) {
+    const roleDefinitions = await this.getRoleDefinitions(scope);
+    let best = null;
+    
+    for (const definition of roleDefinitions) {
+      let allows = false;
+      let keepsVerb = false;
+      const patterns = [];
+      let exclusions = 0;
+      for (const permission of definition.permissions || []) {
+        const lists = [
+          [permission.actions || [], permission.notActions || []],
+          [permission.dataActions || [], permission.notDataActions || []]
+        ];
+        for (const [allowed, excluded] of lists) {
+          patterns.push(...allowed);
+          exclusions += excluded.length;
+          if (excluded.some(pattern => actionMatches(pattern, action))) {
+            continue;
+          }
+          for (const pattern of allowed.filter(pattern => actionMatches(pattern, action))) {
+            allows = true;
+            keepsVerb = keepsVerb || !pattern.split('/').pop().includes('*');
+          }
+        }
+      }
+      if (!allows) {
+        continue;
+      }
+      
+      // The literal prefix of a wildcard pattern: the shorter, the more it allows
+      const wildcards = patterns.filter(pattern => pattern.includes('*'));
+      const rank = [
+        keepsVerb ? 0 : 1,
+        -Math.min(...wildcards.map(pattern => pattern.indexOf('*')), Number.MAX_SAFE_INTEGER),
+        wildcards.length,
+        patterns.length,
+        -exclusions
+      ];
+      const index = best ? rank.findIndex((value, i) => value !== best.rank[i]) : -1;
+      if (!best || (index >= 0 && rank[index] < best.rank[index])) {
+        best = { definition, rank };
+      }
+    }
+    
+    return best ? best.definition : null;
+  }
+
+  /**
+   * Grant a principal temporary access for one action: assign the narrowest role that allows
+   * it. The assignment is not removed here; the gateway's grant sweeper deletes it once expired.
+   * A principal that already holds the role at the scope keeps its assignment, which is then
+   * returned with reused set.
+   * @param {string} scope - The scope (resource ID) to grant access on
+   * @param {string} principalId - The principal ID (object ID of user, group, or service principal)
+   * @param {string} action - The granted action
+   * @param {number} durationSeconds - How long the assignment is meant to stay in place
+   * @returns {Promise<object>} - The role assignment, its expiry and whether it was reused
    */
-  async validateAccess(resourceId, principalId, blockchainProof) {
+  async grantTemporaryAccess(scope, principalId, action, durationSeconds = 900) {
     try {
-      // Verify the blockchain proof is valid
-      if (!blockchainProof || !blockchainProof.signature) {
-        return false;
+      const roleDefinition = await this.findLeastPrivilegedRole(scope, action);
+      if (!roleDefinition) {
+        throw new Error(`No role definition at ${scope} allows ${action}`);
       }
       
-      // Log the validation attempt for audit
-      console.log(`[Azure] Validating access to ${resourceId} for ${principalId}`);
-      console.log(`[Azure] Blockchain proof transaction: ${blockchainProof.txHash}`);
+      let assignment;
+      let reused = false;
+      try {
+        assignment = await this.createRoleAssignment(scope, roleDefinition.id, principalId);
+      } catch (error) {
+        // Azure allows one assignment per role, principal and scope
+        if (error.code !== 'RoleAssignmentExists') {
+          throw error;
+        }
+        assignment = await this.findRoleAssignment(scope, roleDefinition.id, principalId);
+        if (!assignment) {
+          throw error;
+        }
+        reused = true;
+      }
+      const expiresAt = new Date(Date.now() + durationSeconds * 1000);
       
-      // In a production environment, validate against blockchain state
-      // For this implementation, we'll assume the proof is valid if it contains expected fields
-      return (
-        blockchainProof.resourceId &&
-        blockchainProof.principalId === principalId &&
-        blockchainProof.timestamp > Date.now() - 300000 // Valid for 5 minutes
-      );
+      return {
+        roleAssignmentId: assignment.id,
+        roleAssignmentName: assignment.name,
+        roleDefinitionId: roleDefinition.id,
+        roleName: roleDefinition.roleName,
+        scope,
+        expiresAt,
+        reused
+      };
+    } catch (error) {
+      console.error('Error granting temporary access:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Issue a temporary role assignment for the requested action on the resource's scope. The
+   * grant is marked reused when the principal already held the role there; several grants, or
+   * access that predates them, can then share one assignment.
+   * @param {object} request - { resourceId, principalId, cloudPrincipalId, action, durationSeconds }
+   * (cloudPrincipalId is the Azure AD object ID; principalId is used when it is not given)
+   * @returns {Promise<object>} - { credentials, grant }
+   */
+  async issueCredentials({ resourceId, principalId, cloudPrincipalId, action, durationSeconds }) {
+    const assignment = await this.grantTemporaryAccess(
+      resourceId.replace(/^azure:/i, ''),
+      cloudPrincipalId || principalId,
+      action,
+      durationSeconds
+    );
+    
+    return {
+      credentials: {
+        roleAssignmentId: assignment.roleAssignmentId,
+        roleDefinitionId: assignment.roleDefinitionId,
+        roleName: assignment.roleName,
+        scope: assignment.scope,
+        expiresAt: assignment.expiresAt.toISOString()
+      },
+      grant: {
+        provider: this.provider,
+        expiresAt: assignment.expiresAt,
+        scope: assignment.scope,
+        roleAssignmentId: assignment.roleAssignmentId,
+        roleAssignmentName: assignment.roleAssignmentName,
+        roleDefinitionId: assignment.roleDefinitionId,
+        cloudPrincipalId: cloudPrincipalId || principalId,
+        reused: assignment.reused
+      }
+    };
+  }
+  
+  /**
+   * Delete the role assignment of a grant
+   * @param {object} grant - { scope, roleAssignmentName }
+   * @returns {Promise<void>}
+   */
+  async revoke(grant) {
+    await this.deleteRoleAssignment(grant.scope, grant.roleAssignmentName);
+  }
+  
+  /**
+   * List the role assignments at a scope
+   * @param {string} scope - The scope (e.g., subscription or resource group)
+   * @returns {Promise<Array>} - Assignments ({ id, principalId, role, scope })
+   */
+  async listAssignments(scope) {
+    const assignments = await this.getRoleAssignments(scope);
+    return assignments.map(assignment => ({
+      id: assignment.id,
+      principalId: assignment.principalId,
+      role: assignment.roleDefinitionId,
+      scope: assignment.scope
+    }));
+  }
+  
+  /**
+   * Check the configured credentials by reading a role definition of the subscription
+   * @returns {Promise<object>} - { healthy, details }
+   */
+  async health() {
+    if (!process.env.AZURE_SUBSCRIPTION_ID) {
+      return { healthy: false, details: 'AZURE_SUBSCRIPTION_ID is not configured' };
+    }
+    try {
+      const iterator = this.authorizationClient.roleDefinitions.list(`/subscriptions/${process.env.AZURE_SUBSCRIPTION_ID}`);
+      await iterator.next();
+      return { healthy: true, details: `Subscription ${process.env.AZURE_SUBSCRIPTION_ID}` };
     } catch (error) {
-      console.error('Error validating access:', error);
-      return false;
+      return { healthy: false, details: error.message };
     }
   }
   
@@ -0,0 +1,97 @@
+// Methods every cloud connector implements; ProviderRegistry checks them on registration
+const CONNECTOR_METHODS = ['validateAccess', 'issueCredentials', 'revoke', 'listAssignments', 'health'];
+
+class CloudConnector {
+  /**
+   * @param {string} provider - Provider name used in grants and issuances, e.g. "aws"
+   * @param {string} label - Provider name shown in logs and responses, e.g. "AWS"
+   */
+  constructor(provider, label) {
+    this.provider = provider;
+    this.label = label;
+
+    // Whether issued access can be taken back before it expires
+    this.revocable = true;
+
+    // Whether issued access leaves something in the cloud that must be removed once it expires
+    this.cleanupOnExpiry = true;
+  }
+
+  /**
+   * Validate an access request against blockchain-based IAM
+   * @param {string} resourceId - ID of the cloud resource
+   * @param {string} principalId - ID of the principal requesting access
+   * @param {object} blockchainProof - Proof from blockchain
+   * @returns {Promise<boolean>} - Whether access is granted
+   */
+  async validateAccess(resourceId, principalId, blockchainProof) {
+    try {
+      // Verify the blockchain proof is valid
+      if (!blockchainProof || !blockchainProof.signature) {
+        return false;
+      }
+
+      // Log the validation attempt for audit
+      console.log(`[${this.label}] Validating access to ${this._describeResource(resourceId)} for ${principalId}`);
+      console.log(`[${this.label}] Blockchain proof transaction: ${blockchainProof.txHash}`);
+
+      // In a production environment, validate against blockchain state
+      // For this implementation, we'll assume the proof is valid if it contains expected fields
+      return (
+        blockchainProof.resourceId &&
+        blockchainProof.principalId === principalId &&
+        blockchainProof.timestamp > Date.now() - 300000 // Valid for 5 minutes
+      );
+    } catch (error) {
+      console.error('Error validating access:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Issue temporary access for one action on one resource
+   * @param {object} request - { grantId, resourceId, principalId, cloudPrincipalId, action, durationSeconds };
+   * grantId is the id the grant will have in the grants ledger
+   * @returns {Promise<object>} - { credentials, grant }: credentials are returned to the caller,
+   * grant ({ provider, expiresAt, ... }) holds what revoke needs and is kept in the grants ledger
+   */
+  async issueCredentials(request) {
+    throw new Error(`${this.constructor.name} does not implement issueCredentials`);
+  }
+
+  /**
+   * Take back access issued by issueCredentials
+   * @param {object} grant - The grant returned by issueCredentials
+   * @returns {Promise<void>}
+   */
+  async revoke(grant) {
+    throw new Error(`${this.constructor.name} does not implement revoke`);
+  }
+
+  /**
+   * List who holds which role or policy in the cloud
+   * @param {string} [scope] - Where to look, if the provider has scopes
+   * @returns {Promise<Array>} - Assignments ({ id, principalId, role, scope })
+   */
+  async listAssignments(scope) {
+    throw new Error(`${this.constructor.name} does not implement listAssignments`);
+  }
+
+  /**
+   * Check that the connector is configured and its credentials work
+   * @returns {Promise<object>} - { healthy, details }
+   */
+  async health() {
+    throw new Error(`${this.constructor.name} does not implement health`);
+  }
+
+  /**
+   * Describe a resource in audit logs
+   * @protected
+   */
+  _describeResource(resourceId) {
+    return resourceId;
+  }
+}
+
+module.exports = { CloudConnector, CONNECTOR_METHODS };
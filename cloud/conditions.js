@@ -0,0 +1,208 @@
+const fs = require('fs');
+const net = require('net');
+const { ethers } = require('ethers');
+
+// Condition set attached to a policy; every condition present must hold, e.g.
+// {
+//   "ipCidr": ["10.0.0.0/8", "2001:db8::/32"],
+//   "mfa": true,
+//   "requestTime": { "after": "2025-01-01T00:00:00Z", "before": "2026-01-01T00:00:00Z" },
+//   "match": ["principal.tag.team == resource.tag.team", "resource.tag.env != 'prod'"]
+// }
+const CONDITION_KEYS = ['ipCidr', 'mfa', 'requestTime', 'match'];
+
+// <operand> == <operand> or <operand> != <operand>
+const MATCH_EXPRESSION = /^\s*(\S+)\s*(==|!=)\s*(\S+)\s*$/;
+const TAG_REFERENCE = /^(principal|resource)\.tag\.([\w.:/+=@-]+)$/;
+const LITERAL = /^'([^']*)'$|^"([^"]*)"$/;
+
+const parseCidr = (cidr) => {
+  const [address, prefix, ...rest] = String(cidr).split('/');
+  const type = net.isIP(address);
+  const bits = type === 4 ? 32 : 128;
+  const prefixLength = prefix === undefined ? bits : Number(prefix);
+
+  if (!type || rest.length > 0 || !Number.isInteger(prefixLength) || prefixLength < 0 || prefixLength > bits) {
+    throw new Error(`Invalid CIDR: ${cidr}`);
+  }
+  return { address, prefixLength, type: type === 4 ? 'ipv4' : 'ipv6' };
+};
+
+const parseOperand = (operand) => {
+  const tag = operand.match(TAG_REFERENCE);
+  if (tag) {
+    return { source: tag[1], tag: tag[2] };
+  }
+  const literal = operand.match(LITERAL);
+  if (literal) {
+    return { value: literal[1] !== undefined ? literal[1] : literal[2] };
+  }
+  throw new Error(`Invalid operand: ${operand}`);
+};
+
+const parseMatch = (expression) => {
+  const parsed = typeof expression === 'string' && expression.match(MATCH_EXPRESSION);
+  if (!parsed) {
+    throw new Error(`Invalid match expression: ${expression}`);
+  }
+  return { left: parseOperand(parsed[1]), operator: parsed[2], right: parseOperand(parsed[3]) };
+};
+
+/**
+ * Check that a condition set is well-formed
+ * @param {Object} conditions - Condition set as stored by the gateway
+ * @throws {Error} If a condition is unknown or malformed
+ */
+function validateConditions(conditions) {
+  if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+    throw new Error('Conditions must be an object');
+  }
+
+  for (const key of Object.keys(conditions)) {
+    if (!CONDITION_KEYS.includes(key)) {
+      throw new Error(`Unknown condition: ${key}`);
+    }
+  }
+
+  if (conditions.ipCidr !== undefined) {
+    if (!Array.isArray(conditions.ipCidr) || conditions.ipCidr.length === 0) {
+      throw new Error('ipCidr must be a non-empty list of CIDR blocks');
+    }
+    conditions.ipCidr.forEach(parseCidr);
+  }
+
+  if (conditions.mfa !== undefined && typeof conditions.mfa !== 'boolean') {
+    throw new Error('mfa must be a boolean');
+  }
+
+  if (conditions.requestTime !== undefined) {
+    const { after, before, ...rest } = conditions.requestTime || {};
+    if (Object.keys(rest).length > 0 || (after === undefined && before === undefined)) {
+      throw new Error('requestTime must have "after" and/or "before"');
+    }
+    for (const bound of [after, before]) {
+      if (bound !== undefined && Number.isNaN(Date.parse(bound))) {
+        throw new Error(`Invalid requestTime bound: ${bound}`);
+      }
+    }
+  }
+
+  if (conditions.match !== undefined) {
+    if (!Array.isArray(conditions.match)) {
+      throw new Error('match must be a list of expressions');
+    }
+    conditions.match.forEach(parseMatch);
+  }
+}
+
+// JSON with object keys sorted, so equal condition sets hash the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Hash of a condition set as anchored in the registry's policy
+ * @param {Object} conditions - Condition set
+ * @returns {string} bytes32 hex hash of the canonical JSON
+ */
+function conditionsHash(conditions) {
+  validateConditions(conditions);
+  return ethers.keccak256(ethers.toUtf8Bytes(canonicalJson(conditions)));
+}
+
+/**
+ * Load condition sets from a JSON file holding a list of them, keyed by their hash so the
+ * gateway only enforces condition sets anchored on-chain
+ * @param {string} filePath - Path of the JSON file
+ * @returns {Map<string, Object>} Condition sets by hash
+ */
+function loadConditionSets(filePath) {
+  const conditionSets = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(conditionSets)) {
+    throw new Error(`${filePath} must contain a list of condition sets`);
+  }
+  return new Map(conditionSets.map(conditions => [conditionsHash(conditions), conditions]));
+}
+
+const resolveOperand = (operand, context) => {
+  if (operand.tag === undefined) {
+    return operand.value;
+  }
+  const tags = (operand.source === 'principal' ? context.principalTags : context.resourceTags) || {};
+  return Object.prototype.hasOwnProperty.call(tags, operand.tag) ? String(tags[operand.tag]) : undefined;
+};
+
+const ipInCidrs = (sourceIp, cidrs) => {
+  // IPv4 clients of a dual-stack server show up as IPv4-mapped IPv6 addresses
+  const address = typeof sourceIp === 'string' ? sourceIp.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '') : '';
+  const type = net.isIP(address);
+  if (!type) {
+    return false;
+  }
+
+  const blockList = new net.BlockList();
+  for (const cidr of cidrs) {
+    const { address: network, prefixLength, type: networkType } = parseCidr(cidr);
+    blockList.addSubnet(network, prefixLength, networkType);
+  }
+  return blockList.check(address, type === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Evaluate a condition set against the context of an access request
+ * @param {Object} conditions - Condition set
+ * @param {Object} context - Request context
+ * @param {string} context.sourceIp - Client IP address
+ * @param {boolean} context.mfa - Whether the principal authenticated with MFA
+ * @param {Date} context.requestTime - Time of the request
+ * @param {Object} context.principalTags - Tags of the principal
+ * @param {Object} context.resourceTags - Tags of the resource
+ * @returns {Object} { satisfied, failed } where failed lists the conditions that did not hold
+ */
+function evaluateConditions(conditions, context) {
+  validateConditions(conditions);
+  const failed = [];
+
+  if (conditions.ipCidr && !ipInCidrs(context.sourceIp, conditions.ipCidr)) {
+    failed.push('ipCidr');
+  }
+
+  if (conditions.mfa && context.mfa !== true) {
+    failed.push('mfa');
+  }
+
+  if (conditions.requestTime) {
+    const time = (context.requestTime || new Date()).getTime();
+    const { after, before } = conditions.requestTime;
+    if ((after !== undefined && time < Date.parse(after)) || (before !== undefined && time >= Date.parse(before))) {
+      failed.push('requestTime');
+    }
+  }
+
+  // A tag missing on either side fails the expression, whatever the operator
+  for (const expression of conditions.match || []) {
+    const { left, operator, right } = parseMatch(expression);
+    const leftValue = resolveOperand(left, context);
+    const rightValue = resolveOperand(right, context);
+    const holds = leftValue !== undefined && rightValue !== undefined &&
+      (operator === '==' ? leftValue === rightValue : leftValue !== rightValue);
+    if (!holds) {
+      failed.push(expression);
+    }
+  }
+
+  return { satisfied: failed.length === 0, failed };
+}
+
+module.exports = {
+  validateConditions,
+  conditionsHash,
+  loadConditionSets,
+  evaluateConditions
+};
@@ -0,0 +1,280 @@
+const { ethers } = require('ethers');
+const PolicyImporter = require('./policy-importer');
+const { resourcePathCandidates, resourceKey, principalKey } = require('./resource-path');
+const { actionMatches } = require('./action-pattern');
+
+// Show short principal IDs stored as bytes32 strings by name, others as hex
+const describeKey = (key) => {
+  try {
+    return ethers.decodeBytes32String(key);
+  } catch (error) {
+    return key;
+  }
+};
+
+class DriftDetector {
+  /**
+   * @param {object} registry - AccessControlRegistry contract (read access is enough)
+   * @param {object} connectors - { aws: AwsIamConnector, azure: AzureIamConnector }; either may be omitted
+   * @param {object} [options]
+   * @param {Array<string>} [options.azureScopes] - Azure scopes whose role assignments are checked
+   * @param {Array<string>} [options.resourcePaths] - Registry resources to check for missing
+   * cloud access, in addition to those seen in cloud IAM
+   * @param {number} [options.fromBlock] - First block to read registry events from
+   * @param {GrantsLedger} [options.ledger] - Ledger of the gateway's just-in-time grants; Azure
+   * role assignments of active grants are not drift
+   */
+  constructor(registry, connectors = {}, options = {}) {
+    this.registry = registry;
+    this.aws = connectors.aws || null;
+    this.azure = connectors.azure || null;
+    this.options = options;
+    this.ledger = options.ledger || null;
+    this.importer = new PolicyImporter();
+  }
+
+  /**
+   * Rebuild the registry's current grants from its PermissionGranted/PermissionRevoked events
+   * @returns {Promise<Array>} - Grants ({ resourceId, principalId, action })
+   */
+  async loadRegistryGrants() {
+    const fromBlock = this.options.fromBlock || 0;
+    const granted = await this.registry.queryFilter(this.registry.filters.PermissionGranted(), fromBlock);
+    const revoked = await this.registry.queryFilter(this.registry.filters.PermissionRevoked(), fromBlock);
+
+    const events = [
+      ...granted.map(event => ({ event, grant: true })),
+      ...revoked.map(event => ({ event, grant: false }))
+    ].sort((a, b) => a.event.blockNumber - b.event.blockNumber || a.event.index - b.event.index);
+
+    const grants = new Map();
+    for (const { event, grant } of events) {
+      const { resourceId, principalId, action } = event.args;
+      const key = `${resourceId}:${principalId}:${action}`;
+      if (grant) {
+        grants.set(key, { resourceId, principalId, action });
+      } else {
+        grants.delete(key);
+      }
+    }
+    return [...grants.values()];
+  }
+
+  /**
+   * Compare live cloud IAM with the registry. Cloud access the registry does not allow is extra
+   * (e.g. a policy attached in the AWS console); it is evaluated like an access request, so
+   * grants through groups and inherited policies count, and deny rules, time windows and policy
+   * expiry are enforced. Registry grants in force without matching cloud access are missing;
+   * grants to groups are expected for each of their members.
+   * @param {object} [options]
+   * @param {boolean} [options.remediate] - Remove the cloud policies and role assignments that
+   * grant extra access; missing access is only reported
+   * @returns {Promise<object>} - { extra, missing, unverifiable, remediated }
+   */
+  async detect({ remediate = false } = {}) {
+    const registryGrants = await this.loadRegistryGrants();
+    const sources = [...await this._listAwsSources(), ...await this._listAzureSources()];
+
+    const resourceNames = new Map((this.options.resourcePaths || []).map(path => [resourceKey(path), path]));
+    const principalNames = new Map();
+    const cloudGrants = [];
+    for (const source of sources) {
+      for (const grant of source.plan.grants) {
+        const keyed = { ...grant, resourceId: resourceKey(grant.resourcePath), principalId: principalKey(grant.principal) };
+        resourceNames.set(keyed.resourceId, grant.resourcePath);
+        principalNames.set(keyed.principalId, grant.principal);
+        cloudGrants.push(keyed);
+      }
+    }
+
+    const report = { extra: [], missing: [], unverifiable: [], remediated: [] };
+    const extraSources = [];
+
+    for (const source of sources) {
+      const uncovered = [];
+      for (const grant of source.plan.grants) {
+        if (!(await this._isAllowed(grant.resourcePath, grant.principal, grant.action))) {
+          uncovered.push(grant);
+        }
+      }
+      if (uncovered.length > 0) {
+        report.extra.push({ provider: source.provider, source: source.description, grants: uncovered });
+        extraSources.push(source);
+      }
+      // Cloud access the importer cannot translate cannot be checked against the registry either
+      if (source.plan.unmapped.length > 0) {
+        report.unverifiable.push({ provider: source.provider, source: source.description, unmapped: source.plan.unmapped });
+      }
+    }
+
+    for (const grant of registryGrants) {
+      if (!resourceNames.has(grant.resourceId)) {
+        continue;
+      }
+      for (const principalId of await this._memberPrincipals(grant.principalId)) {
+        // Denied or outside its time window, the grant is not expected in the cloud
+        const decision = await this.registry.evaluateAccess(grant.resourceId, principalId, grant.action);
+        if (!decision.allowed) {
+          continue;
+        }
+        // A registry pattern such as "s3:Get*" counts as present if any of it is provisioned
+        const present = cloudGrants.some(cloudGrant =>
+          cloudGrant.resourceId === grant.resourceId &&
+          cloudGrant.principalId === principalId &&
+          (actionMatches(cloudGrant.action, grant.action) || actionMatches(grant.action, cloudGrant.action))
+        );
+        if (!present) {
+          report.missing.push({
+            resourcePath: resourceNames.get(grant.resourceId),
+            principal: principalNames.get(principalId) || describeKey(principalId),
+            action: grant.action
+          });
+        }
+      }
+    }
+
+    if (remediate) {
+      for (const source of extraSources) {
+        try {
+          await source.remove();
+          report.remediated.push({ provider: source.provider, source: source.description, status: 'removed' });
+        } catch (error) {
+          report.remediated.push({ provider: source.provider, source: source.description, status: 'failed', reason: error.message });
+        }
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Evaluate cloud access as an access request against the policy governing the resource. Deny
+   * rules only match concrete actions, so a wildcard cloud action (e.g. "s3:*") is not allowed
+   * if it overlaps a deny rule of the principal or its groups (e.g. "s3:DeleteObject").
+   * @private
+   * @returns {Promise<boolean>} - Whether the registry allows it
+   */
+  async _isAllowed(resourcePath, principal, action) {
+    const candidates = resourcePathCandidates(resourcePath);
+    const [found, index] = await this.registry.findResourcePolicy(candidates.map(resourceKey));
+    if (!found) {
+      return false;
+    }
+    const governingKey = resourceKey(candidates[Number(index)]);
+    const decision = await this.registry.evaluateAccess(governingKey, principalKey(principal), action);
+    if (!decision.allowed || !/[*?]/.test(action)) {
+      return decision.allowed;
+    }
+    for (const ownerId of await this._ruleOwners(principalKey(principal))) {
+      const denied = await this.registry.getDeniedActions(governingKey, ownerId);
+      if (denied.some(pattern => actionMatches(pattern, action) || actionMatches(action, pattern))) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * The principals whose rules apply to a principal: itself and the groups it is in, directly
+   * or through nested groups
+   * @private
+   * @returns {Promise<Array<string>>} - Principal keys
+   */
+  async _ruleOwners(principalId) {
+    const owners = [principalId];
+    for (let i = 0; i < owners.length; i++) {
+      for (const groupId of await this.registry.getGroupsOf(owners[i])) {
+        if (!owners.includes(groupId)) {
+          owners.push(groupId);
+        }
+      }
+    }
+    return owners;
+  }
+
+  /**
+   * The principals a grant applies to: the principal itself, or the members of a group and
+   * its nested groups
+   * @private
+   * @returns {Promise<Array<string>>} - Principal keys
+   */
+  async _memberPrincipals(principalId) {
+    if (!(await this.registry.isGroup(principalId))) {
+      return [principalId];
+    }
+    const principals = [];
+    for (const memberId of await this.registry.getGroupMembers(principalId)) {
+      for (const member of await this._memberPrincipals(memberId)) {
+        if (!principals.includes(member)) {
+          principals.push(member);
+        }
+      }
+    }
+    return principals;
+  }
+
+  /**
+   * Managed and inline policies of every IAM user, translated into registry grants
+   * @private
+   */
+  async _listAwsSources() {
+    if (!this.aws) {
+      return [];
+    }
+
+    const sources = [];
+    for (const user of await this.aws.listUsers()) {
+      for (const policy of await this.aws.getUserPolicies(user.UserName)) {
+        const description = policy.type === 'managed'
+          ? `${user.UserName}: attached policy ${policy.policyArn}`
+          : `${user.UserName}: inline policy ${policy.policyName}`;
+        sources.push({
+          provider: 'aws',
+          description,
+          plan: this.importer.planAwsPolicy(policy.document, user.Arn),
+          remove: () => (policy.type === 'managed'
+            ? this.aws.detachPolicy(user.UserName, policy.policyArn)
+            : this.aws.deleteInlinePolicy(user.UserName, policy.policyName))
+        });
+      }
+    }
+    return sources;
+  }
+
+  /**
+   * Role assignments in the configured Azure scopes, translated into registry grants
+   * @private
+   */
+  async _listAzureSources() {
+    if (!this.azure) {
+      return [];
+    }
+
+    const sources = [];
+    const seen = new Set();
+    // Assignments the gateway made for just-in-time grants are removed when the grants end;
+    // standing assignments that grants reused are not
+    const issued = new Set((this.ledger ? this.ledger.list({ status: 'active' }) : [])
+      .filter(grant => grant.provider === 'azure' && !grant.standing)
+      .map(grant => grant.roleAssignmentName));
+    for (const scope of this.options.azureScopes || []) {
+      const roleDefinitions = await this.azure.getRoleDefinitions(scope);
+      for (const assignment of await this.azure.getRoleAssignments(scope)) {
+        // Assignments on parent scopes show up again for every child scope
+        if (seen.has(assignment.id) || issued.has(assignment.name)) {
+          continue;
+        }
+        seen.add(assignment.id);
+        sources.push({
+          provider: 'azure',
+          description: `role assignment ${assignment.name} on ${assignment.scope}`,
+          plan: this.importer.planAzureRoleAssignments([assignment], roleDefinitions),
+          remove: () => this.azure.deleteRoleAssignment(assignment.scope, assignment.name)
+        });
+      }
+    }
+    return sources;
+  }
+}
+
+module.exports = DriftDetector;
@@ -0,0 +1,280 @@
+const { ProjectsClient } = require('@google-cloud/resource-manager');
+const { IAMCredentialsClient } = require('@google-cloud/iam-credentials');
+const { Storage } = require('@google-cloud/storage');
+const { CloudConnector } = require('../cloud-connector');
+require('dotenv').config();
+
+// IAM policy version 3 is required for bindings with conditions
+const POLICY_VERSION = 3;
+
+class GcpIamConnector extends CloudConnector {
+  constructor(projectId = process.env.GCP_PROJECT_ID) {
+    super('gcp', 'GCP');
+
+    // Application Default Credentials are used by all clients
+    this.projectId = projectId;
+
+    // Initialize Resource Manager client for project IAM policies
+    this.projectsClient = new ProjectsClient();
+
+    // Initialize Cloud Storage client for bucket IAM policies
+    this.storage = new Storage({ projectId });
+
+    // Initialize IAM Credentials client for service account impersonation
+    this.iamCredentialsClient = new IAMCredentialsClient();
+  }
+
+  /**
+   * Get the IAM policy of a project or bucket
+   * @param {string} resource - "projects/<id>", "projects/_/buckets/<name>" or "gs://<name>"
+   * (full resource names starting with "//cloudresourcemanager.googleapis.com/" or
+   * "//storage.googleapis.com/" are accepted as well)
+   * @returns {Promise<object>} - The policy ({ version, bindings, etag })
+   */
+  async getIamPolicy(resource) {
+    try {
+      const target = this._parseResource(resource);
+      if (target.type === 'project') {
+        const [policy] = await this.projectsClient.getIamPolicy({
+          resource: target.name,
+          options: { requestedPolicyVersion: POLICY_VERSION }
+        });
+        return policy;
+      }
+      const [policy] = await this.storage.bucket(target.name).iam.getPolicy({ requestedPolicyVersion: POLICY_VERSION });
+      return policy;
+    } catch (error) {
+      console.error('Error getting IAM policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the IAM policy of a project or bucket. The policy's etag makes the update fail if
+   * the policy changed since it was read.
+   * @param {string} resource - The project or bucket, as for getIamPolicy
+   * @param {object} policy - The policy ({ version, bindings, etag })
+   * @returns {Promise<object>} - The updated policy
+   */
+  async setIamPolicy(resource, policy) {
+    try {
+      const target = this._parseResource(resource);
+      if (target.type === 'project') {
+        const [updated] = await this.projectsClient.setIamPolicy({ resource: target.name, policy });
+        return updated;
+      }
+      const [updated] = await this.storage.bucket(target.name).iam.setPolicy(policy);
+      return updated;
+    } catch (error) {
+      console.error('Error setting IAM policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the role bindings of a project or bucket
+   * @param {string} resource - The project or bucket, as for getIamPolicy
+   * @returns {Promise<Array>} - Bindings ({ role, members, condition })
+   */
+  async getBindings(resource) {
+    const policy = await this.getIamPolicy(resource);
+    return policy.bindings || [];
+  }
+
+  /**
+   * Grant a role to a member
+   * @param {string} resource - The project or bucket, as for getIamPolicy
+   * @param {string} role - The role, e.g. "roles/storage.objectViewer"
+   * @param {string} member - The member, e.g. "user:alice@example.com" or "serviceAccount:..."
+   * @param {object} [condition] - IAM condition ({ title, expression }) limiting the binding
+   * @returns {Promise<object>} - The updated policy
+   */
+  async addBinding(resource, role, member, condition = null) {
+    const policy = await this.getIamPolicy(resource);
+    const bindings = policy.bindings || [];
+    const binding = bindings.find(existing => existing.role === role && this._sameCondition(existing.condition, condition));
+
+    if (binding && binding.members.includes(member)) {
+      return policy;
+    }
+    if (binding) {
+      binding.members.push(member);
+    } else {
+      bindings.push({ role, members: [member], ...(condition && { condition }) });
+    }
+
+    return this.setIamPolicy(resource, { ...policy, bindings, version: POLICY_VERSION });
+  }
+
+  /**
+   * Remove a member from a role; bindings left without members are dropped
+   * @param {string} resource - The project or bucket, as for getIamPolicy
+   * @param {string} role - The role
+   * @param {string} member - The member
+   * @param {object} [condition] - Only remove the member from the binding with this condition
+   * @returns {Promise<object>} - The updated policy
+   */
+  async removeBinding(resource, role, member, condition = null) {
+    const policy = await this.getIamPolicy(resource);
+    let changed = false;
+
+    const bindings = (policy.bindings || [])
+      .map(binding => {
+        if (binding.role !== role || !this._sameCondition(binding.condition, condition) || !binding.members.includes(member)) {
+          return binding;
+        }
+        changed = true;
+        return { ...binding, members: binding.members.filter(existing => existing !== member) };
+      })
+      .filter(binding => binding.members.length > 0);
+
+    if (!changed) {
+      return policy;
+    }
+    return this.setIamPolicy(resource, { ...policy, bindings, version: POLICY_VERSION });
+  }
+
+  /**
+   * Generate a short-lived OAuth access token for a service account by impersonating it. The
+   * gateway's credentials need roles/iam.serviceAccountTokenCreator on the service account.
+   * @param {string} serviceAccountEmail - The service account to impersonate
+   * @param {number} durationSeconds - Token lifetime (at most 3600 by default)
+   * @param {Array<string>} scopes - OAuth scopes of the token
+   * @returns {Promise<object>} - The token and its expiry ({ accessToken, expiration })
+   */
+  async generateAccessToken(serviceAccountEmail, durationSeconds = 3600, scopes = ['https://www.googleapis.com/auth/cloud-platform']) {
+    try {
+      const [response] = await this.iamCredentialsClient.generateAccessToken({
+        name: `projects/-/serviceAccounts/${serviceAccountEmail}`,
+        scope: scopes,
+        lifetime: { seconds: durationSeconds }
+      });
+
+      return {
+        accessToken: response.accessToken,
+        expiration: new Date(Number(response.expireTime.seconds) * 1000 + Math.floor((response.expireTime.nanos || 0) / 1e6))
+      };
+    } catch (error) {
+      console.error('Error generating access token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Grant the requested role to the principal's own identity on the requested project or
+   * bucket, with an IAM condition that ends the binding when the grant expires. Bucket bindings
+   * with conditions need uniform bucket-level access.
+   * @param {object} request - { grantId, resourceId, principalId, cloudPrincipalId, action, durationSeconds };
+   * action is the role, e.g. "roles/storage.objectViewer", and the member is cloudPrincipalId
+   * (or principalId), e.g. "user:alice@example.com"
+   * @returns {Promise<object>} - { credentials, grant }
+   */
+  async issueCredentials({ grantId, resourceId, principalId, cloudPrincipalId, action, durationSeconds }) {
+    if (!/^((projects|organizations)\/[^/]+\/)?roles\/[\w.]+$/.test(action)) {
+      throw new Error(`Unsupported GCP action: ${action} (expected a role such as roles/storage.objectViewer)`);
+    }
+    const member = cloudPrincipalId || principalId;
+    if (!/^(user|serviceAccount|group|principal|principalSet):.+/.test(member)) {
+      throw new Error(`Unsupported GCP member: ${member}`);
+    }
+    if (!grantId) {
+      throw new Error('A grant ID is required to title the IAM condition');
+    }
+
+    const expiresAt = new Date(Date.now() + durationSeconds * 1000);
+    const condition = {
+      title: `frost-${grantId}`,
+      expression: `request.time < timestamp("${expiresAt.toISOString()}")`
+    };
+    await this.addBinding(resourceId, action, member, condition);
+
+    return {
+      credentials: {
+        member,
+        role: action,
+        resource: resourceId,
+        expiresAt: expiresAt.toISOString()
+      },
+      grant: {
+        provider: this.provider,
+        expiresAt,
+        resource: resourceId,
+        role: action,
+        member,
+        condition
+      }
+    };
+  }
+
+  /**
+   * Remove the conditional binding of a grant
+   * @param {object} grant - { resource, role, member, condition }
+   * @returns {Promise<void>}
+   */
+  async revoke(grant) {
+    await this.removeBinding(grant.resource, grant.role, grant.member, grant.condition);
+  }
+
+  /**
+   * List the role bindings of a project or bucket, one assignment per member
+   * @param {string} scope - The project or bucket, as for getIamPolicy
+   * @returns {Promise<Array>} - Assignments ({ id, principalId, role, scope, condition })
+   */
+  async listAssignments(scope) {
+    const bindings = await this.getBindings(scope);
+    return bindings.flatMap(binding => binding.members.map(member => ({
+      id: `${binding.role}/${member}`,
+      principalId: member,
+      role: binding.role,
+      scope,
+      ...(binding.condition && { condition: binding.condition })
+    })));
+  }
+
+  /**
+   * Check that Application Default Credentials resolve
+   * @returns {Promise<object>} - { healthy, details }
+   */
+  async health() {
+    try {
+      const projectId = await this.projectsClient.getProjectId();
+      return { healthy: true, details: `Project ${projectId}` };
+    } catch (error) {
+      return { healthy: false, details: error.message };
+    }
+  }
+
+  /**
+   * Resolve a project or bucket reference
+   * @private
+   * @param {string} resource - The project or bucket, as for getIamPolicy
+   * @returns {object} - { type: 'project', name: 'projects/<id>' } or { type: 'bucket', name }
+   */
+  _parseResource(resource) {
+    const path = resource
+      .replace(/^gcp:/i, '')
+      .replace(/^\/\/(cloudresourcemanager|storage)\.googleapis\.com\//, '');
+
+    let match = path.match(/^gs:\/\/([^/]+)\/?$/) || path.match(/^projects\/_\/buckets\/([^/]+)$/);
+    if (match) {
+      return { type: 'bucket', name: match[1] };
+    }
+    match = path.match(/^projects\/([^/]+)$/);
+    if (match) {
+      return { type: 'project', name: `projects/${match[1]}` };
+    }
+    throw new Error(`Unsupported GCP resource: ${resource}`);
+  }
+
+  /**
+   * Conditions are the same if both their titles and expressions are; every grant's binding
+   * has its own title
+   * @private
+   */
+  _sameCondition(a, b) {
+    return ((a && a.expression) || null) === ((b && b.expression) || null) &&
+      ((a && a.title) || null) === ((b && b.title) || null);
+  }
+}
+
+module.exports = GcpIamConnector;
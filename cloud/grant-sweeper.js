@@ -0,0 +1,86 @@
+class GrantSweeper {
+  /**
+   * Clean up grants in the ledger once they expire. Grants of connectors with cleanupOnExpiry
+   * set (Azure role assignments, Kubernetes RBAC objects) stay in place until they are deleted;
+   * the others expire on their own and are only marked expired, as are grants whose access is
+   * still held by other grants or predates the gateway. Connectors that keep records of
+   * revoked access (AWS) drop the records that are no longer needed.
+   * @param {GrantsLedger} ledger - Ledger of issued grants
+   * @param {object} connectors - Connectors by provider name, e.g. { aws, azure, kubernetes }
+   * @param {object} [options]
+   * @param {number} [options.intervalMs] - How often the ledger is swept
+   */
+  constructor(ledger, connectors = {}, options = {}) {
+    this.ledger = ledger;
+    this.connectors = connectors;
+    this.intervalMs = options.intervalMs || 60000;
+    this.timer = null;
+    this.sweeping = null;
+  }
+
+  /**
+   * Start sweeping periodically
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      if (!this.sweeping) {
+        this.sweeping = this.sweep()
+          .catch(error => console.error('Error sweeping expired grants:', error))
+          .finally(() => { this.sweeping = null; });
+      }
+    }, this.intervalMs);
+    // The sweeper must not keep the process alive
+    this.timer.unref();
+  }
+
+  /**
+   * Stop sweeping; waits for a sweep in progress
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.sweeping;
+  }
+
+  /**
+   * Remove what expired grants left in the cloud and mark them expired in the ledger. Grants whose
+   * clean-up fails stay active and are retried on the next sweep.
+   * @param {Date} [now]
+   * @returns {Promise<Array<object>>} - The grants marked expired
+   */
+  async sweep(now = new Date()) {
+    const swept = [];
+    for (const grant of this.ledger.expired(now)) {
+      const connector = this.connectors[grant.provider];
+      if (connector && connector.cleanupOnExpiry && !this.ledger.accessStillHeld(grant)) {
+        try {
+          await connector.revoke(grant);
+        } catch (error) {
+          // Already removed, e.g. by hand in the portal
+          if (error.statusCode !== 404) {
+            console.error(`Error removing expired ${grant.provider} grant ${grant.id}:`, error);
+            continue;
+          }
+        }
+      }
+      swept.push(this.ledger.setStatus(grant.id, 'expired'));
+    }
+
+    for (const [provider, connector] of Object.entries(this.connectors)) {
+      if (typeof connector.pruneRevocations === 'function') {
+        try {
+          await connector.pruneRevocations(now);
+        } catch (error) {
+          console.error(`Error pruning ${provider} revocations:`, error);
+        }
+      }
+    }
+    return swept;
+  }
+}
+
+module.exports = GrantSweeper;
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+class GrantsLedger {
+  /**
+   * Record of the cloud access handed out by the gateway, kept as an append-only JSON lines
+   * file so it survives restarts. Credentials themselves are never stored.
+   * @param {string} filePath - Path of the ledger file
+   * @param {object} [options]
+   * @param {boolean} [options.readOnly] - Only read the file, e.g. while the gateway writes it
+   */
+  constructor(filePath, options = {}) {
+    if (!filePath) {
+      throw new Error('A ledger file path is required');
+    }
+    this.filePath = filePath;
+    this.readOnly = !!options.readOnly;
+    this.grants = new Map();
+    this._load();
+  }
+
+  /**
+   * Record an issuance
+   * @param {object} grant - { provider, resourceId, resourcePath, principalId, action, expiresAt, proof }
+   * plus the provider details needed to revoke it ({ roleArn, sessionName } or { scope, roleAssignmentName, ... })
+   * @returns {object} - The stored grant with its id, issue time and status
+   */
+  record(grant) {
+    const entry = {
+      id: crypto.randomUUID(),
+      issuedAt: new Date().toISOString(),
+      status: 'active',
+      ...grant,
+      expiresAt: new Date(grant.expiresAt).toISOString()
+    };
+    this._append({ type: 'issued', grant: entry });
+    this.grants.set(entry.id, entry);
+    return entry;
+  }
+
+  /**
+   * Change the status of a grant
+   * @param {string} id - Grant id
+   * @param {string} status - 'revoked' or 'expired'
+   * @param {string} [reason] - Why the status changed
+   * @returns {object} - The updated grant
+   */
+  setStatus(id, status, reason = null) {
+    const grant = this.grants.get(id);
+    if (!grant) {
+      throw new Error(`Unknown grant: ${id}`);
+    }
+    const changes = { status, statusChangedAt: new Date().toISOString(), ...(reason ? { statusReason: reason } : {}) };
+    this._append({ type: 'updated', id, changes });
+    Object.assign(grant, changes);
+    return grant;
+  }
+
+  /**
+   * @param {string} id - Grant id
+   * @returns {object|null} - The grant, or null if it is not in the ledger
+   */
+  get(id) {
+    return this.grants.get(id) || null;
+  }
+
+  /**
+   * List grants, newest first
+   * @param {object} [filter]
+   * @param {string} [filter.principal] - Only grants issued to this principal
+   * @param {string} [filter.status] - Only grants with this status
+   * @returns {Array<object>}
+   */
+  list(filter = {}) {
+    return [...this.grants.values()]
+      .filter(grant => !filter.principal || grant.principalId === filter.principal)
+      .filter(grant => !filter.status || grant.status === filter.status)
+      .reverse();
+  }
+
+  /**
+   * Active grants past their expiry time
+   * @param {Date} [now]
+   * @returns {Array<object>}
+   */
+  expired(now = new Date()) {
+    return this.list({ status: 'active' }).filter(grant => new Date(grant.expiresAt) <= now);
+  }
+
+  /**
+   * Active grants, other than the given one, holding the same Azure role assignment. Azure
+   * allows one assignment per role, principal and scope, so grants reuse it.
+   * @param {object} grant - A grant with a roleAssignmentId
+   * @returns {Array<object>}
+   */
+  sharing(grant) {
+    if (!grant.roleAssignmentId) {
+      return [];
+    }
+    return this.list({ status: 'active' }).filter(other =>
+      other.id !== grant.id && other.provider === grant.provider && other.roleAssignmentId === grant.roleAssignmentId
+    );
+  }
+
+  /**
+   * Whether the cloud access of a grant must stay in place when the grant ends: it is standing
+   * access the gateway did not create, or other active grants still hold it
+   * @param {object} grant
+   * @returns {boolean}
+   */
+  accessStillHeld(grant) {
+    return !!grant.standing || this.sharing(grant).length > 0;
+  }
+
+  /**
+   * Replay the ledger file, then rewrite it with one line per grant
+   * @private
+   */
+  _load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(Boolean);
+    lines.forEach((line, i) => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // Only the last line can be cut short by a crash while appending
+        if (i === lines.length - 1) {
+          console.error(`Ignoring incomplete last line of ${this.filePath}`);
+          return;
+        }
+        throw new Error(`Corrupt grants ledger ${this.filePath} at line ${i + 1}`);
+      }
+      if (record.type === 'issued') {
+        this.grants.set(record.grant.id, record.grant);
+      } else if (record.type === 'updated' && this.grants.has(record.id)) {
+        Object.assign(this.grants.get(record.id), record.changes);
+      }
+    });
+
+    if (this.readOnly) {
+      return;
+    }
+    const tempPath = `${this.filePath}.tmp`;
+    const compacted = [...this.grants.values()].map(grant => JSON.stringify({ type: 'issued', grant }) + '\n');
+    fs.writeFileSync(tempPath, compacted.join(''));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * @private
+   */
+  _append(record) {
+    if (this.readOnly) {
+      throw new Error(`Grants ledger ${this.filePath} is opened read-only`);
+    }
+    fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+  }
+}
+
+module.exports = GrantsLedger;
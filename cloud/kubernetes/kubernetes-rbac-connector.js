@@ -0,0 +1,370 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { CloudConnector } = require('../cloud-connector');
+require('dotenv').config();
+
+// Credentials of a gateway running inside the cluster
+const IN_CLUSTER_TOKEN_PATH = '/var/run/secrets/kubernetes.io/serviceaccount/token';
+
+// Label on every object the connector creates
+const MANAGED_BY_LABEL = 'app.kubernetes.io/managed-by';
+const MANAGED_BY = 'frost-iam';
+
+class KubernetesRbacConnector extends CloudConnector {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.cluster] - Cluster name used in registry resources ("k8s:<cluster>/<namespace>")
+   * @param {string} [options.server] - API server URL
+   * @param {string} [options.token] - Bearer token of the gateway
+   * @param {string|Buffer} [options.ca] - CA certificate of the API server
+   */
+  constructor(options = {}) {
+    super('kubernetes', 'Kubernetes');
+
+    this.cluster = options.cluster || process.env.K8S_CLUSTER_NAME;
+    this.server = options.server || process.env.K8S_API_SERVER;
+    this.token = options.token || process.env.K8S_TOKEN ||
+      (fs.existsSync(IN_CLUSTER_TOKEN_PATH) ? fs.readFileSync(IN_CLUSTER_TOKEN_PATH, 'utf8').trim() : null);
+    this.ca = options.ca || (process.env.K8S_CA_FILE ? fs.readFileSync(process.env.K8S_CA_FILE) : undefined);
+  }
+
+  /**
+   * Create a ServiceAccount
+   * @param {string} namespace - The namespace
+   * @param {string} name - Name of the ServiceAccount
+   * @param {object} [annotations] - Annotations of the ServiceAccount
+   * @returns {Promise<object>} - The created ServiceAccount
+   */
+  async createServiceAccount(namespace, name, annotations = {}) {
+    try {
+      return await this._request('POST', `/api/v1/namespaces/${namespace}/serviceaccounts`, {
+        apiVersion: 'v1',
+        kind: 'ServiceAccount',
+        metadata: this._metadata(name, annotations)
+      });
+    } catch (error) {
+      console.error('Error creating service account:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a Role
+   * @param {string} namespace - The namespace
+   * @param {string} name - Name of the Role
+   * @param {Array} rules - Policy rules ({ apiGroups, resources, verbs })
+   * @param {object} [annotations] - Annotations of the Role
+   * @returns {Promise<object>} - The created Role
+   */
+  async createRole(namespace, name, rules, annotations = {}) {
+    try {
+      return await this._request('POST', `/apis/rbac.authorization.k8s.io/v1/namespaces/${namespace}/roles`, {
+        apiVersion: 'rbac.authorization.k8s.io/v1',
+        kind: 'Role',
+        metadata: this._metadata(name, annotations),
+        rules
+      });
+    } catch (error) {
+      console.error('Error creating role:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Bind a Role to a ServiceAccount of the same namespace
+   * @param {string} namespace - The namespace
+   * @param {string} name - Name of the RoleBinding
+   * @param {string} roleName - Name of the Role
+   * @param {string} serviceAccountName - Name of the ServiceAccount
+   * @param {object} [annotations] - Annotations of the RoleBinding
+   * @returns {Promise<object>} - The created RoleBinding
+   */
+  async createRoleBinding(namespace, name, roleName, serviceAccountName, annotations = {}) {
+    try {
+      return await this._request('POST', `/apis/rbac.authorization.k8s.io/v1/namespaces/${namespace}/rolebindings`, {
+        apiVersion: 'rbac.authorization.k8s.io/v1',
+        kind: 'RoleBinding',
+        metadata: this._metadata(name, annotations),
+        roleRef: { apiGroup: 'rbac.authorization.k8s.io', kind: 'Role', name: roleName },
+        subjects: [{ kind: 'ServiceAccount', name: serviceAccountName, namespace }]
+      });
+    } catch (error) {
+      console.error('Error creating role binding:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the RoleBindings of a namespace
+   * @param {string} namespace - The namespace
+   * @returns {Promise<Array>} - RoleBindings
+   */
+  async listRoleBindings(namespace) {
+    try {
+      const list = await this._request('GET', `/apis/rbac.authorization.k8s.io/v1/namespaces/${namespace}/rolebindings`);
+      return list.items || [];
+    } catch (error) {
+      console.error('Error listing role bindings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a namespaced object; objects that are already gone are ignored
+   * @param {string} kind - 'ServiceAccount', 'Role' or 'RoleBinding'
+   * @param {string} namespace - The namespace
+   * @param {string} name - Name of the object
+   * @returns {Promise<void>}
+   */
+  async deleteObject(kind, namespace, name) {
+    const collections = {
+      ServiceAccount: `/api/v1/namespaces/${namespace}/serviceaccounts`,
+      Role: `/apis/rbac.authorization.k8s.io/v1/namespaces/${namespace}/roles`,
+      RoleBinding: `/apis/rbac.authorization.k8s.io/v1/namespaces/${namespace}/rolebindings`
+    };
+    if (!collections[kind]) {
+      throw new Error(`Unsupported object kind: ${kind}`);
+    }
+    try {
+      await this._request('DELETE', `${collections[kind]}/${name}`);
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return;
+      }
+      console.error(`Error deleting ${kind} ${namespace}/${name}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a short-lived token of a ServiceAccount with the TokenRequest API. Tokens stop working
+   * when the ServiceAccount is deleted.
+   * @param {string} namespace - The namespace
+   * @param {string} name - Name of the ServiceAccount
+   * @param {number} expirationSeconds - Token lifetime (at least 600)
+   * @returns {Promise<object>} - The token and its expiry ({ token, expiration })
+   */
+  async requestServiceAccountToken(namespace, name, expirationSeconds = 900) {
+    try {
+      const response = await this._request('POST', `/api/v1/namespaces/${namespace}/serviceaccounts/${name}/token`, {
+        apiVersion: 'authentication.k8s.io/v1',
+        kind: 'TokenRequest',
+        spec: { expirationSeconds }
+      });
+      return {
+        token: response.status.token,
+        expiration: new Date(response.status.expirationTimestamp)
+      };
+    } catch (error) {
+      console.error('Error requesting service account token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a token of a new ServiceAccount that a Role limits to the requested action in the
+   * resource's namespace
+   * @param {object} request - { resourceId ("k8s:<cluster>/<namespace>"), principalId, action
+   * ("<resource>[.<group>]:<verb>", e.g. "pods:get" or "deployments.apps:list"), durationSeconds }
+   * @returns {Promise<object>} - { credentials, grant }
+   */
+  async issueCredentials({ resourceId, principalId, action, durationSeconds }) {
+    const { namespace } = this._parseResource(resourceId);
+    const rule = this._ruleForAction(action);
+
+    // One ServiceAccount, Role and RoleBinding per grant, all with the same name
+    const name = this._objectName(principalId);
+    const annotations = { 'frost-iam/principal': principalId, 'frost-iam/action': action };
+    const created = [];
+    try {
+      await this.createServiceAccount(namespace, name, annotations);
+      created.push('ServiceAccount');
+      await this.createRole(namespace, name, [rule], annotations);
+      created.push('Role');
+      await this.createRoleBinding(namespace, name, name, name, annotations);
+      created.push('RoleBinding');
+
+      const token = await this.requestServiceAccountToken(namespace, name, durationSeconds);
+      return {
+        credentials: {
+          token: token.token,
+          server: this.server,
+          namespace,
+          serviceAccount: name,
+          expiresAt: token.expiration.toISOString()
+        },
+        grant: {
+          provider: this.provider,
+          expiresAt: token.expiration,
+          cluster: this.cluster,
+          namespace,
+          name
+        }
+      };
+    } catch (error) {
+      // Do not leave half-created access behind
+      for (const kind of created.reverse()) {
+        await this.deleteObject(kind, namespace, name).catch(() => {
+          // Already logged by deleteObject
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the RoleBinding, Role and ServiceAccount of a grant; deleting the ServiceAccount
+   * invalidates the tokens issued for it
+   * @param {object} grant - { namespace, name }
+   * @returns {Promise<void>}
+   */
+  async revoke(grant) {
+    for (const kind of ['RoleBinding', 'Role', 'ServiceAccount']) {
+      await this.deleteObject(kind, grant.namespace, grant.name);
+    }
+  }
+
+  /**
+   * List the subjects bound to roles in a namespace
+   * @param {string} scope - "k8s:<cluster>/<namespace>" or a namespace name
+   * @returns {Promise<Array>} - Assignments ({ id, principalId, role, scope })
+   */
+  async listAssignments(scope) {
+    const namespace = scope.startsWith('k8s:') ? this._parseResource(scope).namespace : scope;
+    const bindings = await this.listRoleBindings(namespace);
+
+    return bindings.flatMap(binding => (binding.subjects || []).map(subject => ({
+      id: `${namespace}/${binding.metadata.name}/${subject.kind}/${subject.name}`,
+      principalId: subject.kind === 'ServiceAccount'
+        ? `system:serviceaccount:${subject.namespace || namespace}:${subject.name}`
+        : subject.name,
+      role: `${binding.roleRef.kind}/${binding.roleRef.name}`,
+      scope: `k8s:${this.cluster}/${namespace}`
+    })));
+  }
+
+  /**
+   * Check that the API server is reachable with the configured credentials
+   * @returns {Promise<object>} - { healthy, details }
+   */
+  async health() {
+    if (!this.server || !this.token || !this.cluster) {
+      return { healthy: false, details: 'K8S_API_SERVER, K8S_CLUSTER_NAME and a token must be configured' };
+    }
+    try {
+      const version = await this._request('GET', '/version');
+      return { healthy: true, details: `Cluster ${this.cluster} (${version.gitVersion})` };
+    } catch (error) {
+      return { healthy: false, details: error.message };
+    }
+  }
+
+  /**
+   * Resolve a registry resource to the namespace it names
+   * @private
+   * @param {string} resourceId - "k8s:<cluster>/<namespace>"
+   * @returns {object} - { cluster, namespace }
+   */
+  _parseResource(resourceId) {
+    const match = resourceId.match(/^k8s:([^/]+)\/([a-z0-9]([-a-z0-9]*[a-z0-9])?)\/?$/);
+    if (!match) {
+      throw new Error(`Unsupported Kubernetes resource: ${resourceId}`);
+    }
+    if (match[1] !== this.cluster) {
+      throw new Error(`Resource ${resourceId} is not in cluster ${this.cluster}`);
+    }
+    return { cluster: match[1], namespace: match[2] };
+  }
+
+  /**
+   * Translate a registry action into a Role rule. Only concrete actions are accepted: a
+   * wildcard would grant actions the registry denies (e.g. "*:*" includes "secrets:get").
+   * @private
+   * @param {string} action - "<resource>[.<group>]:<verb>"
+   * @returns {object} - The rule ({ apiGroups, resources, verbs })
+   */
+  _ruleForAction(action) {
+    const match = action.match(/^([a-z][a-z0-9/-]*)(?:\.([a-z0-9.-]+))?:([a-z]+)$/i);
+    if (!match) {
+      throw new Error(`Unsupported Kubernetes action: ${action}`);
+    }
+    const [, resource, group, verb] = match;
+    return {
+      apiGroups: [group || ''],
+      resources: [resource],
+      verbs: [verb]
+    };
+  }
+
+  /**
+   * Build a unique object name from a principal ID (a DNS label of at most 63 characters)
+   * @private
+   */
+  _objectName(principalId) {
+    const base = `frost-${principalId}`.toLowerCase().replace(/[^a-z0-9-]+/g, '-').slice(0, 54).replace(/-+$/, '');
+    return `${base}-${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * @private
+   */
+  _metadata(name, annotations) {
+    return { name, labels: { [MANAGED_BY_LABEL]: MANAGED_BY }, annotations };
+  }
+
+  /**
+   * Send a request to the API server
+   * @private
+   * @returns {Promise<object|null>} - The parsed response body
+   */
+  _request(method, path, body = null) {
+    if (!this.server) {
+      return Promise.reject(new Error('K8S_API_SERVER is not configured'));
+    }
+    const url = new URL(path, this.server);
+    const transport = url.protocol === 'https:' ? https : http;
+    const payload = body ? JSON.stringify(body) : null;
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request(url, {
+        method,
+        ca: this.ca,
+        headers: {
+          Accept: 'application/json',
+          ...(this.token && { Authorization: `Bearer ${this.token}` }),
+          ...(payload && { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) })
+        }
+      }, response => {
+        let data = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => { data += chunk; });
+        response.on('end', () => {
+          let parsed = null;
+          try {
+            parsed = data ? JSON.parse(data) : null;
+          } catch (error) {
+            parsed = null;
+          }
+          if (response.statusCode >= 400) {
+            // The API server answers errors with a Status object
+            const error = new Error((parsed && parsed.message) || `Kubernetes API returned ${response.statusCode}`);
+            error.statusCode = response.statusCode;
+            reject(error);
+          } else {
+            resolve(parsed);
+          }
+        });
+      });
+      request.on('error', reject);
+      request.setTimeout(30000, () => request.destroy(new Error(`Kubernetes API request timed out: ${method} ${path}`)));
+      if (payload) {
+        request.write(payload);
+      }
+      request.end();
+    });
+  }
+}
+
+module.exports = KubernetesRbacConnector;
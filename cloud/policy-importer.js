@@ -0,0 +1,264 @@
+const { resourceKey, principalKey, hasWildcard } = require('./resource-path');
+const { CLOUD_PROVIDERS } = require('./provider-registry');
+
+// Resource paths may end in "/*" (see resource-path.js) but cannot hold other wildcards
+const isMappableResource = (resource) => !hasWildcard(resource, true);
+
+const toList = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+class PolicyImporter {
+  /**
+   * @param {object} [registry] - AccessControlRegistry contract connected to a signer with
+   * ADMIN_ROLE and OPERATOR_ROLE; only needed to apply plans
+   */
+  constructor(registry = null) {
+    this.registry = registry;
+  }
+
+  /**
+   * Create an empty import plan. Plans list the registry policies, grants and deny rules to
+   * create, and every source construct that could not be mapped.
+   * @returns {object} - { policies, grants, denies, unmapped }
+   */
+  createPlan() {
+    return { policies: [], grants: [], denies: [], unmapped: [] };
+  }
+
+  /**
+   * Translate an AWS IAM policy document into registry changes. Allow statements become
+   * grants and Deny statements deny rules on each resource ARN.
+   * @param {object|string} policyDocument - IAM policy JSON (Version/Statement)
+   * @param {string} [principalId] - Principal an identity policy is attached to; resource
+   * policies name their principals in each statement
+   * @param {object} [plan] - Plan to add to, e.g. when importing several policies
+   * @returns {object} - The import plan
+   */
+  planAwsPolicy(policyDocument, principalId, plan = this.createPlan()) {
+    const document = typeof policyDocument === 'string' ? JSON.parse(policyDocument) : policyDocument;
+    const statements = toList(document && document.Statement);
+    if (statements.length === 0) {
+      throw new Error('Policy document has no statements');
+    }
+
+    statements.forEach((statement, i) => {
+      const source = statement.Sid ? `Statement ${statement.Sid}` : `Statement[${i}]`;
+      const unmapped = (construct, reason) => plan.unmapped.push({ source, construct, reason });
+
+      if (statement.Effect !== 'Allow' && statement.Effect !== 'Deny') {
+        return unmapped('Effect', `Unknown effect ${statement.Effect}`);
+      }
+      for (const negation of ['NotAction', 'NotResource', 'NotPrincipal']) {
+        if (statement[negation] !== undefined) {
+          return unmapped(negation, 'The registry has no rules for everything except a list');
+        }
+      }
+      // Importing the statement without its condition would change what it allows or denies
+      if (statement.Condition !== undefined) {
+        return unmapped('Condition', 'Registry conditions apply to a whole resource policy; set them with setPolicyConditions');
+      }
+
+      const actions = toList(statement.Action);
+      if (actions.length === 0) {
+        return unmapped('Action', 'Statement has no actions');
+      }
+
+      const principals = this._awsPrincipals(statement, principalId, unmapped);
+      const deny = statement.Effect === 'Deny';
+
+      for (const resource of toList(statement.Resource)) {
+        if (typeof resource !== 'string' || !resource.startsWith('arn:') || !isMappableResource(resource)) {
+          unmapped('Resource', `${resource} is not an ARN whose only wildcard is a trailing "/*"`);
+          continue;
+        }
+        for (const principal of principals) {
+          for (const action of actions) {
+            this._addRule(plan, deny, 'aws', resource, principal, action, source);
+          }
+        }
+      }
+    });
+
+    return plan;
+  }
+
+  /**
+   * Translate Azure role assignments into registry grants on their scopes
+   * @param {Array} roleAssignments - Role assignments, e.g. from AzureIamConnector.getRoleAssignments
+   * @param {Array} roleDefinitions - Role definitions, e.g. from AzureIamConnector.getRoleDefinitions
+   * @param {object} [plan] - Plan to add to
+   * @returns {object} - The import plan
+   */
+  planAzureRoleAssignments(roleAssignments, roleDefinitions, plan = this.createPlan()) {
+    const definitions = new Map(roleDefinitions.map(definition => [definition.id.toLowerCase(), definition]));
+
+    for (const assignment of roleAssignments) {
+      const source = `Role assignment ${assignment.name || assignment.id}`;
+      const unmapped = (construct, reason) => plan.unmapped.push({ source, construct, reason });
+      const definition = definitions.get(String(assignment.roleDefinitionId).toLowerCase());
+
+      if (!definition) {
+        unmapped('roleDefinitionId', `Role definition ${assignment.roleDefinitionId} was not provided`);
+        continue;
+      }
+      if (assignment.condition) {
+        unmapped('condition', 'Registry conditions apply to a whole resource policy; set them with setPolicyConditions');
+        continue;
+      }
+      if (!assignment.scope || assignment.scope === '/') {
+        unmapped('scope', 'The root scope has no registry resource path');
+        continue;
+      }
+
+      // Granting only the actions of a role that excludes some would widen it
+      const permissions = definition.permissions || [];
+      if (permissions.some(p => (p.notActions || []).length > 0 || (p.notDataActions || []).length > 0)) {
+        unmapped('notActions', `${definition.roleName} excludes actions, which the registry cannot express`);
+        continue;
+      }
+
+      const actions = permissions.flatMap(p => [...(p.actions || []), ...(p.dataActions || [])]);
+      if (actions.length === 0) {
+        unmapped('permissions', `${definition.roleName} has no actions`);
+        continue;
+      }
+
+      for (const action of actions) {
+        this._addRule(plan, false, 'azure', assignment.scope, assignment.principalId, action, source);
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Apply a plan to the registry. Policies are created without FROST protection; grants on
+   * existing FROST-protected resources are skipped since they need signed changes. Deny rules
+   * are added before grants, and a resource's grants are skipped if one of its deny rules could
+   * not be added, so no access is imported without the restrictions that came with it.
+   * @param {object} plan - Plan from planAwsPolicy/planAzureRoleAssignments
+   * @returns {Promise<Array>} - One result per change: { type, ..., status, txHash | reason }
+   */
+  async apply(plan) {
+    if (!this.registry) {
+      throw new Error('A registry contract is required to apply a plan');
+    }
+
+    const results = [];
+    const protectedPaths = new Set();
+    const failedDenyPaths = new Set();
+
+    for (const policy of plan.policies) {
+      const existing = await this.registry.resourcePolicies(resourceKey(policy.resourcePath));
+      if (existing.created > 0) {
+        if (existing.requiresFrostSig) {
+          protectedPaths.add(policy.resourcePath);
+        }
+        results.push({ type: 'policy', ...policy, status: 'exists' });
+        continue;
+      }
+      results.push(await this._send({ type: 'policy', ...policy }, () => this.registry.createResourcePolicy(
+        resourceKey(policy.resourcePath), policy.cloudProvider, 0, false
+      )));
+    }
+
+    for (const deny of plan.denies) {
+      const resourceId = resourceKey(deny.resourcePath);
+      const principalId = principalKey(deny.principal);
+      if ((await this.registry.getDeniedActions(resourceId, principalId)).includes(deny.action)) {
+        results.push({ type: 'deny', ...deny, status: 'exists' });
+        continue;
+      }
+      const result = await this._send({ type: 'deny', ...deny }, () => this.registry.addDenyRule(
+        resourceId, principalId, deny.action
+      ));
+      if (result.status === 'failed') {
+        failedDenyPaths.add(deny.resourcePath);
+      }
+      results.push(result);
+    }
+
+    for (const grant of plan.grants) {
+      if (protectedPaths.has(grant.resourcePath)) {
+        results.push({ type: 'grant', ...grant, status: 'skipped', reason: 'Resource requires FROST-signed changes' });
+        continue;
+      }
+      if (failedDenyPaths.has(grant.resourcePath)) {
+        results.push({ type: 'grant', ...grant, status: 'skipped', reason: 'A deny rule on the resource could not be added' });
+        continue;
+      }
+      results.push(await this._send({ type: 'grant', ...grant }, () => this.registry.grantPermission(
+        resourceKey(grant.resourcePath), principalKey(grant.principal), grant.action
+      )));
+    }
+
+    return results;
+  }
+
+  /**
+   * Principals of a statement: its Principal element, or the principal the identity policy
+   * is attached to
+   * @private
+   */
+  _awsPrincipals(statement, principalId, unmapped) {
+    if (statement.Principal === undefined) {
+      if (!principalId) {
+        unmapped('Principal', 'Identity policies need the principal they are attached to');
+        return [];
+      }
+      return [principalId];
+    }
+
+    if (statement.Principal === '*') {
+      unmapped('Principal', 'Anonymous access ("*") cannot be granted in the registry');
+      return [];
+    }
+
+    const principals = [];
+    for (const [type, values] of Object.entries(statement.Principal)) {
+      if (type !== 'AWS') {
+        unmapped(`Principal.${type}`, 'Only AWS account, user and role principals can be imported');
+        continue;
+      }
+      for (const value of toList(values)) {
+        if (value === '*') {
+          unmapped('Principal.AWS', 'Anonymous access ("*") cannot be granted in the registry');
+        } else {
+          principals.push(value);
+        }
+      }
+    }
+    return principals;
+  }
+
+  /**
+   * Add a grant or deny rule and the policy of its resource, once each
+   * @private
+   */
+  _addRule(plan, deny, provider, resourcePath, principal, action, source) {
+    if (!plan.policies.some(policy => policy.resourcePath === resourcePath)) {
+      plan.policies.push({ resourcePath, cloudProvider: CLOUD_PROVIDERS[provider] });
+    }
+
+    const rules = deny ? plan.denies : plan.grants;
+    if (!rules.some(rule => rule.resourcePath === resourcePath && rule.principal === principal && rule.action === action)) {
+      rules.push({ resourcePath, principal, action, source });
+    }
+  }
+
+  /**
+   * Send a registry transaction, recording failures instead of aborting the import
+   * @private
+   */
+  async _send(change, sendTransaction) {
+    try {
+      const tx = await sendTransaction();
+      await tx.wait();
+      return { ...change, status: 'applied', txHash: tx.hash };
+    } catch (error) {
+      console.error(`Error applying ${change.type} on ${change.resourcePath}:`, error.message);
+      return { ...change, status: 'failed', reason: error.message };
+    }
+  }
+}
+
+module.exports = PolicyImporter;
@@ -0,0 +1,53 @@
+const { CONNECTOR_METHODS } = require('./cloud-connector');
+
+// Cloud provider codes stored in registry policies
+const CLOUD_PROVIDERS = { aws: 1, azure: 2, gcp: 3, kubernetes: 4 };
+
+class ProviderRegistry {
+  constructor() {
+    this.connectors = new Map();
+  }
+
+  /**
+   * Register the connector for a cloud provider code
+   * @param {number} code - The policy's cloudProvider code
+   * @param {object} connector - A connector implementing the CloudConnector methods
+   * @returns {ProviderRegistry} - This registry, for chaining
+   */
+  register(code, connector) {
+    const missing = CONNECTOR_METHODS.filter(method => typeof connector[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Connector for provider ${code} does not implement ${missing.join(', ')}`);
+    }
+    if (this.connectors.has(Number(code))) {
+      throw new Error(`A connector for provider ${code} is already registered`);
+    }
+    this.connectors.set(Number(code), connector);
+    return this;
+  }
+
+  /**
+   * @param {number} code - The policy's cloudProvider code
+   * @returns {object|null} - The connector, or null if none is registered for the code
+   */
+  get(code) {
+    return this.connectors.get(Number(code)) || null;
+  }
+
+  /**
+   * @param {string} provider - Provider name, as stored in grants (e.g. "aws")
+   * @returns {object|null} - The connector, or null if none is registered under the name
+   */
+  byName(provider) {
+    return [...this.connectors.values()].find(connector => connector.provider === provider) || null;
+  }
+
+  /**
+   * @returns {Array} - [code, connector] pairs in registration order
+   */
+  entries() {
+    return [...this.connectors.entries()];
+  }
+}
+
+module.exports = { ProviderRegistry, CLOUD_PROVIDERS };
@@ -0,0 +1,89 @@
+const { ethers } = require('ethers');
+
+// Azure scopes are key/value segment pairs; these keys never form a scope of their own
+const AZURE_SCOPE_ROOTS = /^(subscriptions?|providers)$/i;
+
+/**
+ * Expand a resource ID into the resource paths a policy may be attached to, most specific
+ * first. For an ARN the resource part is walked by '/' (with "prefix/*" before "prefix"),
+ * for an Azure scope each parent scope is listed, and other IDs are walked by '/'.
+ * @param {string} resourceId - ARN, Azure scope or other '/'-separated resource ID
+ * @returns {string[]} Candidate resource paths, starting with resourceId itself
+ */
+function resourcePathCandidates(resourceId) {
+  if (typeof resourceId !== 'string' || resourceId.length === 0) {
+    throw new Error('Resource ID must be a non-empty string');
+  }
+
+  const trimmed = resourceId.replace(/\/+$/, '');
+
+  if (trimmed.startsWith('arn:')) {
+    const parts = trimmed.split(':');
+    if (parts.length < 6) {
+      throw new Error(`Invalid ARN: ${resourceId}`);
+    }
+    const prefix = parts.slice(0, 5).join(':') + ':';
+    const segments = parts.slice(5).join(':').split('/');
+
+    const candidates = [trimmed];
+    for (let length = segments.length - 1; length >= 1; length--) {
+      const parent = prefix + segments.slice(0, length).join('/');
+      candidates.push(`${parent}/*`, parent);
+    }
+    return candidates;
+  }
+
+  // Keep any scheme such as "azure:" and the leading '/'
+  const [, scheme, path] = trimmed.match(/^([a-z]+:)?(.*)$/i);
+  const leadingSlash = path.startsWith('/') ? '/' : '';
+  const segments = path.split('/').filter(Boolean);
+  const isAzureScope = segments.length > 0 && AZURE_SCOPE_ROOTS.test(segments[0]);
+
+  const candidates = [trimmed];
+  for (let length = segments.length - 1; length >= 1; length--) {
+    // Only whole key/value pairs are Azure scopes, and ".../providers/<namespace>" is not one
+    if (isAzureScope && (length % 2 !== 0 || segments[length - 2].toLowerCase() === 'providers')) {
+      continue;
+    }
+    candidates.push((scheme || '') + leadingSlash + segments.slice(0, length).join('/'));
+  }
+  return candidates;
+}
+
+/**
+ * Whether a resource ID holds wildcard characters ('*' or '?'). Policy paths may end in "/*"
+ * to cover everything below a prefix; requested resources must be concrete.
+ * @param {string} resourceId - Resource ID or path
+ * @param {boolean} [allowPrefix] - Accept a trailing "/*"
+ * @returns {boolean}
+ */
+function hasWildcard(resourceId, allowPrefix = false) {
+  return /[*?]/.test(allowPrefix ? resourceId.replace(/\/\*$/, '') : resourceId);
+}
+
+/**
+ * On-chain key of a resource path. Paths are hashed since most exceed 31 bytes.
+ * @param {string} resourcePath - Resource path as returned by resourcePathCandidates
+ * @returns {string} bytes32 hex key
+ */
+function resourceKey(resourcePath) {
+  return ethers.keccak256(ethers.toUtf8Bytes(resourcePath));
+}
+
+/**
+ * On-chain key of a principal: the bytes32 string for short IDs, so they can be decoded
+ * again, otherwise the hash (e.g. for IAM ARNs and Azure object IDs)
+ * @param {string} principalId - Principal ID, e.g. "user:alice@example.com"
+ * @returns {string} bytes32 hex key
+ */
+function principalKey(principalId) {
+  const bytes = ethers.toUtf8Bytes(principalId);
+  return bytes.length <= 31 ? ethers.encodeBytes32String(principalId) : ethers.keccak256(bytes);
+}
+
+module.exports = {
+  resourcePathCandidates,
+  hasWildcard,
+  resourceKey,
+  principalKey
+};
@@ -0,0 +1,172 @@
+const fs = require('fs');
+
+// Registry events after which issued access may no longer be allowed: revoked grants, new
+// conditions and deny rules on the resource they name, and group membership changes, which can
+// take away grants or bring in a group's deny rules on any resource. A policy's expiry and FROST
+// requirement cannot change after it is created; expiry is enforced from policyExpiresAt.
+const RESOURCE_EVENTS = ['PermissionRevoked', 'PolicyConditionsUpdated', 'DenyRuleAdded'];
+const GLOBAL_EVENTS = ['GroupMemberAdded', 'GroupMemberRemoved'];
+
+class RevocationListener {
+  /**
+   * @param {object} registry - AccessControlRegistry contract (read access is enough)
+   * @param {object} connectors - Cloud connectors by provider name, e.g. { aws, azure }
+   * @param {object} options
+   * @param {string} options.checkpointPath - File recording the last processed block
+   * @param {number} [options.pollIntervalMs] - How often new blocks are checked
+   * @param {number} [options.startBlock] - Block to start from when there is no checkpoint yet
+   * @param {GrantsLedger} [options.ledger] - Ledger in which revoked grants are marked; access other
+   * grants in it still hold is left in place
+   */
+  constructor(registry, connectors = {}, options = {}) {
+    if (!options.checkpointPath) {
+      throw new Error('A checkpoint path is required');
+    }
+    this.registry = registry;
+    this.connectors = connectors;
+    this.checkpointPath = options.checkpointPath;
+    this.pollIntervalMs = options.pollIntervalMs || 2000;
+    this.startBlock = options.startBlock;
+    this.ledger = options.ledger || null;
+
+    // Cloud access handed out by the gateway that has not expired yet
+    this.issued = [];
+    this.timer = null;
+    this.polling = null;
+  }
+
+  /**
+   * Track access handed out by the gateway so it can be revoked
+   * @param {object} issuance - { provider: 'aws'|'azure', resourceId, principalId, action, expiresAt,
+   * policyExpiresAt, windowEndsAt } plus roleArn and sessionName for AWS, or scope and roleAssignmentName for Azure.
+   * resourceId is the registry key of the policy that allowed the access; windowEndsAt is when the
+   * time window of the grant that allowed it closes, if before expiresAt. Times are in milliseconds.
+   * grantId, if set, is the issuance's id in the grants ledger.
+   */
+  track(issuance) {
+    this.issued.push(issuance);
+  }
+
+  /**
+   * Start polling for new registry events
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      if (!this.polling) {
+        this.polling = this.poll()
+          .catch(error => console.error('Error processing revocations:', error))
+          .finally(() => { this.polling = null; });
+      }
+    }, this.pollIntervalMs);
+    // The listener must not keep the process alive
+    this.timer.unref();
+  }
+
+  /**
+   * Stop polling; waits for a poll in progress
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.polling;
+  }
+
+  /**
+   * Process registry events since the checkpoint and revoke access that is no longer allowed,
+   * including access whose policy has expired. Access whose grant window has closed is checked
+   * again on every poll, since another grant may still allow it.
+   * @returns {Promise<Array>} - The revoked issuances
+   */
+  async poll() {
+    const latest = await this.registry.runner.provider.getBlockNumber();
+    const checkpoint = this._readCheckpoint();
+    const fromBlock = checkpoint === null ? (this.startBlock ?? latest) : checkpoint + 1;
+
+    const now = Date.now();
+    this.issued = this.issued.filter(issuance => issuance.expiresAt > now);
+
+    let recheckAll = false;
+    const resourceIds = new Set();
+    if (fromBlock <= latest) {
+      for (const name of [...RESOURCE_EVENTS, ...GLOBAL_EVENTS]) {
+        const events = await this.registry.queryFilter(this.registry.filters[name](), fromBlock, latest);
+        if (GLOBAL_EVENTS.includes(name)) {
+          recheckAll = recheckAll || events.length > 0;
+        } else {
+          events.forEach(event => resourceIds.add(event.args.resourceId));
+        }
+      }
+    }
+
+    const revoked = [];
+    for (const issuance of this.issued) {
+      let allowed = !issuance.pendingRevocation && !(issuance.policyExpiresAt && issuance.policyExpiresAt <= now);
+      const windowClosed = issuance.windowEndsAt && issuance.windowEndsAt <= now;
+      if (allowed && (recheckAll || windowClosed || resourceIds.has(issuance.resourceId))) {
+        const decision = await this.registry.evaluateAccess(issuance.resourceId, issuance.principalId, issuance.action);
+        allowed = decision.allowed;
+      }
+      if (allowed) {
+        continue;
+      }
+      try {
+        await this._revoke(issuance);
+        revoked.push(issuance);
+      } catch (error) {
+        // Retried on every poll, independent of the events already processed
+        issuance.pendingRevocation = true;
+        console.error(`Error revoking ${issuance.provider} access for ${issuance.principalId}:`, error);
+      }
+    }
+    this.issued = this.issued.filter(issuance => !revoked.includes(issuance));
+
+    this._writeCheckpoint(latest);
+    return revoked;
+  }
+
+  /**
+   * Remove issued access in the cloud
+   * @private
+   */
+  async _revoke(issuance) {
+    const connector = this.connectors[issuance.provider];
+    if (!connector) {
+      throw new Error(`Unsupported cloud provider: ${issuance.provider}`);
+    }
+    const grant = this.ledger && issuance.grantId ? this.ledger.get(issuance.grantId) : null;
+    if (!grant || !this.ledger.accessStillHeld(grant)) {
+      await connector.revoke(issuance);
+    }
+    if (grant) {
+      this.ledger.setStatus(issuance.grantId, 'revoked', 'Permission no longer allowed by the registry');
+    }
+    console.log(`[Revocation] Revoked ${issuance.action} for ${issuance.principalId} on ${issuance.resourceId} (${issuance.provider})`);
+  }
+
+  /**
+   * @private
+   * @returns {number|null} - The last processed block, or null without a checkpoint
+   */
+  _readCheckpoint() {
+    if (!fs.existsSync(this.checkpointPath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(this.checkpointPath, 'utf8')).lastProcessedBlock;
+  }
+
+  /**
+   * Write the checkpoint atomically so a crash never leaves a partial file
+   * @private
+   */
+  _writeCheckpoint(blockNumber) {
+    const tempPath = `${this.checkpointPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ lastProcessedBlock: blockNumber, updatedAt: new Date().toISOString() }));
+    fs.renameSync(tempPath, this.checkpointPath);
+  }
+}
+
+module.exports = RevocationListener;
@@ -0,0 +1,41 @@
+// Same semantics as TimeWindow.sol: whether a grant's window is active at a time in seconds.
+// Zero values mean "no restriction"; daily windows and weekdays are in UTC.
+const isWindowActive = (window, timestamp) => {
+  const validFrom = Number(window.validFrom);
+  const validUntil = Number(window.validUntil);
+  const dailyStart = Number(window.dailyStartMinute);
+  const dailyEnd = Number(window.dailyEndMinute);
+  const weekdays = Number(window.weekdays);
+
+  if (timestamp < validFrom || (validUntil !== 0 && timestamp >= validUntil)) {
+    return false;
+  }
+  // 1 January 1970 was a Thursday
+  const weekday = (Math.floor(timestamp / 86400) + 4) % 7;
+  if (weekdays !== 0 && ((weekdays >> weekday) & 1) === 0) {
+    return false;
+  }
+  const minute = Math.floor((timestamp % 86400) / 60);
+  if (dailyStart < dailyEnd) {
+    return minute >= dailyStart && minute < dailyEnd;
+  }
+  if (dailyStart > dailyEnd) {
+    return minute >= dailyStart || minute < dailyEnd;
+  }
+  return true;
+};
+
+// First time in (from, until], in seconds, at which the window is no longer active, or null if
+// it stays active throughout. Apart from validUntil, windows only change on whole minutes.
+const windowEnd = (window, from, until) => {
+  const validUntil = Number(window.validUntil);
+  let end = validUntil !== 0 && validUntil > from && validUntil <= until ? validUntil : null;
+  for (let minute = Math.floor(from / 60) * 60 + 60; minute <= until && (end === null || minute < end); minute += 60) {
+    if (!isWindowActive(window, minute)) {
+      end = minute;
+    }
+  }
+  return end;
+};
+
+module.exports = { isWindowActive, windowEnd };
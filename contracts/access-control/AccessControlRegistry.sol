@@ -3,41 +3,117 @@ pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 import "./FrostMultiSig.sol";
+import "./ActionPattern.sol";
+import "./TimeWindow.sol";
+import "../crypto/FrostVerifier.sol";
 
-contract AccessControlRegistry is AccessControl, Pausable {
+contract AccessControlRegistry is AccessControl, Pausable, EIP712, FrostVerifier {
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+    using TimeWindow for TimeWindow.Window;
+    
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
     bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
     
+    // Deepest chain of nested groups above a principal; memberships that would exceed it are rejected
+    uint256 public constant MAX_GROUP_DEPTH = 4;
+    
+    // EIP-712 types of a permission change signed by the FROST group
+    bytes32 public constant TIME_WINDOW_TYPEHASH = keccak256(
+        "TimeWindow(uint32 validFrom,uint32 validUntil,uint16 dailyStartMinute,uint16 dailyEndMinute,uint8 weekdays)"
+    );
+    bytes32 public constant PERMISSION_CHANGE_TYPEHASH = keccak256(
+        "PermissionChange(bytes32 resourceId,bytes32 principalId,string action,bool grant,TimeWindow window,uint256 nonce,uint256 deadline)"
+        "TimeWindow(uint32 validFrom,uint32 validUntil,uint16 dailyStartMinute,uint16 dailyEndMinute,uint8 weekdays)"
+    );
+    bytes32 public constant POLICY_CONDITIONS_CHANGE_TYPEHASH = keccak256(
+        "PolicyConditionsChange(bytes32 resourceId,bytes32 conditionsHash,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant DENY_RULE_REMOVAL_TYPEHASH = keccak256(
+        "DenyRuleRemoval(bytes32 resourceId,bytes32 principalId,string action,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant GROUP_MEMBERSHIP_CHANGE_TYPEHASH = keccak256(
+        "GroupMembershipChange(bytes32 groupId,bytes32 memberId,bool add,uint256 nonce,uint256 deadline)"
+    );
+    
     // Maps cloud resource to its access control policy
     mapping(bytes32 => Policy) public resourcePolicies;
     
-    // Maps principal ID to its permissions
-    mapping(bytes32 => mapping(bytes32 => bool)) public permissions;
+    // Maps resource ID and principal ID to the hashes of the action patterns granted
+    mapping(bytes32 => mapping(bytes32 => EnumerableSet.Bytes32Set)) private _grantedActions;
+    
+    // Maps resource ID and principal ID to the hashes of the action patterns explicitly denied
+    mapping(bytes32 => mapping(bytes32 => EnumerableSet.Bytes32Set)) private _deniedActions;
+    
+    // Maps an action pattern hash to the pattern, e.g. "s3:Get*"
+    mapping(bytes32 => string) private _actionPatterns;
+    
+    // Maps resource ID, principal ID and action pattern hash to the validity window of the grant
+    mapping(bytes32 => mapping(bytes32 => mapping(bytes32 => TimeWindow.Window))) private _grantWindows;
+    
+    // Maps resource ID to the nonce of its next FROST-signed change
+    mapping(bytes32 => uint256) public frostNonces;
+    
+    // Maps group ID to the nonce of its next FROST-signed membership change
+    mapping(bytes32 => uint256) public groupFrostNonces;
+    
+    // Maps principal ID to the number of its grants, and of its deny rules, on resources that
+    // require FROST signatures; membership changes of groups holding them must be signed too
+    mapping(bytes32 => uint256) private _protectedGrantCount;
+    mapping(bytes32 => uint256) private _protectedDenyCount;
+    
+    // Group principals; a group can be granted permissions like any other principal
+    mapping(bytes32 => bool) public isGroup;
+    
+    // Maps group ID to its members (principals or nested groups)
+    mapping(bytes32 => EnumerableSet.Bytes32Set) private _groupMembers;
+    
+    // Maps principal ID to the groups it is a direct member of
+    mapping(bytes32 => EnumerableSet.Bytes32Set) private _memberOf;
     
     // Policy structure (packed for gas optimization)
     struct Policy {
         uint32 created;           // Timestamp when created
         uint32 updated;           // Timestamp when last updated
         uint32 expiryTime;        // Expiry timestamp (0 = never)
-        uint8 cloudProvider;      // 1=AWS, 2=Azure, 3=GCP, etc.
+        uint8 cloudProvider;      // 1=AWS, 2=Azure, 3=GCP, 4=Kubernetes, etc.
         bool requiresFrostSig;    // Requires FROST signature for changes
+        bytes32 conditionsHash;   // Hash of the ABAC condition set the gateway enforces (0 = none)
     }
     
     // Events
     event PolicyCreated(bytes32 indexed resourceId, uint8 cloudProvider);
     event PolicyUpdated(bytes32 indexed resourceId, address updatedBy);
-    event PermissionGranted(bytes32 indexed resourceId, bytes32 indexed principalId, address grantedBy);
-    event PermissionRevoked(bytes32 indexed resourceId, bytes32 indexed principalId, address revokedBy);
+    event PolicyConditionsUpdated(bytes32 indexed resourceId, bytes32 conditionsHash, address updatedBy);
+    event PermissionGranted(
+        bytes32 indexed resourceId,
+        bytes32 indexed principalId,
+        string action,
+        TimeWindow.Window window,
+        address grantedBy
+    );
+    event PermissionRevoked(bytes32 indexed resourceId, bytes32 indexed principalId, string action, address revokedBy);
+    event DenyRuleAdded(bytes32 indexed resourceId, bytes32 indexed principalId, string action, address addedBy);
+    event DenyRuleRemoved(bytes32 indexed resourceId, bytes32 indexed principalId, string action, address removedBy);
+    event GroupCreated(bytes32 indexed groupId, address createdBy);
+    event GroupMemberAdded(bytes32 indexed groupId, bytes32 indexed memberId, address addedBy);
+    event GroupMemberRemoved(bytes32 indexed groupId, bytes32 indexed memberId, address removedBy);
     
     FrostMultiSig public frostMultiSig;
     
-    constructor(address adminAddress, address frostMultiSigAddress) {
+    constructor(address adminAddress, address frostMultiSigAddress) EIP712("AccessControlRegistry", "1") {
         _grantRole(DEFAULT_ADMIN_ROLE, adminAddress);
         _grantRole(ADMIN_ROLE, adminAddress);
         frostMultiSig = FrostMultiSig(frostMultiSigAddress);
     }
     
+    // Admin sets or rotates the FROST group public key (compressed secp256k1 point)
+    function setFrostGroupKey(bytes calldata groupPublicKey) external onlyRole(ADMIN_ROLE) {
+        _setFrostGroupKey(groupPublicKey);
+    }
+    
     // Create a new resource policy
     function createResourcePolicy(
         bytes32 resourceId,
@@ -52,18 +128,552 @@ contract AccessControlRegistry is AccessControl, Pausable {
             updated: uint32(block.timestamp),
             expiryTime: expiryTime,
             cloudProvider: cloudProvider,
-            requiresFrostSig: requiresFrostSig
+            requiresFrostSig: requiresFrostSig,
+            conditionsHash: bytes32(0)
         });
         
         emit PolicyCreated(resourceId, cloudProvider);
     }
+
+    // Find the policy that governs a resource, given its path from most to least specific
+    // (e.g. an S3 object, "bucket/prefix/*", then the bucket). A policy attached to a prefix
+    // applies to all children that have no policy of their own.
+    function findResourcePolicy(
+        bytes32[] calldata resourcePath
+    ) external view returns (bool found, uint256 index) {
+        for (uint256 i = 0; i < resourcePath.length; i++) {
+            if (resourcePolicies[resourcePath[i]].created != 0) {
+                return (true, i);
+            }
+        }
+        return (false, 0);
+    }
+
+    // Anchor the hash of the condition set (source IP, MFA, request time, tags) that access
+    // requests must satisfy, on a resource that does not require FROST signatures.
+    // Zero removes the conditions.
+    function setPolicyConditions(
+        bytes32 resourceId,
+        bytes32 conditionsHash
+    ) external onlyRole(ADMIN_ROLE) whenNotPaused {
+        require(!resourcePolicies[resourceId].requiresFrostSig, "FROST signature required");
+        _setPolicyConditions(resourceId, conditionsHash);
+    }
     
-    // Grant permission to a principal
-    function grantPermission(
+    // Anchor a condition set with a FROST signature of the group over the typed change
+    function setPolicyConditionsWithFrostSig(
+        bytes32 resourceId,
+        bytes32 conditionsHash,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external onlyRole(ADMIN_ROLE) whenNotPaused {
+        bytes32 digest = policyConditionsChangeHash(resourceId, conditionsHash, nonce, deadline);
+        _consumeFrostSig(resourceId, digest, nonce, deadline, signature);
+        _setPolicyConditions(resourceId, conditionsHash);
+    }
+    
+    // EIP-712 digest of a condition set change signed by the FROST group
+    function policyConditionsChangeHash(
+        bytes32 resourceId,
+        bytes32 conditionsHash,
+        uint256 nonce,
+        uint256 deadline
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            POLICY_CONDITIONS_CHANGE_TYPEHASH,
+            resourceId,
+            conditionsHash,
+            nonce,
+            deadline
+        )));
+    }
+    
+    // Deny an action pattern to a principal or group, overriding any grant that allows it.
+    // Denying only narrows access, so it needs no FROST signature.
+    function addDenyRule(
+        bytes32 resourceId,
+        bytes32 principalId,
+        string calldata action
+    ) external onlyRole(OPERATOR_ROLE) {
+        require(resourcePolicies[resourceId].created > 0, "Policy doesn't exist");
+        require(bytes(action).length > 0, "Action is required");
+        
+        bytes32 actionHash = keccak256(bytes(action));
+        _actionPatterns[actionHash] = action;
+        require(_deniedActions[resourceId][principalId].add(actionHash), "Deny rule already exists");
+        if (resourcePolicies[resourceId].requiresFrostSig) {
+            _protectedDenyCount[principalId]++;
+        }
+        resourcePolicies[resourceId].updated = uint32(block.timestamp);
+        
+        emit DenyRuleAdded(resourceId, principalId, action, msg.sender);
+    }
+    
+    // Removing a deny rule can widen access, so it is reserved for admins, on a resource that
+    // does not require FROST signatures
+    function removeDenyRule(
+        bytes32 resourceId,
+        bytes32 principalId,
+        string calldata action
+    ) external onlyRole(ADMIN_ROLE) {
+        require(!resourcePolicies[resourceId].requiresFrostSig, "FROST signature required");
+        _removeDenyRule(resourceId, principalId, action);
+    }
+    
+    // Remove a deny rule with a FROST signature of the group over the typed change
+    function removeDenyRuleWithFrostSig(
+        bytes32 resourceId,
+        bytes32 principalId,
+        string calldata action,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external onlyRole(ADMIN_ROLE) {
+        bytes32 digest = denyRuleRemovalHash(resourceId, principalId, action, nonce, deadline);
+        _consumeFrostSig(resourceId, digest, nonce, deadline, signature);
+        _removeDenyRule(resourceId, principalId, action);
+    }
+    
+    // EIP-712 digest of a deny rule removal signed by the FROST group
+    function denyRuleRemovalHash(
+        bytes32 resourceId,
+        bytes32 principalId,
+        string memory action,
+        uint256 nonce,
+        uint256 deadline
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            DENY_RULE_REMOVAL_TYPEHASH,
+            resourceId,
+            principalId,
+            keccak256(bytes(action)),
+            nonce,
+            deadline
+        )));
+    }
+    
+    function getDeniedActions(
         bytes32 resourceId,
         bytes32 principalId
+    ) external view returns (string[] memory actions) {
+        EnumerableSet.Bytes32Set storage denied = _deniedActions[resourceId][principalId];
+        actions = new string[](denied.length());
+        
+        for (uint256 i = 0; i < actions.length; i++) {
+            actions[i] = _actionPatterns[denied.at(i)];
+        }
+    }
+    
+    // Create a group principal, e.g. a team or role
+    function createGroup(bytes32 groupId) external onlyRole(ADMIN_ROLE) {
+        require(!isGroup[groupId], "Group already exists");
+        
+        isGroup[groupId] = true;
+        
+        emit GroupCreated(groupId, msg.sender);
+    }
+    
+    // Add a principal or another group to a group. The member inherits the grants of the group
+    // and the groups above it, so if any of them holds grants on a resource that requires FROST
+    // signatures, the change must be signed.
+    function addGroupMember(
+        bytes32 groupId,
+        bytes32 memberId
+    ) external onlyRole(OPERATOR_ROLE) whenNotPaused {
+        require(!_holdsProtectedRules(groupId, false), "FROST signature required");
+        _addGroupMember(groupId, memberId);
+    }
+    
+    // Add a group member with a FROST signature of the group over the typed change
+    function addGroupMemberWithFrostSig(
+        bytes32 groupId,
+        bytes32 memberId,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
     ) external onlyRole(OPERATOR_ROLE) whenNotPaused {
+        bytes32 digest = groupMembershipChangeHash(groupId, memberId, true, nonce, deadline);
+        _consumeGroupFrostSig(groupId, digest, nonce, deadline, signature);
+        _addGroupMember(groupId, memberId);
+    }
+    
+    // Remove a principal or nested group from a group. The member escapes the deny rules of the
+    // group and the groups above it, so if any of them holds deny rules on a resource that
+    // requires FROST signatures, the change must be signed.
+    function removeGroupMember(
+        bytes32 groupId,
+        bytes32 memberId
+    ) external onlyRole(OPERATOR_ROLE) {
+        require(!_holdsProtectedRules(groupId, true), "FROST signature required");
+        _removeGroupMember(groupId, memberId);
+    }
+    
+    // Remove a group member with a FROST signature of the group over the typed change
+    function removeGroupMemberWithFrostSig(
+        bytes32 groupId,
+        bytes32 memberId,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external onlyRole(OPERATOR_ROLE) {
+        bytes32 digest = groupMembershipChangeHash(groupId, memberId, false, nonce, deadline);
+        _consumeGroupFrostSig(groupId, digest, nonce, deadline, signature);
+        _removeGroupMember(groupId, memberId);
+    }
+    
+    // EIP-712 digest of a group membership change signed by the FROST group
+    function groupMembershipChangeHash(
+        bytes32 groupId,
+        bytes32 memberId,
+        bool add,
+        uint256 nonce,
+        uint256 deadline
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            GROUP_MEMBERSHIP_CHANGE_TYPEHASH,
+            groupId,
+            memberId,
+            add,
+            nonce,
+            deadline
+        )));
+    }
+    
+    function getGroupMembers(bytes32 groupId) external view returns (bytes32[] memory) {
+        return _groupMembers[groupId].values();
+    }
+    
+    // Groups a principal belongs to directly
+    function getGroupsOf(bytes32 principalId) external view returns (bytes32[] memory) {
+        return _memberOf[principalId].values();
+    }
+    
+    // Grant permission to a principal on a resource that does not require FROST signatures
+    function grantPermission(
+        bytes32 resourceId,
+        bytes32 principalId,
+        string calldata action
+    ) external onlyRole(OPERATOR_ROLE) whenNotPaused {
+        require(!resourcePolicies[resourceId].requiresFrostSig, "FROST signature required");
+        TimeWindow.Window memory always;
+        _grantPermission(resourceId, principalId, action, always);
+    }
+    
+    // Grant permission that is only valid within a time window, e.g. a 4-hour break-glass grant
+    function grantTimedPermission(
+        bytes32 resourceId,
+        bytes32 principalId,
+        string calldata action,
+        TimeWindow.Window calldata window
+    ) external onlyRole(OPERATOR_ROLE) whenNotPaused {
+        require(!resourcePolicies[resourceId].requiresFrostSig, "FROST signature required");
+        _grantPermission(resourceId, principalId, action, window);
+    }
+    
+    // Grant permission with a FROST signature of the group over the typed change
+    function grantPermissionWithFrostSig(
+        bytes32 resourceId,
+        bytes32 principalId,
+        string calldata action,
+        TimeWindow.Window calldata window,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external onlyRole(OPERATOR_ROLE) whenNotPaused {
+        bytes32 digest = permissionChangeHash(resourceId, principalId, action, true, window, nonce, deadline);
+        _consumeFrostSig(resourceId, digest, nonce, deadline, signature);
+        _grantPermission(resourceId, principalId, action, window);
+    }
+    
+    // Revoke permission from a principal on a resource that does not require FROST signatures
+    function revokePermission(
+        bytes32 resourceId,
+        bytes32 principalId,
+        string calldata action
+    ) external onlyRole(OPERATOR_ROLE) {
+        require(!resourcePolicies[resourceId].requiresFrostSig, "FROST signature required");
+        _revokePermission(resourceId, principalId, action);
+    }
+    
+    // Revoke permission with a FROST signature of the group over the typed change
+    function revokePermissionWithFrostSig(
+        bytes32 resourceId,
+        bytes32 principalId,
+        string calldata action,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external onlyRole(OPERATOR_ROLE) {
+        TimeWindow.Window memory always;
+        bytes32 digest = permissionChangeHash(resourceId, principalId, action, false, always, nonce, deadline);
+        _consumeFrostSig(resourceId, digest, nonce, deadline, signature);
+        _revokePermission(resourceId, principalId, action);
+    }
+    
+    // EIP-712 digest of a permission change; this is the message the FROST group signs.
+    // Revocations are signed with an all-zero window.
+    function permissionChangeHash(
+        bytes32 resourceId,
+        bytes32 principalId,
+        string memory action,
+        bool grant,
+        TimeWindow.Window memory window,
+        uint256 nonce,
+        uint256 deadline
+    ) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            PERMISSION_CHANGE_TYPEHASH,
+            resourceId,
+            principalId,
+            keccak256(bytes(action)),
+            grant,
+            keccak256(abi.encode(TIME_WINDOW_TYPEHASH, window)),
+            nonce,
+            deadline
+        )));
+    }
+    
+    // Check if a principal has been granted any action on a resource, directly or through groups.
+    // Only a deny rule for "*" overrides this check; use the action-aware overload for others.
+    function hasPermission(
+        bytes32 resourceId,
+        bytes32 principalId
+    ) external view returns (bool) {
+        if (!_isPolicyActive(resourceId)) {
+            return false;
+        }
+        
+        (, bytes32 denyHash) = _findRule(true, resourceId, principalId, "", true, 0);
+        if (denyHash != bytes32(0)) {
+            return false;
+        }
+        
+        (, bytes32 actionHash) = _findRule(false, resourceId, principalId, "", true, 0);
+        return actionHash != bytes32(0);
+    }
+    
+    // Check if a principal may perform an action (e.g. "s3:GetObject") on a resource,
+    // directly or through groups
+    function hasPermission(
+        bytes32 resourceId,
+        bytes32 principalId,
+        string calldata action
+    ) external view returns (bool) {
+        (bool allowed, , , ) = evaluateAccess(resourceId, principalId, action);
+        return allowed;
+    }
+    
+    // Evaluate an access request with deny-overrides-allow semantics. Returns the rule that
+    // decided it: the principal or group it applies to and its action pattern, with denied
+    // set if an explicit deny rule matched.
+    function evaluateAccess(
+        bytes32 resourceId,
+        bytes32 principalId,
+        string calldata action
+    ) public view returns (bool allowed, bool denied, bytes32 ruleOwnerId, string memory actionPattern) {
+        if (!_isPolicyActive(resourceId)) {
+            return (false, false, bytes32(0), "");
+        }
+        
+        bytes32 actionHash;
+        (ruleOwnerId, actionHash) = _findRule(true, resourceId, principalId, action, false, 0);
+        if (actionHash != bytes32(0)) {
+            return (false, true, ruleOwnerId, _actionPatterns[actionHash]);
+        }
+        
+        (ruleOwnerId, actionHash) = _findRule(false, resourceId, principalId, action, false, 0);
+        if (actionHash != bytes32(0)) {
+            return (true, false, ruleOwnerId, _actionPatterns[actionHash]);
+        }
+    }
+    
+    // List the action patterns granted to a principal on a resource
+    function getPermittedActions(
+        bytes32 resourceId,
+        bytes32 principalId
+    ) external view returns (string[] memory actions) {
+        EnumerableSet.Bytes32Set storage granted = _grantedActions[resourceId][principalId];
+        actions = new string[](granted.length());
+        
+        for (uint256 i = 0; i < actions.length; i++) {
+            actions[i] = _actionPatterns[granted.at(i)];
+        }
+    }
+    
+    // List the grants of a principal on a resource with their windows and whether each is active now
+    function getPermissionGrants(
+        bytes32 resourceId,
+        bytes32 principalId
+    ) external view returns (string[] memory actions, TimeWindow.Window[] memory windows, bool[] memory active) {
+        EnumerableSet.Bytes32Set storage granted = _grantedActions[resourceId][principalId];
+        uint256 grantedLength = granted.length();
+        actions = new string[](grantedLength);
+        windows = new TimeWindow.Window[](grantedLength);
+        active = new bool[](grantedLength);
+        bool policyActive = _isPolicyActive(resourceId);
+        
+        for (uint256 i = 0; i < grantedLength; i++) {
+            bytes32 actionHash = granted.at(i);
+            actions[i] = _actionPatterns[actionHash];
+            windows[i] = _grantWindows[resourceId][principalId][actionHash];
+            active[i] = policyActive && windows[i].isActive(block.timestamp);
+        }
+    }
+    
+    // Depth-first search through the principal's own grants (or deny rules), then its groups
+    // up to MAX_GROUP_DEPTH. Returns the rule owner and the matching action hash (zero if none).
+    function _findRule(
+        bool deny,
+        bytes32 resourceId,
+        bytes32 principalId,
+        string memory action,
+        bool anyAction,
+        uint256 depth
+    ) internal view returns (bytes32 ownerId, bytes32 actionHash) {
+        actionHash = deny
+            ? _findDirectDeny(resourceId, principalId, action, anyAction)
+            : _findDirectGrant(resourceId, principalId, action, anyAction);
+        if (actionHash != bytes32(0)) {
+            return (principalId, actionHash);
+        }
+        
+        if (depth < MAX_GROUP_DEPTH) {
+            EnumerableSet.Bytes32Set storage groups = _memberOf[principalId];
+            uint256 groupsLength = groups.length();
+            
+            for (uint256 i = 0; i < groupsLength; i++) {
+                (ownerId, actionHash) = _findRule(deny, resourceId, groups.at(i), action, anyAction, depth + 1);
+                if (actionHash != bytes32(0)) {
+                    return (ownerId, actionHash);
+                }
+            }
+        }
+        
+        return (bytes32(0), bytes32(0));
+    }
+    
+    function _findDirectGrant(
+        bytes32 resourceId,
+        bytes32 principalId,
+        string memory action,
+        bool anyAction
+    ) internal view returns (bytes32) {
+        EnumerableSet.Bytes32Set storage granted = _grantedActions[resourceId][principalId];
+        uint256 grantedLength = granted.length();
+        
+        for (uint256 i = 0; i < grantedLength; i++) {
+            bytes32 actionHash = granted.at(i);
+            if ((anyAction || ActionPattern.matches(_actionPatterns[actionHash], action)) &&
+                _grantWindows[resourceId][principalId][actionHash].isActive(block.timestamp)) {
+                return actionHash;
+            }
+        }
+        
+        return bytes32(0);
+    }
+    
+    // With anyAction set only a deny rule for every action ("*") matches
+    function _findDirectDeny(
+        bytes32 resourceId,
+        bytes32 principalId,
+        string memory action,
+        bool anyAction
+    ) internal view returns (bytes32) {
+        EnumerableSet.Bytes32Set storage denied = _deniedActions[resourceId][principalId];
+        uint256 deniedLength = denied.length();
+        
+        for (uint256 i = 0; i < deniedLength; i++) {
+            bytes32 actionHash = denied.at(i);
+            if (anyAction
+                ? actionHash == keccak256(bytes("*"))
+                : ActionPattern.matches(_actionPatterns[actionHash], action)) {
+                return actionHash;
+            }
+        }
+        
+        return bytes32(0);
+    }
+    
+    // Whether groupId is nested (at any depth) inside memberId. Chains of groups never exceed
+    // MAX_GROUP_DEPTH, so the search is complete.
+    function _isNestedIn(bytes32 groupId, bytes32 memberId) internal view returns (bool) {
+        EnumerableSet.Bytes32Set storage parents = _memberOf[groupId];
+        uint256 parentsLength = parents.length();
+        
+        for (uint256 i = 0; i < parentsLength; i++) {
+            bytes32 parentId = parents.at(i);
+            if (parentId == memberId || _isNestedIn(parentId, memberId)) {
+                return true;
+            }
+        }
+        
+        return false;
+    }
+    
+    // Longest chain of groups above a principal or group
+    function _nestingAbove(bytes32 principalId) internal view returns (uint256 height) {
+        EnumerableSet.Bytes32Set storage parents = _memberOf[principalId];
+        uint256 parentsLength = parents.length();
+        
+        for (uint256 i = 0; i < parentsLength; i++) {
+            uint256 parentHeight = _nestingAbove(parents.at(i)) + 1;
+            if (parentHeight > height) {
+                height = parentHeight;
+            }
+        }
+    }
+    
+    // Longest chain of members below a group
+    function _nestingBelow(bytes32 groupId) internal view returns (uint256 depth) {
+        EnumerableSet.Bytes32Set storage members = _groupMembers[groupId];
+        uint256 membersLength = members.length();
+        
+        for (uint256 i = 0; i < membersLength; i++) {
+            uint256 memberDepth = _nestingBelow(members.at(i)) + 1;
+            if (memberDepth > depth) {
+                depth = memberDepth;
+            }
+        }
+    }
+    
+    // Whether a principal or any group above it holds grants (or deny rules) on resources that
+    // require FROST signatures
+    function _holdsProtectedRules(bytes32 principalId, bool deny) internal view returns (bool) {
+        if ((deny ? _protectedDenyCount[principalId] : _protectedGrantCount[principalId]) > 0) {
+            return true;
+        }
+        
+        EnumerableSet.Bytes32Set storage groups = _memberOf[principalId];
+        uint256 groupsLength = groups.length();
+        
+        for (uint256 i = 0; i < groupsLength; i++) {
+            if (_holdsProtectedRules(groups.at(i), deny)) {
+                return true;
+            }
+        }
+        
+        return false;
+    }
+    
+    function _isPolicyActive(bytes32 resourceId) internal view returns (bool) {
+        Policy storage policy = resourcePolicies[resourceId];
+        if (policy.created == 0) {
+            return false;
+        }
+        
+        return policy.expiryTime == 0 || block.timestamp < policy.expiryTime;
+    }
+    
+    function _grantPermission(
+        bytes32 resourceId,
+        bytes32 principalId,
+        string calldata action,
+        TimeWindow.Window memory window
+    ) internal {
         require(resourcePolicies[resourceId].created > 0, "Policy doesn't exist");
+        require(bytes(action).length > 0, "Action is required");
+        window.validate();
         
         if (resourcePolicies[resourceId].expiryTime > 0) {
             require(
@@ -72,40 +682,98 @@ contract AccessControlRegistry is AccessControl, Pausable {
             );
         }
         
-        permissions[resourceId][principalId] = true;
+        bytes32 actionHash = keccak256(bytes(action));
+        _actionPatterns[actionHash] = action;
+        if (_grantedActions[resourceId][principalId].add(actionHash) && resourcePolicies[resourceId].requiresFrostSig) {
+            _protectedGrantCount[principalId]++;
+        }
+        _grantWindows[resourceId][principalId][actionHash] = window;
         resourcePolicies[resourceId].updated = uint32(block.timestamp);
         
-        emit PermissionGranted(resourceId, principalId, msg.sender);
+        emit PermissionGranted(resourceId, principalId, action, window, msg.sender);
     }
     
-    // Revoke permission from a principal
-    function revokePermission(
-        bytes32 resourceId,
-        bytes32 principalId
-    ) external onlyRole(OPERATOR_ROLE) {
+    function _revokePermission(bytes32 resourceId, bytes32 principalId, string calldata action) internal {
         require(resourcePolicies[resourceId].created > 0, "Policy doesn't exist");
         
-        permissions[resourceId][principalId] = false;
+        bytes32 actionHash = keccak256(bytes(action));
+        if (_grantedActions[resourceId][principalId].remove(actionHash) && resourcePolicies[resourceId].requiresFrostSig) {
+            _protectedGrantCount[principalId]--;
+        }
+        delete _grantWindows[resourceId][principalId][actionHash];
         resourcePolicies[resourceId].updated = uint32(block.timestamp);
         
-        emit PermissionRevoked(resourceId, principalId, msg.sender);
+        emit PermissionRevoked(resourceId, principalId, action, msg.sender);
     }
     
-    // Check if a principal has permission to a resource
-    function hasPermission(
-        bytes32 resourceId,
-        bytes32 principalId
-    ) external view returns (bool) {
-        if (resourcePolicies[resourceId].created == 0) {
-            return false;
+    function _removeDenyRule(bytes32 resourceId, bytes32 principalId, string calldata action) internal {
+        require(_deniedActions[resourceId][principalId].remove(keccak256(bytes(action))), "Deny rule doesn't exist");
+        if (resourcePolicies[resourceId].requiresFrostSig) {
+            _protectedDenyCount[principalId]--;
         }
+        resourcePolicies[resourceId].updated = uint32(block.timestamp);
         
-        if (resourcePolicies[resourceId].expiryTime > 0 &&
-            block.timestamp >= resourcePolicies[resourceId].expiryTime) {
-            return false;
-        }
+        emit DenyRuleRemoved(resourceId, principalId, action, msg.sender);
+    }
+    
+    // A member may not close a cycle or lengthen a chain of groups beyond MAX_GROUP_DEPTH
+    function _addGroupMember(bytes32 groupId, bytes32 memberId) internal {
+        require(isGroup[groupId], "Group doesn't exist");
+        require(memberId != groupId && !_isNestedIn(groupId, memberId), "Group membership cycle");
+        require(_nestingAbove(groupId) + 1 + _nestingBelow(memberId) <= MAX_GROUP_DEPTH, "Group nesting too deep");
+        require(_groupMembers[groupId].add(memberId), "Already a member");
+        
+        _memberOf[memberId].add(groupId);
+        
+        emit GroupMemberAdded(groupId, memberId, msg.sender);
+    }
+    
+    function _removeGroupMember(bytes32 groupId, bytes32 memberId) internal {
+        require(_groupMembers[groupId].remove(memberId), "Not a member");
+        
+        _memberOf[memberId].remove(groupId);
+        
+        emit GroupMemberRemoved(groupId, memberId, msg.sender);
+    }
+    
+    function _setPolicyConditions(bytes32 resourceId, bytes32 conditionsHash) internal {
+        require(resourcePolicies[resourceId].created > 0, "Policy doesn't exist");
+        
+        resourcePolicies[resourceId].conditionsHash = conditionsHash;
+        resourcePolicies[resourceId].updated = uint32(block.timestamp);
+        
+        emit PolicyConditionsUpdated(resourceId, conditionsHash, msg.sender);
+    }
+    
+    // Signed changes are only meaningful for policies that require them
+    function _consumeFrostSig(
+        bytes32 resourceId,
+        bytes32 digest,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) internal {
+        require(resourcePolicies[resourceId].requiresFrostSig, "FROST signature not required");
+        require(block.timestamp <= deadline, "Signature expired");
+        require(nonce == frostNonces[resourceId], "Invalid nonce");
+        
+        _requireFrostSig(digest, signature);
+        frostNonces[resourceId]++;
+    }
+    
+    // Group membership changes have their own nonces, independent of any resource
+    function _consumeGroupFrostSig(
+        bytes32 groupId,
+        bytes32 digest,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) internal {
+        require(block.timestamp <= deadline, "Signature expired");
+        require(nonce == groupFrostNonces[groupId], "Invalid nonce");
         
-        return permissions[resourceId][principalId];
+        _requireFrostSig(digest, signature);
+        groupFrostNonces[groupId]++;
     }
     
     // Admin can pause all permission changes
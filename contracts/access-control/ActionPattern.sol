@@ -0,0 +1,50 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ActionPattern
+ * @dev IAM-style action patterns such as "s3:GetObject", "s3:Get*" or "*".
+ * '*' matches any run of characters and '?' a single character. Like IAM action
+ * names, matching is case-insensitive.
+ */
+library ActionPattern {
+    /**
+     * @dev Checks whether an action is covered by a pattern
+     * @param pattern The granted action pattern
+     * @param action The requested action
+     */
+    function matches(string memory pattern, string memory action) internal pure returns (bool) {
+        bytes memory p = bytes(pattern);
+        bytes memory a = bytes(action);
+        uint256 i = 0;
+        uint256 j = 0;
+        // Position of the last '*' in the pattern and where the action was when it was seen
+        uint256 star = type(uint256).max;
+        uint256 mark = 0;
+
+        while (j < a.length) {
+            if (i < p.length && p[i] == "*") {
+                star = i++;
+                mark = j;
+            } else if (i < p.length && (p[i] == "?" || _lower(p[i]) == _lower(a[j]))) {
+                i++;
+                j++;
+            } else if (star != type(uint256).max) {
+                // Let the last '*' absorb one more character and retry
+                i = star + 1;
+                j = ++mark;
+            } else {
+                return false;
+            }
+        }
+
+        while (i < p.length && p[i] == "*") {
+            i++;
+        }
+        return i == p.length;
+    }
+
+    function _lower(bytes1 c) private pure returns (bytes1) {
+        return (c >= "A" && c <= "Z") ? bytes1(uint8(c) + 32) : c;
+    }
+}
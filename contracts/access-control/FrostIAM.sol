@@ -3,12 +3,13 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "../crypto/FrostVerifier.sol";
 
 /**
  * @title FrostIAM
  * @dev Implements a decentralized IAM system using FROST threshold signatures
  */
-contract FrostIAM is Ownable {
+contract FrostIAM is Ownable, FrostVerifier {
     using EnumerableSet for EnumerableSet.AddressSet;
 
     // Struct to store policy information
@@ -48,6 +49,21 @@ contract FrostIAM is Ownable {
         bytes result
     );
 
+    /**
+     * @param groupPublicKey Compressed public key of the FROST signing group
+     */
+    constructor(bytes memory groupPublicKey) Ownable(msg.sender) {
+        _setFrostGroupKey(groupPublicKey);
+    }
+
+    /**
+     * @dev Rotates the FROST group public key
+     * @param groupPublicKey Compressed public key of the new signing group
+     */
+    function setFrostGroupKey(bytes calldata groupPublicKey) external onlyOwner {
+        _setFrostGroupKey(groupPublicKey);
+    }
+
     /**
      * @dev Creates a new access control policy
      * @param resource The target contract address
@@ -91,7 +107,7 @@ contract FrostIAM is Ownable {
     /**
      * @dev Approves a policy with a FROST signature
      * @param policyId The ID of the policy to approve
-     * @param signature The FROST signature
+     * @param signature The group's FROST signature over policyApprovalHash(policyId, msg.sender)
      */
     function approvePolicy(bytes32 policyId, bytes calldata signature) external {
         Policy storage policy = _policies[policyId];
@@ -100,8 +116,8 @@ contract FrostIAM is Ownable {
         require(!policy.approvals[msg.sender], "FrostIAM: already approved");
         require(policy.approvers.contains(msg.sender), "FrostIAM: not an approver");
         
-        // In a real implementation, verify the FROST signature here
-        // For now, we'll just mark the approval
+        _requireFrostSig(policyApprovalHash(policyId, msg.sender), signature);
+        
         policy.approvals[msg.sender] = true;
         
         emit ApprovalReceived(policyId, msg.sender, signature);
@@ -143,6 +159,10 @@ contract FrostIAM is Ownable {
     }
     
     // View functions
+    function policyApprovalHash(bytes32 policyId, address approver) public view returns (bytes32) {
+        return keccak256(abi.encode(block.chainid, address(this), policyId, approver));
+    }
+    
     function getPolicyApprovalCount(bytes32 policyId) external view returns (uint256) {
         Policy storage policy = _policies[policyId];
         require(policy.policyId != 0, "FrostIAM: policy does not exist");
@@ -0,0 +1,70 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title TimeWindow
+ * @dev Validity conditions of a single permission grant: an absolute period plus an
+ * optional recurring window in UTC, e.g. business hours on weekdays. Zero values
+ * mean "no restriction", so an all-zero window is always active.
+ */
+library TimeWindow {
+    uint16 internal constant MINUTES_PER_DAY = 1440;
+    uint8 internal constant ALL_WEEKDAYS = 0x7f;
+
+    struct Window {
+        uint32 validFrom;        // Start timestamp (0 = immediately)
+        uint32 validUntil;       // End timestamp, exclusive (0 = never)
+        uint16 dailyStartMinute; // Daily window start in minutes after 00:00 UTC
+        uint16 dailyEndMinute;   // Daily window end; equal to start = all day, before start = overnight
+        uint8 weekdays;          // Bitmask of allowed UTC weekdays, bit 0 = Sunday (0 = every day)
+    }
+
+    /**
+     * @dev Reverts if the window is malformed or has already ended
+     * @param window The window to check
+     */
+    function validate(Window memory window) internal view {
+        require(
+            window.validUntil == 0 || window.validUntil > window.validFrom,
+            "TimeWindow: ends before it starts"
+        );
+        require(
+            window.validUntil == 0 || window.validUntil > block.timestamp,
+            "TimeWindow: already ended"
+        );
+        require(
+            window.dailyStartMinute < MINUTES_PER_DAY && window.dailyEndMinute < MINUTES_PER_DAY,
+            "TimeWindow: invalid daily window"
+        );
+        require(window.weekdays <= ALL_WEEKDAYS, "TimeWindow: invalid weekdays");
+    }
+
+    /**
+     * @dev Checks whether a timestamp falls inside the window
+     * @param window The grant's window
+     * @param timestamp The time to check, usually block.timestamp
+     */
+    function isActive(Window memory window, uint256 timestamp) internal pure returns (bool) {
+        if (timestamp < window.validFrom) {
+            return false;
+        }
+        if (window.validUntil != 0 && timestamp >= window.validUntil) {
+            return false;
+        }
+
+        // 1 January 1970 was a Thursday
+        uint256 weekday = (timestamp / 1 days + 4) % 7;
+        if (window.weekdays != 0 && (window.weekdays >> weekday) & 1 == 0) {
+            return false;
+        }
+
+        uint256 minute = (timestamp % 1 days) / 1 minutes;
+        if (window.dailyStartMinute < window.dailyEndMinute) {
+            return minute >= window.dailyStartMinute && minute < window.dailyEndMinute;
+        }
+        if (window.dailyStartMinute > window.dailyEndMinute) {
+            return minute >= window.dailyStartMinute || minute < window.dailyEndMinute;
+        }
+        return true;
+    }
+}
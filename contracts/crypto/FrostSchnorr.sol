@@ -0,0 +1,155 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title FrostSchnorr
+ * @dev Verifies FROST(secp256k1, SHA-256) Schnorr signatures (RFC 9591) as produced by
+ * scripts/frost-crypto.js. The check zG - cY == R is done with the ecrecover precompile,
+ * which computes r^-1 (sQ - hG) for the point Q with x-coordinate r.
+ */
+library FrostSchnorr {
+    // secp256k1 field prime and group order
+    uint256 internal constant P = 0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEFFFFFC2F;
+    uint256 internal constant N = 0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141;
+
+    // Domain separation tag of the challenge hash H2
+    bytes internal constant CHALLENGE_DST = "FROST-secp256k1-SHA256-v1chal";
+
+    // Group public key as its x-coordinate and the parity of its y-coordinate
+    struct PublicKey {
+        uint256 x;
+        uint8 parity;
+    }
+
+    /**
+     * @dev Parses a SEC1 compressed group public key
+     * @param encoded The 33-byte compressed point
+     */
+    function parsePublicKey(bytes memory encoded) internal view returns (PublicKey memory key) {
+        require(encoded.length == 33, "FrostSchnorr: invalid public key length");
+        uint8 prefix = uint8(encoded[0]);
+        require(prefix == 2 || prefix == 3, "FrostSchnorr: invalid public key prefix");
+
+        uint256 x;
+        assembly {
+            x := mload(add(encoded, 33))
+        }
+        (bool onCurve, ) = liftX(x, prefix - 2);
+        require(onCurve, "FrostSchnorr: public key not on curve");
+        // ecrecover only accepts r < N
+        require(x < N, "FrostSchnorr: unsupported public key");
+
+        key = PublicKey({x: x, parity: prefix - 2});
+    }
+
+    /**
+     * @dev SEC1 compressed encoding of a group public key
+     * @param key The group public key
+     */
+    function serializePublicKey(PublicKey memory key) internal pure returns (bytes memory) {
+        return abi.encodePacked(uint8(2 + key.parity), key.x);
+    }
+
+    /**
+     * @dev Verifies a signature R || z (65 bytes, R compressed) over a 32-byte message
+     * @param key The group public key
+     * @param msgHash The signed message
+     * @param signature The serialized FROST signature
+     */
+    function verify(
+        PublicKey memory key,
+        bytes32 msgHash,
+        bytes memory signature
+    ) internal view returns (bool) {
+        if (key.x == 0 || signature.length != 65) {
+            return false;
+        }
+
+        uint8 prefix = uint8(signature[0]);
+        uint256 rx;
+        uint256 z;
+        assembly {
+            rx := mload(add(signature, 33))
+            z := mload(add(signature, 65))
+        }
+        if ((prefix != 2 && prefix != 3) || z >= N) {
+            return false;
+        }
+
+        (bool onCurve, uint256 ry) = liftX(rx, prefix - 2);
+        if (!onCurve) {
+            return false;
+        }
+
+        uint256 c = challenge(prefix, rx, key, msgHash);
+
+        // With h = -z * Y.x and s = -c * Y.x, ecrecover returns the address of zG - cY
+        uint256 h = (N - mulmod(z, key.x, N)) % N;
+        uint256 s = (N - mulmod(c, key.x, N)) % N;
+        if (s == 0) {
+            return false;
+        }
+
+        address recovered = ecrecover(bytes32(h), 27 + key.parity, bytes32(key.x), bytes32(s));
+        return recovered != address(0) && recovered == _pointAddress(rx, ry);
+    }
+
+    /**
+     * @dev Challenge c = H2(R || Y || m) with R and Y in compressed form
+     */
+    function challenge(
+        uint8 rPrefix,
+        uint256 rx,
+        PublicKey memory key,
+        bytes32 msgHash
+    ) internal pure returns (uint256) {
+        return _hashToScalar(
+            abi.encodePacked(rPrefix, rx, uint8(2 + key.parity), key.x, msgHash),
+            CHALLENGE_DST
+        );
+    }
+
+    /**
+     * @dev Recovers the y-coordinate of the point with the given x-coordinate and y parity
+     */
+    function liftX(uint256 x, uint8 parity) internal view returns (bool, uint256) {
+        if (x >= P) {
+            return (false, 0);
+        }
+
+        uint256 rhs = addmod(mulmod(mulmod(x, x, P), x, P), 7, P);
+        // P = 3 mod 4, so a square root is rhs^((P + 1) / 4)
+        uint256 y = _modExp(rhs, (P + 1) / 4, P);
+        if (mulmod(y, y, P) != rhs) {
+            return (false, 0);
+        }
+
+        if (y & 1 != parity) {
+            y = P - y;
+        }
+        return (true, y);
+    }
+
+    // hash_to_field with expand_message_xmd(SHA-256) and 48 output bytes (RFC 9380)
+    function _hashToScalar(bytes memory message, bytes memory dst) private pure returns (uint256) {
+        bytes memory dstPrime = abi.encodePacked(dst, uint8(dst.length));
+        bytes32 b0 = sha256(abi.encodePacked(bytes32(0), bytes32(0), message, uint16(48), uint8(0), dstPrime));
+        bytes32 b1 = sha256(abi.encodePacked(b0, uint8(1), dstPrime));
+        bytes32 b2 = sha256(abi.encodePacked(b0 ^ b1, uint8(2), dstPrime));
+
+        // The uniform bytes b1 || b2[0:16] as a big-endian integer, reduced mod N
+        return addmod(mulmod(uint256(b1), 1 << 128, N), uint256(b2) >> 128, N);
+    }
+
+    function _pointAddress(uint256 x, uint256 y) private pure returns (address) {
+        return address(uint160(uint256(keccak256(abi.encodePacked(x, y)))));
+    }
+
+    function _modExp(uint256 base, uint256 exponent, uint256 modulus) private view returns (uint256) {
+        (bool success, bytes memory result) = address(0x05).staticcall(
+            abi.encodePacked(uint256(32), uint256(32), uint256(32), base, exponent, modulus)
+        );
+        require(success, "FrostSchnorr: modexp failed");
+        return abi.decode(result, (uint256));
+    }
+}
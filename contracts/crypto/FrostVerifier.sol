@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./FrostSchnorr.sol";
+
+/**
+ * @title FrostVerifier
+ * @dev Stores a FROST group public key and verifies signatures made by the group
+ */
+abstract contract FrostVerifier {
+    FrostSchnorr.PublicKey private _frostGroupKey;
+
+    event FrostGroupKeyUpdated(bytes groupPublicKey);
+
+    /**
+     * @dev Checks a FROST signature of the group over a message hash
+     * @param msgHash The signed 32-byte message
+     * @param sig The signature R || z as returned by FrostSignature.serializeSignature
+     */
+    function verifyFrost(bytes32 msgHash, bytes calldata sig) public view returns (bool) {
+        return FrostSchnorr.verify(_frostGroupKey, msgHash, sig);
+    }
+
+    /**
+     * @dev Returns the compressed group public key, or empty bytes if none is set
+     */
+    function frostGroupPublicKey() external view returns (bytes memory) {
+        if (_frostGroupKey.x == 0) {
+            return "";
+        }
+        return FrostSchnorr.serializePublicKey(_frostGroupKey);
+    }
+
+    /**
+     * @dev Sets or rotates the group public key
+     * @param groupPublicKey The 33-byte compressed group public key
+     */
+    function _setFrostGroupKey(bytes memory groupPublicKey) internal {
+        _frostGroupKey = FrostSchnorr.parsePublicKey(groupPublicKey);
+        emit FrostGroupKeyUpdated(groupPublicKey);
+    }
+
+    function _requireFrostSig(bytes32 msgHash, bytes calldata sig) internal view {
+        require(_frostGroupKey.x != 0, "FrostVerifier: group key not set");
+        require(verifyFrost(msgHash, sig), "FrostVerifier: invalid signature");
+    }
+}
@@ -119,6 +119,8 @@ class ByzantineTester {
     console.log('1. Testing Byzantine Node Resilience...');
     
     try {
+      const misidentified = [];
+      
       for (const scenario of BYZANTINE_CONFIG.testScenarios) {
         if (scenario.byzantineCount === 0) continue; // Skip non-Byzantine scenarios here
         
@@ -131,10 +133,18 @@ class ByzantineTester {
           scenario.byzantineCount
         );
         
+        // The aggregator must blame exactly the Byzantine participants (indices 1..byzantineCount)
+        const expectedCulprits = Array.from({ length: scenario.byzantineCount }, (_, i) => i + 1);
+        const blamed = result.culprits || [];
+        
         if (result.success) {
           console.log(`     ❌ FAILED: Byzantine attack succeeded (should have failed)`);
+          misidentified.push(scenario.name);
+        } else if (blamed.join(',') !== expectedCulprits.join(',')) {
+          console.log(`     ❌ FAILED: Blamed participants [${blamed.join(', ')}], expected [${expectedCulprits.join(', ')}]`);
+          misidentified.push(scenario.name);
         } else {
-          console.log(`     ✅ PASSED: Byzantine attack correctly rejected`);
+          console.log(`     ✅ PASSED: Byzantine attack rejected, blamed participants [${blamed.join(', ')}]`);
         }
         
         console.log(`     Byzantine nodes: ${scenario.byzantineCount}/${BYZANTINE_CONFIG.testParticipants}`);
@@ -142,6 +152,10 @@ class ByzantineTester {
         console.log(`     Result: ${result.success ? 'SUCCESS' : 'FAILURE'}\n`);
       }
       
+      if (misidentified.length > 0) {
+        throw new Error(`Byzantine nodes not identified in: ${misidentified.join(', ')}`);
+      }
+      
       this.testResults.push({ test: 'Byzantine Node Resilience', status: 'PASS' });
     } catch (error) {
       console.error(`   ❌ Byzantine resilience test failed: ${error.message}\n`);
@@ -200,7 +214,7 @@ class ByzantineTester {
         return;
       }
       
-      console.log(`   📝 Generated valid signature: ${validSignature.r.substring(0, 16)}...`);
+      console.log(`   📝 Generated valid signature: R=${validSignature.R.x.substring(0, 16)}...`);
       
       // Test replay with same message
       console.log('   📝 Testing signature replay with same message...');
@@ -237,14 +251,13 @@ class ByzantineTester {
     try {
       const message = 'Signature forgery test message';
       
-      // Generate a forged signature (random values)
+      // Generate a forged signature (valid curve point for R, random z)
       const forgedSignature = {
-        r: '1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
-        s: 'abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890',
-        v: 27
+        R: this.keyShares.publicShares[0],
+        z: 'abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890'
       };
       
-      console.log(`   📝 Testing forged signature: r=${forgedSignature.r.substring(0, 16)}...`);
+      console.log(`   📝 Testing forged signature: R=${forgedSignature.R.x.substring(0, 16)}...`);
       
       // Test if forged signature is accepted
       const forgeryResult = await this.testSignatureValidity(message, forgedSignature);
@@ -257,9 +270,8 @@ class ByzantineTester {
       
       // Test with malformed signature
       const malformedSignature = {
-        r: 'invalid',
-        s: 'invalid',
-        v: 27
+        R: { x: 'invalid', y: 'invalid' },
+        z: 'invalid'
       };
       
       console.log('   📝 Testing malformed signature...');
@@ -284,26 +296,40 @@ class ByzantineTester {
     
     try {
       const message = 'Key compromise test message';
+      let secure = true;
       
-      // Simulate key compromise by using wrong private keys
-      console.log('   📝 Testing with compromised private keys...');
+      // Simulate a leaked share of participant 1 followed by a proactive refresh
+      console.log('   📝 Testing a leaked share after a proactive refresh...');
       
       const compromisedResult = await this.simulateKeyCompromise(message);
       
       if (compromisedResult.success) {
         console.log(`     ❌ CRITICAL: Compromised keys were accepted`);
+        secure = false;
       } else {
-        console.log(`     ✅ PASSED: Compromised keys correctly rejected`);
+        console.log(`     ✅ PASSED: Compromised keys correctly rejected (blamed: ${compromisedResult.culprits})`);
       }
       
-      // Test with mixed valid/invalid keys
+      if (compromisedResult.refreshedSignatureValid) {
+        console.log(`     ✅ PASSED: Refreshed shares still sign under the same group key`);
+      } else {
+        console.log(`     ❌ FAILED: Refreshed shares could not produce a valid signature`);
+        secure = false;
+      }
+      
+      // Test with a share from a different key group
       console.log('   📝 Testing with mixed valid/invalid keys...');
       const mixedResult = await this.simulateMixedKeys(message);
       
       if (mixedResult.success) {
         console.log(`     ❌ FAILED: Mixed keys should not be accepted`);
+        secure = false;
       } else {
-        console.log(`     ✅ PASSED: Mixed keys correctly rejected`);
+        console.log(`     ✅ PASSED: Mixed keys correctly rejected (blamed: ${mixedResult.culprits})`);
+      }
+      
+      if (!secure) {
+        throw new Error('Compromised or foreign key shares were not rejected');
       }
       
       console.log('   ✅ Key compromise resistance tests complete\n');
@@ -424,20 +450,29 @@ class ByzantineTester {
       for (let i = 0; i < BYZANTINE_CONFIG.testThreshold; i++) {
         let sigShare;
         
-        if (i < byzantineCount) {
-          // Byzantine node: provide invalid signature share
+        if (i < byzantineCount && i % 2 === 0) {
+          // Byzantine node: provide a malformed signature share
           sigShare = {
             index: i + 1,
             value: 'invalid_byzantine_signature_share_' + i
           };
+        } else if (i < byzantineCount) {
+          // Byzantine node: sign a different message with its committed nonces
+          sigShare = this.frostCrypto.generateSignatureShare(
+            `${message} (tampered)`,
+            this.keyShares.shares[i],
+            commitments[i].nonces,
+            commitments.map(c => c.commitment),
+            this.keyShares.groupPublicKey
+          );
         } else {
           // Honest node: provide valid signature share
           sigShare = this.frostCrypto.generateSignatureShare(
             message,
             this.keyShares.shares[i],
-            commitments[i].nonce,
+            commitments[i].nonces,
             commitments.map(c => c.commitment),
-            this.keyShares.publicShares
+            this.keyShares.groupPublicKey
           );
         }
         
@@ -449,13 +484,14 @@ class ByzantineTester {
         message,
         signatureShares,
         commitments.map(c => c.commitment),
-        this.keyShares.publicShares,
-        BYZANTINE_CONFIG.testThreshold
+        this.keyShares.groupPublicKey,
+        BYZANTINE_CONFIG.testThreshold,
+        this.keyShares.publicShares
       );
       
       return { success: true, signature: combinedSignature };
     } catch (error) {
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, culprits: error.culprits };
     }
   }
 
@@ -483,9 +519,9 @@ class ByzantineTester {
         const sigShare = this.frostCrypto.generateSignatureShare(
           message,
           this.keyShares.shares[i],
-          commitments[i].nonce,
+          commitments[i].nonces,
           commitments.map(c => c.commitment),
-          this.keyShares.publicShares
+          this.keyShares.groupPublicKey
         );
         signatureShares.push(sigShare);
       }
@@ -495,8 +531,9 @@ class ByzantineTester {
         message,
         signatureShares,
         commitments.map(c => c.commitment),
-        this.keyShares.publicShares,
-        BYZANTINE_CONFIG.testThreshold
+        this.keyShares.groupPublicKey,
+        BYZANTINE_CONFIG.testThreshold,
+        this.keyShares.publicShares
       );
       
       return { success: true, signature: combinedSignature };
@@ -524,9 +561,9 @@ class ByzantineTester {
         const sigShare = this.frostCrypto.generateSignatureShare(
           message,
           this.keyShares.shares[i],
-          commitments[i].nonce,
+          commitments[i].nonces,
           commitments.map(c => c.commitment),
-          this.keyShares.publicShares
+          this.keyShares.groupPublicKey
         );
         signatureShares.push(sigShare);
       }
@@ -536,8 +573,9 @@ class ByzantineTester {
         message,
         signatureShares,
         commitments.map(c => c.commitment),
-        this.keyShares.publicShares,
-        BYZANTINE_CONFIG.testThreshold
+        this.keyShares.groupPublicKey,
+        BYZANTINE_CONFIG.testThreshold,
+        this.keyShares.publicShares
       );
       
       return combinedSignature;
@@ -547,29 +585,73 @@ class ByzantineTester {
   }
 
   async testSignatureReplay(message, signature) {
-    // In a real implementation, this would check for signature reuse
-    // For now, we'll simulate the check
-    return { success: false, reason: 'Signature replay detected' };
+    // Signatures are bound to the message; the same message is rejected by the nonces and
+    // deadlines of the registry and by the gateway's record of used access request signatures
+    return this.testSignatureValidity(message, signature);
   }
 
   async testSignatureValidity(message, signature) {
-    // In a real implementation, this would verify the signature
-    // For now, we'll simulate the verification
-    if (signature.r === 'invalid' || signature.s === 'invalid') {
-      return { success: false, reason: 'Invalid signature format' };
+    const valid = this.frostCrypto.verifySignature(message, signature, this.keyShares.groupPublicKey);
+    if (!valid) {
+      return { success: false, reason: 'Signature verification failed' };
     }
     
-    return { success: false, reason: 'Signature verification failed' };
+    return { success: true };
   }
 
   async simulateKeyCompromise(message) {
-    // Simulate using compromised keys
-    return { success: false, reason: 'Compromised keys detected' };
+    // The share of participant 1 has leaked; the group refreshes without changing its key
+    const leakedShare = this.keyShares.shares[0];
+    const refreshed = this.frostCrypto.refreshKeyShares(this.keyShares);
+    
+    const honest = await this.signWithShares(
+      message,
+      refreshed.shares.slice(0, BYZANTINE_CONFIG.testThreshold),
+      refreshed
+    );
+    const refreshedSignatureValid = honest.success &&
+      this.frostCrypto.verifySignature(message, honest.signature, this.keyShares.groupPublicKey);
+    
+    // The attacker combines the leaked share with current shares of the other signers
+    const signers = [leakedShare, ...refreshed.shares.slice(1, BYZANTINE_CONFIG.testThreshold)];
+    const result = await this.signWithShares(message, signers, refreshed);
+    
+    return { ...result, refreshedSignatureValid };
   }
 
   async simulateMixedKeys(message) {
-    // Simulate using mixed valid/invalid keys
-    return { success: false, reason: 'Mixed key validation failed' };
+    // Participant 1 signs with a share of an unrelated key group
+    const otherGroup = this.frostCrypto.generateKeyShares(
+      BYZANTINE_CONFIG.testParticipants,
+      BYZANTINE_CONFIG.testThreshold
+    );
+    const signers = [otherGroup.shares[0], ...this.keyShares.shares.slice(1, BYZANTINE_CONFIG.testThreshold)];
+    
+    return this.signWithShares(message, signers, this.keyShares);
+  }
+
+  async signWithShares(message, signers, keyShares) {
+    try {
+      const rounds = signers.map(share => this.frostCrypto.generateCommitment(share));
+      const commitments = rounds.map(r => r.commitment);
+      
+      const signatureShares = signers.map((share, i) =>
+        this.frostCrypto.generateSignatureShare(message, share, rounds[i].nonces, commitments, keyShares.groupPublicKey)
+      );
+      
+      const signature = this.frostCrypto.combineSignatureShares(
+        message,
+        signatureShares,
+        commitments,
+        keyShares.groupPublicKey,
+        keyShares.threshold,
+        keyShares.publicShares
+      );
+      
+      return { success: true, signature };
+    } catch (error) {
+      return { success: false, error: error.message, culprits: error.culprits };
+    }
   }
 
   printTestSummary() {
@@ -608,18 +690,14 @@ class ByzantineTester {
     console.log('✅ Performance under attack conditions');
     
     console.log('\n⚠️  IMPORTANT SECURITY NOTES:');
-    console.log('1. Current implementation has simplified signature verification');
-    console.log('2. Production deployment requires proper FROST signature validation');
-    console.log('3. Replay protection needs to be implemented in smart contracts');
-    console.log('4. Key rotation mechanism should be implemented');
-    console.log('5. Comprehensive security audit required before mainnet deployment');
+    console.log('1. Signatures are FROST(secp256k1, SHA-256) Schnorr signatures, verified on-chain by FrostVerifier');
+    console.log('2. Signed registry changes carry a per-resource or per-group nonce and a deadline; the gateway accepts each access request signature once');
+    console.log('3. Shares are refreshed or reshared without changing the group key; the registry admin can rotate the group key');
+    console.log('4. Comprehensive security audit required before mainnet deployment');
     
     console.log('\nNext Steps:');
-    console.log('1. Implement proper FROST signature verification');
-    console.log('2. Add replay protection to smart contracts');
-    console.log('3. Implement key rotation mechanism');
-    console.log('4. Conduct professional security audit');
-    console.log('5. Deploy to testnet for live Byzantine testing');
+    console.log('1. Conduct professional security audit');
+    console.log('2. Deploy to testnet for live Byzantine testing');
   }
 }
 
@@ -2,6 +2,22 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const FrostSignature = require("./frost-crypto");
+
+// Sign a 32-byte digest with a t-of-n FROST group (first t shares), serialized as R || z
+function signWithGroup(frost, keyShares, digest) {
+  const message = Buffer.from(digest.slice(2), "hex");
+  const signers = keyShares.shares.slice(0, keyShares.threshold);
+  const rounds = signers.map(share => frost.generateCommitment(share));
+  const commitments = rounds.map(r => r.commitment);
+  const signatureShares = signers.map((share, i) => frost.generateSignatureShare(
+    message, share, rounds[i].nonces, commitments, keyShares.groupPublicKey
+  ));
+  const signature = frost.combineSignatureShares(
+    message, signatureShares, commitments, keyShares.groupPublicKey, keyShares.threshold
+  );
+  return "0x" + frost.serializeSignature(signature);
+}
 
 async function main() {
   console.log("Deploying contracts to:", network.name);
@@ -86,17 +102,35 @@ async function main() {
       await tx2.wait();
       console.log("Created policy for Azure Storage");
       
+      // Demo FROST group whose signatures authorize changes to the protected policies above.
+      // The key shares are not persisted; use the FROST tooling to manage a real group.
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(3, 2);
+      const groupKeyTx = await accessControlRegistry.setFrostGroupKey("0x" + frost.serializePublicKey(keyShares.groupPublicKey));
+      await groupKeyTx.wait();
+      console.log("Set demo FROST group public key");
+      
+      const deadline = Math.floor(Date.now() / 1000) + 3600;
+      const signedGrant = async (resourceId, principalId, action) => {
+        const nonce = await accessControlRegistry.frostNonces(resourceId);
+        const window = { validFrom: 0, validUntil: 0, dailyStartMinute: 0, dailyEndMinute: 0, weekdays: 0 };
+        const digest = await accessControlRegistry.permissionChangeHash(resourceId, principalId, action, true, window, nonce, deadline);
+        return accessControlRegistry.grantPermissionWithFrostSig(
+          resourceId, principalId, action, window, nonce, deadline, signWithGroup(frost, keyShares, digest)
+        );
+      };
+      
       // Grant permissions to a principal
       // const principalId = ethers.encodeBytes32String("user:alice@example.com"); // REMOVED
       const principalId = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("user:alice@example.com"));
       
-      const tx3 = await accessControlRegistry.grantPermission(awsS3ResourceId, principalId);
+      const tx3 = await signedGrant(awsS3ResourceId, principalId, "s3:Get*");
       await tx3.wait();
-      console.log("Granted permission for AWS S3 to Alice");
+      console.log("Granted s3:Get* on AWS S3 to Alice");
       
-      const tx4 = await accessControlRegistry.grantPermission(azureStorageResourceId, principalId);
+      const tx4 = await signedGrant(azureStorageResourceId, principalId, "Microsoft.Storage/storageAccounts/blobServices/containers/blobs/read");
       await tx4.wait();
-      console.log("Granted permission for Azure Storage to Alice");
+      console.log("Granted blob read on Azure Storage to Alice");
     }
     
     // Get final balance and calculate gas used
@@ -0,0 +1,67 @@
+// scripts/detect-drift.js
+// Reconcile live AWS IAM and Azure role assignments with the AccessControlRegistry.
+//
+//   DRIFT_AZURE_SCOPES=/subscriptions/<id>/resourceGroups/<rg> \
+//     npx hardhat run scripts/detect-drift.js --network localhost
+//
+// AWS is checked when AWS credentials are set, Azure when DRIFT_AZURE_SCOPES lists scopes.
+// DRIFT_REMEDIATE=true removes cloud policies and role assignments that grant access the
+// registry does not; DRIFT_FROM_BLOCK limits how far back registry events are read. Role
+// assignments of active grants in the gateway's ledger (GRANTS_LEDGER_PATH) are not drift.
+const fs = require("fs");
+const hre = require("hardhat");
+const DriftDetector = require("../cloud/drift-detector");
+const GrantsLedger = require("../cloud/grants-ledger");
+require("dotenv").config();
+
+async function main() {
+  if (!process.env.ACCESS_CONTROL_REGISTRY_ADDRESS) {
+    throw new Error("ACCESS_CONTROL_REGISTRY_ADDRESS must be set");
+  }
+  const registry = await hre.ethers.getContractAt("AccessControlRegistry", process.env.ACCESS_CONTROL_REGISTRY_ADDRESS);
+
+  const connectors = {};
+  if (process.env.AWS_ACCESS_KEY_ID) {
+    const AwsIamConnector = require("../cloud/aws/aws-iam-connector");
+    connectors.aws = new AwsIamConnector(process.env.AWS_REGION);
+  }
+  const azureScopes = (process.env.DRIFT_AZURE_SCOPES || "").split(",").map(scope => scope.trim()).filter(Boolean);
+  if (azureScopes.length > 0) {
+    const AzureIamConnector = require("../cloud/azure/azure-iam-connector");
+    connectors.azure = new AzureIamConnector();
+  }
+  if (!connectors.aws && !connectors.azure) {
+    throw new Error("Set AWS credentials or DRIFT_AZURE_SCOPES to choose what to check");
+  }
+
+  const ledgerPath = process.env.GRANTS_LEDGER_PATH || ".grants-ledger.jsonl";
+  const detector = new DriftDetector(registry, connectors, {
+    azureScopes,
+    fromBlock: Number(process.env.DRIFT_FROM_BLOCK || 0),
+    ledger: fs.existsSync(ledgerPath) ? new GrantsLedger(ledgerPath, { readOnly: true }) : null
+  });
+  const report = await detector.detect({ remediate: process.env.DRIFT_REMEDIATE === "true" });
+
+  console.log(`Extra access (not granted in the registry): ${report.extra.length}`);
+  for (const extra of report.extra) {
+    console.log(`  + [${extra.provider}] ${extra.source}`);
+    extra.grants.forEach(grant => console.log(`      ${grant.action} on ${grant.resourcePath}`));
+  }
+  console.log(`Missing access (granted in the registry only): ${report.missing.length}`);
+  report.missing.forEach(missing => console.log(`  - ${missing.principal} ${missing.action} on ${missing.resourcePath}`));
+  console.log(`Unverifiable: ${report.unverifiable.length}`);
+  for (const item of report.unverifiable) {
+    console.log(`  ? [${item.provider}] ${item.source}`);
+    item.unmapped.forEach(unmapped => console.log(`      ${unmapped.construct}: ${unmapped.reason}`));
+  }
+  report.remediated.forEach(result => console.log(`  ${result.status}: [${result.provider}] ${result.source}${result.reason ? ` (${result.reason})` : ""}`));
+
+  if (report.extra.length > 0 || report.missing.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -19,6 +19,7 @@ const TEST_CONFIG = {
   apiGatewayUrl: process.env.API_GATEWAY_URL || 'http://localhost:3000',
   testParticipants: 5,
   testThreshold: 3,
+  batchVerificationSize: 20,
   testScenarios: [
     {
       name: 'AWS S3 Bucket Access',
@@ -239,7 +240,7 @@ class EndToEndTester {
       for (let i = 0; i < TEST_CONFIG.testThreshold; i++) {
         const commitment = this.frostCrypto.generateCommitment(this.keyShares.shares[i]);
         commitments.push(commitment);
-        console.log(`     Participant ${i + 1} commitment: ${commitment.commitment.x.substring(0, 16)}...`);
+        console.log(`     Participant ${i + 1} commitment: ${commitment.commitment.hiding.x.substring(0, 16)}...`);
       }
       
       // Generate signature shares
@@ -248,9 +249,9 @@ class EndToEndTester {
         const sigShare = this.frostCrypto.generateSignatureShare(
           message,
           this.keyShares.shares[i],
-          commitments[i].nonce,
+          commitments[i].nonces,
           commitments.map(c => c.commitment),
-          this.keyShares.publicShares
+          this.keyShares.groupPublicKey
         );
         signatureShares.push(sigShare);
         console.log(`     Participant ${i + 1} signature share: ${sigShare.value.substring(0, 16)}...`);
@@ -261,13 +262,18 @@ class EndToEndTester {
         message,
         signatureShares,
         commitments.map(c => c.commitment),
-        this.keyShares.publicShares,
+        this.keyShares.groupPublicKey,
         TEST_CONFIG.testThreshold
       );
       
-      console.log(`   ✅ Combined signature: r=${combinedSignature.r.substring(0, 16)}...`);
-      console.log(`   ✅ Combined signature: s=${combinedSignature.s.substring(0, 16)}...`);
-      console.log(`   ✅ Signature v value: ${combinedSignature.v}`);
+      console.log(`   ✅ Combined signature: R=${combinedSignature.R.x.substring(0, 16)}...`);
+      console.log(`   ✅ Combined signature: z=${combinedSignature.z.substring(0, 16)}...`);
+      
+      // Verify the threshold signature against the group public key
+      if (!this.frostCrypto.verifySignature(message, combinedSignature, this.keyShares.groupPublicKey)) {
+        throw new Error('Combined signature failed verification');
+      }
+      console.log('   ✅ Signature verified against group public key');
       
       // Store signature for later use
       this.lastSignature = combinedSignature;
@@ -290,9 +296,13 @@ class EndToEndTester {
         const resourceId = ethers.utils.formatBytes32String(scenario.resourceId);
         const principalId = ethers.utils.formatBytes32String(scenario.principalId);
         
-        // Test blockchain permission check
-        const hasPermission = await this.accessControlRegistryContract.hasPermission(resourceId, principalId);
-        console.log(`     Blockchain permission: ${hasPermission}`);
+        // Test blockchain permission check for the scenario's action
+        const hasPermission = await this.accessControlRegistryContract['hasPermission(bytes32,bytes32,string)'](
+          resourceId,
+          principalId,
+          scenario.action
+        );
+        console.log(`     Blockchain permission for ${scenario.action}: ${hasPermission}`);
         
         // Test policy lookup
         const policy = await this.accessControlRegistryContract.resourcePolicies(resourceId);
@@ -309,7 +319,7 @@ class EndToEndTester {
           resourceId: scenario.resourceId,
           principalId: scenario.principalId,
           action: scenario.action,
-          signature: this.lastSignature ? `0x${this.lastSignature.r}${this.lastSignature.s}${this.lastSignature.v.toString(16).padStart(2, '0')}` : '0x1234567890abcdef',
+          signature: this.lastSignature ? `0x${this.frostCrypto.serializeSignature(this.lastSignature)}` : '0x1234567890abcdef',
           timestamp: Date.now(),
           txHash: ethers.utils.keccak256(ethers.utils.toUtf8Bytes(`${scenario.resourceId}:${scenario.principalId}:${scenario.action}:${Date.now()}`))
         };
@@ -336,7 +346,7 @@ class EndToEndTester {
           resourceId: scenario.resourceId,
           principalId: scenario.principalId,
           action: scenario.action,
-          signature: this.lastSignature ? `0x${this.lastSignature.r}${this.lastSignature.s}${this.lastSignature.v.toString(16).padStart(2, '0')}` : '0x1234567890abcdef',
+          signature: this.lastSignature ? `0x${this.frostCrypto.serializeSignature(this.lastSignature)}` : '0x1234567890abcdef',
           timestamp: Date.now(),
           txHash: ethers.utils.keccak256(ethers.utils.toUtf8Bytes(`${scenario.resourceId}:${scenario.principalId}:${scenario.action}:${Date.now()}`))
         };
@@ -407,9 +417,9 @@ class EndToEndTester {
             const sigShare = this.frostCrypto.generateSignatureShare(
               message,
               this.keyShares.shares[i],
-              commitments[i].nonce,
+              commitments[i].nonces,
               commitments.map(c => c.commitment),
-              this.keyShares.publicShares
+              this.keyShares.groupPublicKey
             );
             signatureShares.push(sigShare);
           }
@@ -418,7 +428,7 @@ class EndToEndTester {
             message,
             signatureShares,
             commitments.map(c => c.commitment),
-            this.keyShares.publicShares,
+            this.keyShares.groupPublicKey,
             TEST_CONFIG.testThreshold
           );
           console.log('     ❌ Should have failed with insufficient shares');
@@ -461,9 +471,9 @@ class EndToEndTester {
         const sigShare = this.frostCrypto.generateSignatureShare(
           message,
           testKeyShares.shares[i],
-          commitments[i].nonce,
+          commitments[i].nonces,
           commitments.map(c => c.commitment),
-          testKeyShares.publicShares
+          testKeyShares.groupPublicKey
         );
         signatureShares.push(sigShare);
       }
@@ -472,7 +482,7 @@ class EndToEndTester {
         message,
         signatureShares,
         commitments.map(c => c.commitment),
-        testKeyShares.publicShares,
+        testKeyShares.groupPublicKey,
         3
       );
       const sigGenEnd = Date.now();
@@ -480,6 +490,42 @@ class EndToEndTester {
       
       console.log(`   Signature generation time: ${sigGenTime}ms`);
       
+      // Compare one-by-one and batch verification of many access request signatures
+      const batchItems = [{ message, signature: combinedSignature, groupPublicKey: testKeyShares.groupPublicKey }];
+      for (let i = 1; i < TEST_CONFIG.batchVerificationSize; i++) {
+        const batchMessage = `${message} #${i}`;
+        const rounds = testKeyShares.shares.slice(0, 3).map(share => this.frostCrypto.generateCommitment(share));
+        const batchCommitments = rounds.map(r => r.commitment);
+        const batchShares = rounds.map((r, j) => this.frostCrypto.generateSignatureShare(
+          batchMessage, testKeyShares.shares[j], r.nonces, batchCommitments, testKeyShares.groupPublicKey
+        ));
+        batchItems.push({
+          message: batchMessage,
+          signature: this.frostCrypto.combineSignatureShares(
+            batchMessage, batchShares, batchCommitments, testKeyShares.groupPublicKey, 3
+          ),
+          groupPublicKey: testKeyShares.groupPublicKey
+        });
+      }
+      
+      const singleStart = Date.now();
+      const singleValid = batchItems.every(item =>
+        this.frostCrypto.verifySignature(item.message, item.signature, item.groupPublicKey)
+      );
+      const singleTime = Date.now() - singleStart;
+      
+      const batchStart = Date.now();
+      const batchResult = this.frostCrypto.verifyBatch(batchItems);
+      const batchTime = Date.now() - batchStart;
+      
+      if (!singleValid || !batchResult.valid) {
+        throw new Error('Benchmark signatures failed verification');
+      }
+      
+      console.log(`   Single verification (${batchItems.length} signatures): ${singleTime}ms`);
+      console.log(`   Batch verification (${batchItems.length} signatures): ${batchTime}ms`);
+      console.log(`   Batch speedup: ${(singleTime / Math.max(batchTime, 1)).toFixed(2)}x`);
+      
       // Test blockchain query performance
       const queryStart = Date.now();
       const resourceId = ethers.utils.formatBytes32String(TEST_CONFIG.testScenarios[0].resourceId);
@@ -0,0 +1,423 @@
+// FROST ciphersuites (RFC 9591, Section 6)
+// Each ciphersuite supplies the prime-order group, its element and scalar encodings
+// and the hash functions H1..H5. FrostSignature is written against this interface.
+const { createHash } = require('crypto');
+const elliptic = require('elliptic');
+const BN = require('bn.js');
+
+// FROST(secp256k1, SHA-256): SEC1 compressed elements, big-endian scalars,
+// H1..H3 via hash_to_field with expand_message_xmd (RFC 9591, Section 6.5)
+class Secp256k1Ciphersuite {
+  constructor() {
+    this.name = 'secp256k1';
+    this.contextString = 'FROST-secp256k1-SHA256-v1';
+    this.ec = new elliptic.ec('secp256k1');
+    this.G = this.ec.g;
+    this.n = this.ec.curve.n;
+    this.cofactor = new BN(1);
+  }
+
+  identity() {
+    return this.ec.curve.point(null, null);
+  }
+
+  isIdentity(point) {
+    return point.isInfinity();
+  }
+
+  eq(a, b) {
+    return a.eq(b);
+  }
+
+  // sum(scalars[i] * points[i]) with interleaved wNAF (scalars must be non-negative).
+  // elliptic combines the terms in pairs, so an odd count is padded with 0*G.
+  multiScalarMul(points, scalars) {
+    if (points.length % 2 === 1) {
+      points = [...points, this.G];
+      scalars = [...scalars, new BN(0)];
+    }
+    return this.ec.curve._wnafMulAdd(1, points, scalars, points.length);
+  }
+
+  // SerializeElement — SEC1 compressed point encoding (33 bytes, hex)
+  serializeElement(point) {
+    if (this.isIdentity(point)) throw new Error('Cannot serialize the identity element');
+    return point.encode('hex', true);
+  }
+
+  deserializeElement(hex) {
+    if (typeof hex !== 'string' || !/^0[23][0-9a-fA-F]{64}$/.test(hex)) {
+      throw new Error('Invalid point encoding');
+    }
+    return this.ec.curve.decodePoint(hex, 'hex');
+  }
+
+  // SerializeScalar — 32-byte big-endian encoding (hex)
+  serializeScalar(scalar) {
+    return scalar.toString('hex').padStart(64, '0');
+  }
+
+  deserializeScalar(value) {
+    if (typeof value !== 'string' || !/^[0-9a-fA-F]{1,64}$/.test(value)) {
+      throw new Error('Invalid scalar encoding');
+    }
+    const scalar = new BN(value, 16);
+    if (scalar.gte(this.n)) throw new Error('Scalar out of range');
+    return scalar;
+  }
+
+  // Build a validated point from affine {x, y} coordinates
+  pointFromCoordinates(x, y) {
+    const point = this.ec.curve.point(x, y);
+    if (point.isInfinity() || !point.validate()) throw new Error('Point is not on the curve');
+    return point;
+  }
+
+  H1(input) {
+    return this.hashToScalar(input, 'rho');
+  }
+
+  H2(input) {
+    return this.hashToScalar(input, 'chal');
+  }
+
+  H3(input) {
+    return this.hashToScalar(input, 'nonce');
+  }
+
+  H4(input) {
+    return this.hash(input, 'msg');
+  }
+
+  H5(input) {
+    return this.hash(input, 'com');
+  }
+
+  hash(input, tag) {
+    return createHash('sha256').update(this.contextString + tag).update(input).digest();
+  }
+
+  // hash_to_field from RFC 9380 with expand_message_xmd(SHA-256) and L = 48
+  hashToScalar(input, tag) {
+    const uniformBytes = this._expandMessageXmd(input, Buffer.from(this.contextString + tag), 48);
+    return new BN(uniformBytes).umod(this.n);
+  }
+
+  // expand_message_xmd (RFC 9380 Section 5.3.1) using SHA-256
+  _expandMessageXmd(msg, dst, lenInBytes) {
+    const ell = Math.ceil(lenInBytes / 32);
+    const dstPrime = Buffer.concat([dst, Buffer.from([dst.length])]);
+    const zPad = Buffer.alloc(64);
+    const libStr = Buffer.from([(lenInBytes >> 8) & 0xff, lenInBytes & 0xff]);
+
+    const b0 = createHash('sha256')
+      .update(Buffer.concat([zPad, msg, libStr, Buffer.from([0]), dstPrime]))
+      .digest();
+
+    const blocks = [];
+    let previous = Buffer.alloc(32);
+    for (let i = 1; i <= ell; i++) {
+      const mixed = Buffer.alloc(32);
+      for (let j = 0; j < 32; j++) mixed[j] = b0[j] ^ previous[j];
+      previous = createHash('sha256')
+        .update(Buffer.concat([mixed, Buffer.from([i]), dstPrime]))
+        .digest();
+      blocks.push(previous);
+    }
+
+    return Buffer.concat(blocks).subarray(0, lenInBytes);
+  }
+}
+
+// FROST(Ed25519, SHA-512): RFC 8032 point encoding, little-endian scalars.
+// H2 is plain SHA-512 so that aggregate signatures verify as ordinary Ed25519 signatures.
+class Ed25519Ciphersuite {
+  constructor() {
+    const preset = elliptic.curves.ed25519;
+    this.name = 'ed25519';
+    this.contextString = 'FROST-ED25519-SHA512-v1';
+    this.curve = preset.curve;
+    this.G = preset.g;
+    this.n = preset.n;
+    this.p = this.curve.p;
+    this.cofactor = new BN(8);
+  }
+
+  identity() {
+    return this.curve.point(null, null, null);
+  }
+
+  isIdentity(point) {
+    return point.isInfinity();
+  }
+
+  eq(a, b) {
+    return a.eq(b);
+  }
+
+  // sum(scalars[i] * points[i]) with Pippenger's bucket method; elliptic's wNAF
+  // combination only supports short Weierstrass curves
+  multiScalarMul(points, scalars) {
+    const windowBits = points.length < 64 ? 4 : 8;
+    const digits = scalars.map(scalar => scalar.umod(this.n).toArrayLike(Buffer, 'le', 32));
+    const digitAt = (bytes, w) => windowBits === 8 ? bytes[w] : (bytes[w >> 1] >> ((w & 1) * 4)) & 0x0f;
+
+    let result = this.identity();
+    for (let w = 256 / windowBits - 1; w >= 0; w--) {
+      for (let k = 0; k < windowBits; k++) result = result.dbl();
+
+      const buckets = new Array((1 << windowBits) - 1).fill(null);
+      points.forEach((point, i) => {
+        const digit = digitAt(digits[i], w);
+        if (digit) buckets[digit - 1] = buckets[digit - 1] ? buckets[digit - 1].add(point) : point;
+      });
+
+      // sum(d * bucket_d) via running sums
+      let running = null;
+      let windowSum = null;
+      for (let d = buckets.length - 1; d >= 0; d--) {
+        if (buckets[d]) running = running ? running.add(buckets[d]) : buckets[d];
+        if (running) windowSum = windowSum ? windowSum.add(running) : running;
+      }
+      if (windowSum) result = result.add(windowSum);
+    }
+    return result;
+  }
+
+  // SerializeElement — little-endian y with the sign of x in the top bit (32 bytes, hex)
+  serializeElement(point) {
+    if (this.isIdentity(point)) throw new Error('Cannot serialize the identity element');
+    const bytes = point.getY().toArrayLike(Buffer, 'le', 32);
+    if (point.getX().isOdd()) bytes[31] |= 0x80;
+    return bytes.toString('hex');
+  }
+
+  // DeserializeElement — rejects non-canonical encodings, the identity and points
+  // outside the prime-order subgroup
+  deserializeElement(hex) {
+    if (typeof hex !== 'string' || !/^[0-9a-fA-F]{64}$/.test(hex)) {
+      throw new Error('Invalid point encoding');
+    }
+    const bytes = Buffer.from(hex, 'hex');
+    const xOdd = (bytes[31] & 0x80) !== 0;
+    bytes[31] &= 0x7f;
+    const y = new BN(bytes, 'le');
+    if (y.gte(this.p)) throw new Error('Invalid point encoding');
+
+    let point;
+    try {
+      point = this.curve.pointFromY(y, xOdd);
+    } catch (error) {
+      throw new Error('Point is not on the curve');
+    }
+    return this._checkSubgroup(point);
+  }
+
+  // SerializeScalar — 32-byte little-endian encoding (hex)
+  serializeScalar(scalar) {
+    return scalar.toArrayLike(Buffer, 'le', 32).toString('hex');
+  }
+
+  deserializeScalar(value) {
+    if (typeof value !== 'string' || !/^[0-9a-fA-F]{64}$/.test(value)) {
+      throw new Error('Invalid scalar encoding');
+    }
+    const scalar = new BN(Buffer.from(value, 'hex'), 'le');
+    if (scalar.gte(this.n)) throw new Error('Scalar out of range');
+    return scalar;
+  }
+
+  pointFromCoordinates(x, y) {
+    if (x.gte(this.p) || y.gte(this.p)) throw new Error('Invalid point encoding');
+    const point = this.curve.point(x, y);
+    if (!this.curve.validate(point)) throw new Error('Point is not on the curve');
+    return this._checkSubgroup(point);
+  }
+
+  H1(input) {
+    return this.hashToScalar(input, 'rho');
+  }
+
+  H2(input) {
+    return new BN(createHash('sha512').update(input).digest(), 'le').umod(this.n);
+  }
+
+  H3(input) {
+    return this.hashToScalar(input, 'nonce');
+  }
+
+  H4(input) {
+    return this.hash(input, 'msg');
+  }
+
+  H5(input) {
+    return this.hash(input, 'com');
+  }
+
+  hash(input, tag) {
+    return createHash('sha512').update(this.contextString + tag).update(input).digest();
+  }
+
+  hashToScalar(input, tag) {
+    return new BN(this.hash(input, tag), 'le').umod(this.n);
+  }
+
+  // Helper: Only non-identity points of prime order are valid group elements
+  _checkSubgroup(point) {
+    if (point.isInfinity() || !point.mul(this.n).isInfinity()) {
+      throw new Error('Point is not in the prime-order subgroup');
+    }
+    return point;
+  }
+}
+
+// FROST(ristretto255, SHA-512): elements of the ristretto255 group (RFC 9496) on top of
+// the Ed25519 curve. Curve points are only representatives, so equality and the {x, y}
+// form always go through the canonical encoding.
+class Ristretto255Ciphersuite extends Ed25519Ciphersuite {
+  constructor() {
+    super();
+    this.name = 'ristretto255';
+    this.contextString = 'FROST-RISTRETTO255-SHA512-v1';
+    this.cofactor = new BN(1);
+
+    const red = this.curve.red;
+    this.one = this.curve.one;
+    this.sqrtM1 = new BN(2).toRed(red).redPow(this.p.subn(1).divn(4));
+    this.invsqrtAMinusD = this._sqrtRatioM1(this.one, this.curve.a.redSub(this.curve.d)).root;
+  }
+
+  isIdentity(point) {
+    return point.getX().isZero() || point.getY().isZero();
+  }
+
+  // Two representatives are the same element iff x1*y2 == y1*x2 or y1*y2 == x1*x2
+  eq(a, b) {
+    const x1 = a.getX(); const y1 = a.getY();
+    const x2 = b.getX(); const y2 = b.getY();
+    const mul = (u, v) => u.mul(v).umod(this.p);
+    return mul(x1, y2).eq(mul(y1, x2)) || mul(y1, y2).eq(mul(x1, x2));
+  }
+
+  // Encode (RFC 9496, Section 4.3.2), using affine coordinates (Z = 1, T = X*Y)
+  serializeElement(point) {
+    if (this.isIdentity(point)) throw new Error('Cannot serialize the identity element');
+    const red = this.curve.red;
+    const x0 = point.getX().toRed(red);
+    const y0 = point.getY().toRed(red);
+    const z0 = this.one;
+    const t0 = x0.redMul(y0);
+
+    const u1 = z0.redAdd(y0).redMul(z0.redSub(y0));
+    const u2 = x0.redMul(y0);
+    const invsqrt = this._sqrtRatioM1(this.one, u1.redMul(u2.redSqr())).root;
+    const den1 = invsqrt.redMul(u1);
+    const den2 = invsqrt.redMul(u2);
+    const zInv = den1.redMul(den2).redMul(t0);
+
+    const rotate = this._isNegative(t0.redMul(zInv));
+    const x = rotate ? y0.redMul(this.sqrtM1) : x0;
+    let y = rotate ? x0.redMul(this.sqrtM1) : y0;
+    const denInv = rotate ? den1.redMul(this.invsqrtAMinusD) : den2;
+
+    if (this._isNegative(x.redMul(zInv))) y = y.redNeg();
+    const s = this._abs(denInv.redMul(z0.redSub(y)));
+    return s.fromRed().toArrayLike(Buffer, 'le', 32).toString('hex');
+  }
+
+  // Decode (RFC 9496, Section 4.3.1); the identity is rejected as FROST requires
+  deserializeElement(hex) {
+    if (typeof hex !== 'string' || !/^[0-9a-fA-F]{64}$/.test(hex)) {
+      throw new Error('Invalid point encoding');
+    }
+    const red = this.curve.red;
+    const sInt = new BN(Buffer.from(hex, 'hex'), 'le');
+    if (sInt.gte(this.p) || sInt.isOdd()) throw new Error('Invalid point encoding');
+
+    const s = sInt.toRed(red);
+    const ss = s.redSqr();
+    const u1 = this.one.redSub(ss);
+    const u2 = this.one.redAdd(ss);
+    const u2Sqr = u2.redSqr();
+    const v = this.curve.d.redMul(u1.redSqr()).redNeg().redSub(u2Sqr);
+
+    const { wasSquare, root: invsqrt } = this._sqrtRatioM1(this.one, v.redMul(u2Sqr));
+    const denX = invsqrt.redMul(u2);
+    const denY = invsqrt.redMul(denX).redMul(v);
+    const x = this._abs(s.redAdd(s).redMul(denX));
+    const y = u1.redMul(denY);
+    const t = x.redMul(y);
+
+    if (!wasSquare || this._isNegative(t) || y.fromRed().isZero()) {
+      throw new Error('Invalid point encoding');
+    }
+    const point = this.curve.point(x.fromRed(), y.fromRed());
+    if (this.isIdentity(point)) throw new Error('Cannot deserialize the identity element');
+    return point;
+  }
+
+  // Only canonical representatives (as produced by decoding) are accepted
+  pointFromCoordinates(x, y) {
+    if (x.gte(this.p) || y.gte(this.p)) throw new Error('Invalid point encoding');
+    const point = this.curve.point(x, y);
+    if (!this.curve.validate(point) || this.isIdentity(point)) throw new Error('Point is not on the curve');
+    const canonical = this.deserializeElement(this.serializeElement(point));
+    if (!canonical.eq(point)) throw new Error('Point is not a canonical ristretto255 representative');
+    return canonical;
+  }
+
+  // Map any representative to the canonical one, so equal elements have equal {x, y}
+  canonicalize(point) {
+    return this.deserializeElement(this.serializeElement(point));
+  }
+
+  H2(input) {
+    return this.hashToScalar(input, 'chal');
+  }
+
+  // Helper: SQRT_RATIO_M1(u, v) from RFC 9496, Section 4.2
+  _sqrtRatioM1(u, v) {
+    const v3 = v.redSqr().redMul(v);
+    const v7 = v3.redSqr().redMul(v);
+    let r = u.redMul(v3).redMul(u.redMul(v7).redPow(this.p.subn(5).divn(8)));
+    const check = v.redMul(r.redSqr());
+
+    const correctSign = check.eq(u);
+    const flippedSign = check.eq(u.redNeg());
+    const flippedSignI = check.eq(u.redNeg().redMul(this.sqrtM1));
+
+    if (flippedSign || flippedSignI) r = r.redMul(this.sqrtM1);
+    return { wasSquare: correctSign || flippedSign, root: this._abs(r) };
+  }
+
+  _isNegative(value) {
+    return value.fromRed().isOdd();
+  }
+
+  _abs(value) {
+    return this._isNegative(value) ? value.redNeg() : value;
+  }
+}
+
+const CIPHERSUITES = {
+  secp256k1: new Secp256k1Ciphersuite(),
+  ed25519: new Ed25519Ciphersuite(),
+  ristretto255: new Ristretto255Ciphersuite()
+};
+
+// Look up a ciphersuite by name; FrostSignature defaults to secp256k1
+function getCiphersuite(name) {
+  const suite = CIPHERSUITES[name];
+  if (!suite) {
+    throw new Error(`Unsupported ciphersuite: ${name}. Expected one of ${Object.keys(CIPHERSUITES).join(', ')}`);
+  }
+  return suite;
+}
+
+module.exports = {
+  Secp256k1Ciphersuite,
+  Ed25519Ciphersuite,
+  Ristretto255Ciphersuite,
+  CIPHERSUITES,
+  getCiphersuite
+};
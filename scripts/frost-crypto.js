@@ -1,14 +1,31 @@
 // FROST Threshold Signature implementation
-const { createHash, randomBytes } = require('crypto');
-const elliptic = require('elliptic');
+// Follows RFC 9591 with the secp256k1, Ed25519 and ristretto255 ciphersuites
+const {
+  randomBytes,
+  scryptSync,
+  hkdfSync,
+  createCipheriv,
+  createDecipheriv
+} = require('crypto');
 const BN = require('bn.js');
+const { getCiphersuite } = require('./frost-ciphersuites');
 
-// Initialize elliptic curve (secp256k1 is used by Ethereum)
-const ec = new elliptic.ec('secp256k1');
+// Share file format: version 1 encrypts the share with AES-256-GCM under a key derived either
+// from a passphrase (scrypt) or from ECDH with a recipient public key (ECIES)
+const SHARE_FILE_VERSION = 1;
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+// Largest scrypt cost accepted from a share file: N*r bounds the memory (128*N*r bytes, 64 MiB),
+// N*r*p the work; twice the parameters the gateway writes
+const SCRYPT_MAX_MEMORY_COST = 1 << 19;
+const SCRYPT_MAX_WORK = 1 << 19;
 
 class FrostSignature {
-  constructor() {
-    this.curve = ec;
+  // ciphersuite: 'secp256k1' (default, verifiable on Ethereum), 'ed25519' (signatures are
+  // standard Ed25519 signatures) or 'ristretto255'
+  constructor(ciphersuite = 'secp256k1') {
+    this.suite = typeof ciphersuite === 'string' ? getCiphersuite(ciphersuite) : ciphersuite;
+    // Commitments (encoded hiding points) whose nonces this signer has already used
+    this.consumedNonces = new Set();
   }
 
   // Generate key shares for n participants with threshold t
@@ -28,201 +45,1187 @@ class FrostSignature {
 
     // Calculate shares for each participant
     for (let i = 1; i <= n; i++) {
-      const x = new BN(i);
-      let share = new BN(0);
-
-      // Evaluate polynomial at x: f(x) = a_0 + a_1*x + a_2*x^2 + ... + a_{t-1}*x^{t-1}
-      for (let j = 0; j < t; j++) {
-        let term = coefficients[j].mul(x.pow(new BN(j))).mod(ec.curve.n);
-        share = share.add(term).mod(ec.curve.n);
-      }
+      const share = this._evaluatePolynomial(coefficients, i);
 
-      shares.push({ index: i, value: share.toString('hex') });
+      shares.push({ index: i, value: this._serializeScalar(share) });
 
       // Generate public share (g^{share})
-      const pubPoint = ec.g.mul(share);
       publicShares.push({
         index: i,
-        x: pubPoint.getX().toString('hex'),
-        y: pubPoint.getY().toString('hex')
+        ...this._pointToJSON(this.suite.G.mul(share))
       });
     }
 
-    // Calculate group public key (g^{a_0})
-    const groupPublicKey = ec.g.mul(coefficients[0]);
+    // Feldman VSS commitments to every coefficient (g^{a_j}); commitments[0] is the group public key
+    const commitments = coefficients.map(a => this._pointToJSON(this.suite.G.mul(a)));
 
     return {
       shares,                 // Private shares for each participant
       publicShares,           // Public shares for verification
-      groupPublicKey: {       // The group's public key
-        x: groupPublicKey.getX().toString('hex'),
-        y: groupPublicKey.getY().toString('hex')
-      },
+      commitments,            // Polynomial commitments for share verification
+      groupPublicKey: commitments[0], // The group's public key
       threshold: t,
       total: n
     };
   }
 
-  // Generate commitment for the preprocessing phase
-  generateCommitment(privateShare) {
-    // Generate one-time secret nonce
-    const nonce = new BN(this._generateRandomPrivateKey(), 16);
-    
-    // Calculate commitment D = g^nonce
-    const commitment = ec.g.mul(nonce);
-    
+  // Verify a key share against the dealer's Feldman commitments (RFC 9591 Appendix C.2):
+  // share*G == sum(C_j * index^j). When groupPublicKey is given, C_0 must also match it.
+  verifyShare(share, commitments, groupPublicKey) {
+    try {
+      if (!Array.isArray(commitments) || commitments.length === 0) return false;
+      const index = this._parseIndex(share.index);
+      const value = this._parseScalar(share.value);
+      const commitmentPoints = commitments.map(c => this._pointFromJSON(c));
+
+      if (groupPublicKey && !this.suite.eq(commitmentPoints[0], this._pointFromJSON(groupPublicKey))) {
+        return false;
+      }
+
+      return this.suite.eq(this.suite.G.mul(value), this._evaluateCommitment(commitmentPoints, index));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Resharing, old signer side: deal lambda_i * s_i to a new participant set with a fresh
+  // polynomial of degree newThreshold - 1. Any threshold subset of the old signers can reshare.
+  createResharePackage(privateShare, signerIndices, newThreshold, newTotal) {
+    if (newThreshold > newTotal) throw new Error('Threshold cannot exceed total participants');
+    if (newThreshold < 1) throw new Error('Threshold must be at least 1');
+
+    const signers = [...signerIndices].sort((a, b) => a - b);
+    const lambda = this._lagrangeCoefficientFor(signers, privateShare.index);
+    const secret = lambda.mul(this._parseScalar(privateShare.value)).umod(this.suite.n);
+
+    const coefficients = [secret];
+    for (let j = 1; j < newThreshold; j++) {
+      coefficients.push(new BN(this._generateRandomPrivateKey(), 16));
+    }
+
+    const shares = [];
+    for (let l = 1; l <= newTotal; l++) {
+      shares.push({
+        from: privateShare.index,
+        to: l,
+        value: this._serializeScalar(this._evaluatePolynomial(coefficients, l))
+      });
+    }
+
+    return {
+      from: privateShare.index,
+      signers,
+      commitments: coefficients.map(a => this._pointToJSON(this.suite.G.mul(a))),
+      shares
+    };
+  }
+
+  // Resharing, new participant side: verify the packages of the old signers and sum the
+  // shares addressed to newIndex. Each package's constant commitment must equal
+  // lambda_i * Y_i for the dealer's old public share, so the group key cannot change.
+  completeReshare(newIndex, packages, oldGroup, newThreshold, newTotal) {
+    if (packages.length < oldGroup.threshold) {
+      throw new Error(`Not enough reshare packages. Need ${oldGroup.threshold}, got ${packages.length}`);
+    }
+
+    const signers = packages.map(pkg => pkg.from).sort((a, b) => a - b);
+    const groupKeyPoint = this._pointFromJSON(oldGroup.groupPublicKey);
+
+    let share = new BN(0);
+    const groupCommitments = [];
+
+    for (const pkg of packages) {
+      if (pkg.signers.join(',') !== signers.join(',')) {
+        throw new Error(`Reshare package from participant ${pkg.from} was dealt for a different signer set`);
+      }
+      if (pkg.commitments.length !== newThreshold) {
+        throw new Error(`Reshare package from participant ${pkg.from} has the wrong number of commitments`);
+      }
+
+      const oldPublicShare = oldGroup.publicShares.find(p => p.index === pkg.from);
+      if (!oldPublicShare) throw new Error(`No public share for participant ${pkg.from}`);
+
+      const lambda = this._lagrangeCoefficientFor(signers, pkg.from);
+      const commitmentPoints = pkg.commitments.map(c => this._pointFromJSON(c));
+      if (!this.suite.eq(commitmentPoints[0], this._pointFromJSON(oldPublicShare).mul(lambda))) {
+        throw new Error(`Reshare package from participant ${pkg.from} does not commit to its old share`);
+      }
+
+      const dealt = pkg.shares.find(sh => sh.to === newIndex);
+      if (!dealt || !this.verifyShare({ index: newIndex, value: dealt.value }, pkg.commitments)) {
+        throw new Error(`Invalid reshare share from participant ${pkg.from}`);
+      }
+
+      share = share.add(this._parseScalar(dealt.value)).umod(this.suite.n);
+      commitmentPoints.forEach((point, j) => {
+        groupCommitments[j] = groupCommitments[j] ? groupCommitments[j].add(point) : point;
+      });
+    }
+
+    if (!this.suite.eq(groupCommitments[0], groupKeyPoint)) {
+      throw new Error('Reshared commitments do not match the group public key');
+    }
+
+    const publicShares = [];
+    for (let l = 1; l <= newTotal; l++) {
+      publicShares.push({ index: l, ...this._pointToJSON(this._evaluateCommitment(groupCommitments, l)) });
+    }
+
     return {
-      nonce: nonce.toString('hex'),
-      commitment: {
-        x: commitment.getX().toString('hex'),
-        y: commitment.getY().toString('hex')
-      }
-    };
-  }
-
-  // Generate signature share during the signing phase
-  generateSignatureShare(message, privateShare, nonce, commitments, participants) {
-    const messageHash = this._hashMessage(message);
-    const msgBN = new BN(messageHash, 16);
-    
-    // Participant's private key share
-    const privateKeyShare = new BN(privateShare.value, 16);
-    
-    // Calculate binding factor
-    const bindingFactor = this._calculateBindingFactor(messageHash, commitments);
-    
-    // Convert nonce to BN
-    const nonceBN = new BN(nonce, 16);
-    
-    // Calculate signature share: z_i = nonce_i + c * privateKeyShare_i
-    const c = new BN(bindingFactor, 16);
-    const signatureShare = nonceBN.add(c.mul(privateKeyShare).mod(ec.curve.n)).mod(ec.curve.n);
-    
+      share: { index: newIndex, value: this._serializeScalar(share) },
+      publicShares,
+      commitments: groupCommitments.map(point => this._pointToJSON(point)),
+      groupPublicKey: this._pointToJSON(groupKeyPoint),
+      threshold: newThreshold,
+      total: newTotal
+    };
+  }
+
+  // Run a reshare in-process: the signers in signerIndices move the key to a new
+  // (newThreshold, newTotal) group. Returns the same shape as generateKeyShares.
+  reshareKeyShares(keyShares, signerIndices, newThreshold, newTotal) {
+    const packages = signerIndices.map(index => {
+      const share = keyShares.shares.find(sh => sh.index === index);
+      if (!share) throw new Error(`No key share for participant ${index}`);
+      return this.createResharePackage(share, signerIndices, newThreshold, newTotal);
+    });
+
+    const results = [];
+    for (let l = 1; l <= newTotal; l++) {
+      results.push(this.completeReshare(l, packages, keyShares, newThreshold, newTotal));
+    }
+
+    return {
+      shares: results.map(r => r.share),
+      publicShares: results[0].publicShares,
+      commitments: results[0].commitments,
+      groupPublicKey: results[0].groupPublicKey,
+      threshold: newThreshold,
+      total: newTotal
+    };
+  }
+
+  // Proactive refresh: re-randomize every share for the same (t, n) and group key.
+  // Shares from before the refresh cannot be combined with shares from after it.
+  refreshKeyShares(keyShares, signerIndices = keyShares.shares.map(share => share.index)) {
+    return this.reshareKeyShares(keyShares, signerIndices, keyShares.threshold, keyShares.total);
+  }
+
+  // Generate the hiding/binding nonce pair and its commitment (round one, RFC 9591 Section 5.1)
+  // The nonces stay with the participant; only the commitment is published.
+  generateCommitment(privateShare) {
+    const { nonces, commitments } = this.preprocess(privateShare, 1);
+    return { nonces: nonces[0], commitment: commitments[0] };
+  }
+
+  // Preprocessing: generate a batch of nonce pairs (d_ij, e_ij) and their commitments (D_ij, E_ij)
+  // so signers can publish commitments ahead of time and sign in a single round.
+  // Each entry carries an id (the encoded hiding commitment) linking nonces to their commitment.
+  preprocess(privateShare, count) {
+    if (!Number.isInteger(count) || count < 1) throw new Error('Batch size must be a positive integer');
+    const index = this._parseIndex(privateShare.index);
+    const secret = this._parseScalar(privateShare.value);
+
+    const nonces = [];
+    const commitments = [];
+
+    for (let j = 0; j < count; j++) {
+      const hidingNonce = this._generateNonce(secret);
+      const bindingNonce = this._generateNonce(secret);
+      const hiding = this.suite.G.mul(hidingNonce);
+      const binding = this.suite.G.mul(bindingNonce);
+      const id = this._serializeElement(hiding);
+
+      nonces.push({
+        id,
+        hiding: this._serializeScalar(hidingNonce),
+        binding: this._serializeScalar(bindingNonce),
+        consumed: false
+      });
+
+      commitments.push({
+        id,
+        index,
+        hiding: this._pointToJSON(hiding),
+        binding: this._pointToJSON(binding)
+      });
+    }
+
+    return { nonces, commitments };
+  }
+
+  // Generate signature share during the signing phase (round two, RFC 9591 Section 5.2)
+  generateSignatureShare(message, privateShare, nonces, commitments, groupPublicKey) {
+    const msg = this._messageBytes(message);
+    const commitmentList = this._encodeCommitmentList(commitments);
+
+    // The signer must be part of the signing set and must sign with the nonces it committed to
+    const ownCommitment = commitmentList.find(c => c.index === privateShare.index);
+    if (!ownCommitment) {
+      throw new Error(`No commitment found for participant ${privateShare.index}`);
+    }
+
+    // A nonce pair may only ever sign one message
+    const nonceId = this._serializeElement(ownCommitment.hiding);
+    if (nonces.consumed || this.consumedNonces.has(nonceId)) {
+      throw new Error(`Nonces of participant ${privateShare.index} have already been used`);
+    }
+
+    const hidingNonce = this._parseScalar(nonces.hiding);
+    const bindingNonce = this._parseScalar(nonces.binding);
+    if (!this.suite.eq(this.suite.G.mul(hidingNonce), ownCommitment.hiding) ||
+        !this.suite.eq(this.suite.G.mul(bindingNonce), ownCommitment.binding)) {
+      throw new Error(`Nonces do not match the commitment of participant ${privateShare.index}`);
+    }
+
+    const privateKeyShare = this._parseScalar(privateShare.value);
+    const context = this._signingContext(msg, commitmentList, this._pointFromJSON(groupPublicKey));
+    const lambda = this._lagrangeCoefficientFor(context.indices, privateShare.index);
+
+    // z_i = d_i + (e_i * rho_i) + (lambda_i * s_i * c)
+    const signatureShare = hidingNonce
+      .add(bindingNonce.mul(context.bindingFactors.get(privateShare.index)))
+      .add(lambda.mul(privateKeyShare).umod(this.suite.n).mul(context.challenge))
+      .umod(this.suite.n);
+
+    // Mark the nonces consumed and erase them from the caller's copy
+    this.consumedNonces.add(nonceId);
+    nonces.hiding = null;
+    nonces.binding = null;
+    nonces.consumed = true;
+
     return {
       index: privateShare.index,
-      value: signatureShare.toString('hex')
+      value: this._serializeScalar(signatureShare)
     };
   }
 
-  // Combine signature shares to create the threshold signature
-  combineSignatureShares(message, signatureShares, commitments, publicShares, threshold) {
+  // Verify a single signature share against the signer's public share (RFC 9591 Section 5.4):
+  // z_i*G == D_i + rho_i*E_i + (c * lambda_i)*Y_i
+  verifySignatureShare(message, signatureShare, publicShare, commitments, groupPublicKey) {
+    try {
+      const msg = this._messageBytes(message);
+      const commitmentList = this._encodeCommitmentList(commitments);
+      const context = this._signingContext(msg, commitmentList, this._pointFromJSON(groupPublicKey));
+      return this._verifyShareInContext(context, signatureShare, [publicShare]);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Combine signature shares to create the threshold signature (RFC 9591 Section 5.3)
+  // When publicShares are given every share is checked first, and an
+  // InvalidSignatureShareError names the participants whose shares are invalid.
+  combineSignatureShares(message, signatureShares, commitments, groupPublicKey, threshold, publicShares) {
     if (signatureShares.length < threshold) {
       throw new Error(`Not enough signature shares. Need ${threshold}, got ${signatureShares.length}`);
     }
-    
-    const messageHash = this._hashMessage(message);
-    const bindingFactor = this._calculateBindingFactor(messageHash, commitments);
-    
-    // Calculate Lagrange coefficients
-    const indices = signatureShares.map(share => share.index);
-    const lagrangeCoefficients = this._calculateLagrangeCoefficients(indices);
-    
-    // Combine signature shares using Lagrange interpolation
-    let combinedSignature = new BN(0);
-    
-    for (let i = 0; i < signatureShares.length; i++) {
-      const share = new BN(signatureShares[i].value, 16);
-      const lagrange = new BN(lagrangeCoefficients[i], 16);
-      
-      combinedSignature = combinedSignature.add(share.mul(lagrange).mod(ec.curve.n)).mod(ec.curve.n);
-    }
-    
-    // Convert combined signature to Ethereum signature format (r, s, v)
-    const r = combinedSignature.toString('hex').padStart(64, '0');
-    
-    // For simplicity, we're using a dummy s value and v value
-    // In a real implementation, these would be properly calculated
-    const s = new BN(this._generateRandomPrivateKey(), 16).toString('hex').padStart(64, '0');
-    const v = 27; // Either 27 or 28 for Ethereum
-    
+
+    const msg = this._messageBytes(message);
+    const commitmentList = this._encodeCommitmentList(commitments);
+
+    // Every signer in the commitment list must contribute exactly one share
+    if (commitmentList.length !== signatureShares.length) {
+      throw new Error(`Expected ${commitmentList.length} signature shares, got ${signatureShares.length}`);
+    }
+    const seen = new Set();
+    for (const share of signatureShares) {
+      if (seen.has(share.index)) {
+        throw new Error(`Duplicate signature share for participant ${share.index}`);
+      }
+      if (!commitmentList.some(c => c.index === share.index)) {
+        throw new Error(`No commitment found for participant ${share.index}`);
+      }
+      seen.add(share.index);
+    }
+
+    const groupKeyPoint = this._pointFromJSON(groupPublicKey);
+    const context = this._signingContext(msg, commitmentList, groupKeyPoint);
+
+    if (publicShares) {
+      const culprits = signatureShares
+        .filter(share => !this._verifyShareInContext(context, share, publicShares))
+        .map(share => share.index)
+        .sort((a, b) => a - b);
+
+      if (culprits.length > 0) {
+        throw new InvalidSignatureShareError(culprits);
+      }
+    }
+
+    // z = sum(z_i)
+    let z = new BN(0);
+    for (const share of signatureShares) {
+      z = z.add(this._parseScalar(share.value)).umod(this.suite.n);
+    }
+
+    // Without public shares a bad share is only noticed here, and cannot be attributed
+    if (!this._verifySignatureEquation(context.groupCommitment, z, groupKeyPoint, context.challenge)) {
+      throw new Error('Aggregate signature is invalid; supply publicShares to identify the misbehaving participants');
+    }
+
     return {
-      r,
-      s,
-      v,
-      combined: combinedSignature.toString('hex')
+      R: this._pointToJSON(context.groupCommitment),
+      z: this._serializeScalar(z)
     };
   }
 
-  // Verify a FROST threshold signature
+  // Verify a FROST threshold signature: z*G == R + c*Y (RFC 9591 Section 6.5)
   verifySignature(message, signature, groupPublicKey) {
     try {
-      const messageHash = this._hashMessage(message);
-      
-      // Convert signature to point on curve
-      const sigPoint = {
-        r: new BN(signature.r, 16),
-        s: new BN(signature.s, 16)
-      };
-      
-      // Convert group public key to curve point
-      const pubKeyPoint = ec.keyFromPublic({
-        x: groupPublicKey.x,
-        y: groupPublicKey.y
-      });
-      
-      // Verify using elliptic.js
-      const msgBN = new BN(messageHash, 16);
-      return ec.verify(msgBN, sigPoint, pubKeyPoint);
+      const msg = this._messageBytes(message);
+      const R = this._pointFromJSON(signature.R);
+      const z = this._parseScalar(signature.z);
+      const groupKeyPoint = this._pointFromJSON(groupPublicKey);
+
+      const challenge = this._computeChallenge(R, groupKeyPoint, msg);
+      return this._verifySignatureEquation(R, z, groupKeyPoint, challenge);
     } catch (error) {
-      console.error("Signature verification error:", error);
+      // Malformed signatures and keys are simply invalid, as in verifyBatch
       return false;
     }
   }
 
-  // Helper: Calculate Lagrange coefficients for interpolation
+  // Verify many signatures at once with a randomized linear combination:
+  // sum(a_i*z_i)*G == sum(a_i*R_i) + sum(a_i*c_i*Y_i) for random 128-bit weights a_i.
+  // If the combined check fails, the batch is bisected to find the invalid items.
+  // Returns { valid, invalid } where invalid holds the positions of the bad items.
+  verifyBatch(items) {
+    const entries = [];
+    const invalid = [];
+
+    items.forEach((item, position) => {
+      try {
+        const msg = this._messageBytes(item.message);
+        const R = this._pointFromJSON(item.signature.R);
+        const z = this._parseScalar(item.signature.z);
+        const groupKeyPoint = this._pointFromJSON(item.groupPublicKey);
+        entries.push({ position, R, z, groupKeyPoint, challenge: this._computeChallenge(R, groupKeyPoint, msg) });
+      } catch (error) {
+        invalid.push(position);
+      }
+    });
+
+    invalid.push(...this._findInvalidSignatures(entries));
+    invalid.sort((a, b) => a - b);
+
+    return { valid: invalid.length === 0, invalid };
+  }
+
+  // Encode a signature as SerializeElement(R) || SerializeScalar(z) (hex; 65 bytes for
+  // secp256k1, 64 bytes for Ed25519 and ristretto255)
+  serializeSignature(signature) {
+    return this._serializeElement(this._pointFromJSON(signature.R)) +
+      this._serializeScalar(this._parseScalar(signature.z));
+  }
+
+  // Encode a public key ({x, y}) as SerializeElement, e.g. a group key for the
+  // FrostVerifier contracts (compressed SEC1 for secp256k1)
+  serializePublicKey(publicKey) {
+    return this._serializeElement(this._pointFromJSON(publicKey));
+  }
+
+  // Decode a signature encoded by serializeSignature (hex, optionally 0x-prefixed) into
+  // { R, z }; throws if either part is malformed
+  deserializeSignature(encoded) {
+    const hex = typeof encoded === 'string' ? encoded.replace(/^0x/, '') : '';
+    const scalarLength = this._serializeScalar(new BN(0)).length;
+    const R = this.suite.deserializeElement(hex.slice(0, -scalarLength));
+    const z = hex.slice(-scalarLength);
+    this._parseScalar(z);
+    return { R: this._pointToJSON(R), z };
+  }
+
+  // Decode a public key encoded by serializePublicKey (hex, optionally 0x-prefixed) into {x, y}
+  deserializePublicKey(encoded) {
+    const hex = typeof encoded === 'string' ? encoded.replace(/^0x/, '') : '';
+    return this._pointToJSON(this.suite.deserializeElement(hex));
+  }
+
+  // Generate a key pair in the ciphersuite's group, e.g. for receiving encrypted share files
+  generateKeyPair() {
+    const privateKey = new BN(this._generateRandomPrivateKey(), 16);
+    return {
+      privateKey: this._serializeScalar(privateKey),
+      publicKey: this._pointToJSON(this.suite.G.mul(privateKey))
+    };
+  }
+
+  // Export a signer's share as a versioned file. The share is encrypted under
+  // options.passphrase or options.recipientPublicKey ({x, y}); the public metadata
+  // is bound to the ciphertext as AES-GCM associated data.
+  exportShare(share, group, options = {}) {
+    const value = this._parseScalar(share.value);
+    const header = {
+      version: SHARE_FILE_VERSION,
+      ciphersuite: this.suite.contextString,
+      groupPublicKey: this._pointToJSON(this._pointFromJSON(group.groupPublicKey)),
+      threshold: group.threshold,
+      total: group.total,
+      index: this._parseIndex(share.index),
+      publicShare: this._pointToJSON(this.suite.G.mul(value))
+    };
+
+    let encryption;
+    let key;
+    if (options.passphrase) {
+      const salt = randomBytes(16);
+      key = this._deriveScryptKey(options.passphrase, salt, SCRYPT_PARAMS);
+      encryption = { scheme: 'scrypt-aes-256-gcm', kdf: { ...SCRYPT_PARAMS, salt: salt.toString('hex') } };
+    } else if (options.recipientPublicKey) {
+      const ephemeralKey = new BN(this._generateRandomPrivateKey(), 16);
+      const ephemeralPublicKey = this.suite.G.mul(ephemeralKey);
+      key = this._deriveEciesKey(ephemeralPublicKey, this._pointFromJSON(options.recipientPublicKey).mul(ephemeralKey));
+      encryption = { scheme: this._eciesScheme(), ephemeralPublicKey: this._pointToJSON(ephemeralPublicKey) };
+    } else {
+      throw new Error('A passphrase or recipient public key is required to export a share');
+    }
+
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(this._shareFileAad(header, encryption));
+    const ciphertext = Buffer.concat([cipher.update(Buffer.from(this._serializeScalar(value), 'hex')), cipher.final()]);
+
+    return {
+      ...header,
+      encryption: { ...encryption, iv: iv.toString('hex'), tag: cipher.getAuthTag().toString('hex') },
+      ciphertext: ciphertext.toString('hex')
+    };
+  }
+
+  // Load a share file written by exportShare. options.passphrase or options.privateKey
+  // (hex) must match the way it was encrypted. Fails if the file was modified or the
+  // decrypted share does not match the recorded public share.
+  importShare(file, options = {}) {
+    const data = typeof file === 'string' ? JSON.parse(file) : file;
+    if (!data || data.version !== SHARE_FILE_VERSION) {
+      throw new Error(`Unsupported share file version: ${data && data.version}`);
+    }
+    if (data.ciphersuite !== this.suite.contextString) {
+      throw new Error(`Unsupported ciphersuite: ${data.ciphersuite}`);
+    }
+
+    const header = {
+      version: data.version,
+      ciphersuite: data.ciphersuite,
+      groupPublicKey: data.groupPublicKey,
+      threshold: data.threshold,
+      total: data.total,
+      index: data.index,
+      publicShare: data.publicShare
+    };
+    const { iv, tag, ...encryption } = data.encryption || {};
+
+    let key;
+    if (encryption.scheme === 'scrypt-aes-256-gcm') {
+      if (!options.passphrase) throw new Error('A passphrase is required to import this share');
+      const { salt, ...params } = encryption.kdf;
+      key = this._deriveScryptKey(options.passphrase, Buffer.from(salt, 'hex'), params);
+    } else if (encryption.scheme === this._eciesScheme()) {
+      if (!options.privateKey) throw new Error('A private key is required to import this share');
+      const ephemeralPublicKey = this._pointFromJSON(encryption.ephemeralPublicKey);
+      key = this._deriveEciesKey(ephemeralPublicKey, ephemeralPublicKey.mul(this._parseScalar(options.privateKey)));
+    } else {
+      throw new Error(`Unsupported share encryption scheme: ${encryption.scheme}`);
+    }
+
+    let plaintext;
+    try {
+      const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'));
+      decipher.setAAD(this._shareFileAad(header, encryption));
+      decipher.setAuthTag(Buffer.from(tag, 'hex'));
+      plaintext = Buffer.concat([decipher.update(Buffer.from(data.ciphertext, 'hex')), decipher.final()]);
+    } catch (error) {
+      throw new Error('Share file could not be decrypted: wrong key or corrupted file');
+    }
+
+    const value = this._parseScalar(plaintext.toString('hex'));
+    if (!this.suite.eq(this.suite.G.mul(value), this._pointFromJSON(header.publicShare))) {
+      throw new Error('Decrypted share does not match its public share');
+    }
+
+    const index = this._parseIndex(header.index);
+    return {
+      share: { index, value: this._serializeScalar(value) },
+      publicShare: { index, ...this._pointToJSON(this._pointFromJSON(header.publicShare)) },
+      groupPublicKey: this._pointToJSON(this._pointFromJSON(header.groupPublicKey)),
+      threshold: header.threshold,
+      total: header.total
+    };
+  }
+
+  // Helper: Associated data covering every unencrypted field of a share file
+  _shareFileAad(header, encryption) {
+    return Buffer.from(JSON.stringify({ ...header, encryption }), 'utf8');
+  }
+
+  // Helper: Derive an AES-256 key from a passphrase
+  _deriveScryptKey(passphrase, salt, params) {
+    const { N, r, p } = params;
+    if (![N, r, p].every(value => Number.isInteger(value) && value > 0) ||
+        N * r > SCRYPT_MAX_MEMORY_COST || N * r * p > SCRYPT_MAX_WORK) {
+      throw new Error('Unsupported scrypt parameters');
+    }
+    return scryptSync(passphrase, salt, 32, { N, r, p, maxmem: 256 * N * r });
+  }
+
+  // Helper: Derive an AES-256 key from an ECDH shared point, bound to the ephemeral key
+  _deriveEciesKey(ephemeralPublicKey, sharedPoint) {
+    if (this.suite.isIdentity(sharedPoint)) throw new Error('Invalid ECDH shared secret');
+    return Buffer.from(hkdfSync(
+      'sha256',
+      Buffer.from(this._serializeElement(sharedPoint), 'hex'),
+      Buffer.from(this._serializeElement(ephemeralPublicKey), 'hex'),
+      this.suite.contextString + 'share-file',
+      32
+    ));
+  }
+
+  // Helper: Share files encrypted to a public key name the group they use
+  _eciesScheme() {
+    return `ecies-${this.suite.name}-aes-256-gcm`;
+  }
+
+  // Helper: Schnorr verification equation [h]z*G == [h](R + c*Y), with cofactor h
+  // (RFC 9591 Section 6.5; h = 8 for Ed25519 and 1 for the prime-order groups)
+  _verifySignatureEquation(R, z, groupKeyPoint, challenge) {
+    const difference = this.suite.G.mul(z).add(R.add(groupKeyPoint.mul(challenge)).neg());
+    return this.suite.isIdentity(difference.mul(this.suite.cofactor));
+  }
+
+  // Helper: Bisect a batch down to the signatures that do not verify
+  _findInvalidSignatures(entries) {
+    if (entries.length === 0 || this._batchEquationHolds(entries)) return [];
+    if (entries.length === 1) return [entries[0].position];
+
+    const middle = Math.ceil(entries.length / 2);
+    return [
+      ...this._findInvalidSignatures(entries.slice(0, middle)),
+      ...this._findInvalidSignatures(entries.slice(middle))
+    ];
+  }
+
+  // Helper: One multi-scalar multiplication for the whole batch. Signatures under the
+  // same group key share a single Y term.
+  _batchEquationHolds(entries) {
+    const n = this.suite.n;
+    let zSum = new BN(0);
+    const points = [];
+    const scalars = [];
+    const keyTerms = new Map();
+
+    entries.forEach((entry, i) => {
+      const weight = i === 0 ? new BN(1) : new BN(randomBytes(16));
+      zSum = zSum.add(weight.mul(entry.z)).umod(n);
+
+      // -a_i * R_i
+      points.push(entry.R);
+      scalars.push(n.sub(weight));
+
+      // -a_i * c_i * Y_i, accumulated per group key
+      const key = this._serializeElement(entry.groupKeyPoint);
+      const term = keyTerms.get(key) || { point: entry.groupKeyPoint, scalar: new BN(0) };
+      term.scalar = term.scalar.add(weight.mul(entry.challenge)).umod(n);
+      keyTerms.set(key, term);
+    });
+
+    for (const term of keyTerms.values()) {
+      points.push(term.point);
+      scalars.push(n.sub(term.scalar).umod(n));
+    }
+    points.push(this.suite.G);
+    scalars.push(zSum);
+
+    const result = this.suite.multiScalarMul(points, scalars);
+    return this.suite.isIdentity(result.mul(this.suite.cofactor));
+  }
+
+  // Helper: Evaluate f(x) = a_0 + a_1*x + ... + a_{t-1}*x^{t-1} using Horner's rule
+  _evaluatePolynomial(coefficients, x) {
+    const xBN = new BN(x);
+    let result = new BN(0);
+    for (let j = coefficients.length - 1; j >= 0; j--) {
+      result = result.mul(xBN).add(coefficients[j]).umod(this.suite.n);
+    }
+    return result;
+  }
+
+  // Helper: Evaluate Feldman commitments at x: sum(C_j * x^j) = f(x)*G
+  _evaluateCommitment(commitmentPoints, x) {
+    const xBN = new BN(x);
+    let result = this.suite.identity();
+    for (let j = commitmentPoints.length - 1; j >= 0; j--) {
+      result = result.mul(xBN).add(commitmentPoints[j]);
+    }
+    return result;
+  }
+
+  // Helper: Calculate Lagrange coefficients for interpolation at x = 0
   _calculateLagrangeCoefficients(indices) {
     const coefficients = [];
-    
+
     for (let i = 0; i < indices.length; i++) {
       let coeff = new BN(1);
       const xi = new BN(indices[i]);
-      
+
       for (let j = 0; j < indices.length; j++) {
         if (i !== j) {
           const xj = new BN(indices[j]);
-          const num = new BN(0).sub(xj).mod(ec.curve.n); // -xj
-          const denom = xi.sub(xj).mod(ec.curve.n); // xi - xj
-          const denomInv = denom.invm(ec.curve.n); // (xi - xj)^-1
-          
-          coeff = coeff.mul(num).mul(denomInv).mod(ec.curve.n);
+          const num = xj.umod(this.suite.n); // xj
+          const denom = xj.sub(xi).umod(this.suite.n); // xj - xi
+          if (denom.isZero()) throw new Error(`Duplicate participant index ${indices[i]}`);
+          const denomInv = denom.invm(this.suite.n); // (xj - xi)^-1
+
+          coeff = coeff.mul(num).umod(this.suite.n).mul(denomInv).umod(this.suite.n);
         }
       }
-      
+
       coefficients.push(coeff.toString('hex'));
     }
-    
+
     return coefficients;
   }
 
-  // Helper: Calculate binding factor (challenge)
-  _calculateBindingFactor(messageHash, commitments) {
-    let commitmentString = '';
-    for (const commitment of commitments) {
-      commitmentString += commitment.x + commitment.y;
+  // Helper: Binding factors, group commitment and challenge shared by every signer of a session
+  _signingContext(msg, commitmentList, groupKeyPoint) {
+    const bindingFactors = this._computeBindingFactors(groupKeyPoint, commitmentList, msg);
+    const groupCommitment = this._computeGroupCommitment(commitmentList, bindingFactors);
+
+    return {
+      commitmentList,
+      bindingFactors,
+      groupCommitment,
+      challenge: this._computeChallenge(groupCommitment, groupKeyPoint, msg),
+      indices: commitmentList.map(c => c.index)
+    };
+  }
+
+  // Helper: Check one signature share within a signing context; malformed shares are invalid
+  _verifyShareInContext(context, signatureShare, publicShares) {
+    try {
+      const commitment = context.commitmentList.find(c => c.index === signatureShare.index);
+      const publicShare = publicShares.find(p => p.index === signatureShare.index);
+      if (!commitment || !publicShare) return false;
+
+      const z = this._parseScalar(signatureShare.value);
+      const lambda = this._lagrangeCoefficientFor(context.indices, signatureShare.index);
+
+      const commitmentShare = commitment.hiding.add(commitment.binding.mul(context.bindingFactors.get(signatureShare.index)));
+      const challengeShare = lambda.mul(context.challenge).umod(this.suite.n);
+
+      return this.suite.eq(this.suite.G.mul(z), commitmentShare.add(this._pointFromJSON(publicShare).mul(challengeShare)));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Helper: Lagrange coefficient of a single participant within a signing set
+  _lagrangeCoefficientFor(indices, index) {
+    const position = indices.indexOf(index);
+    if (position === -1) throw new Error(`Participant ${index} is not in the signing set`);
+    return new BN(this._calculateLagrangeCoefficients(indices)[position], 16);
+  }
+
+  // Helper: Validate commitments and sort them by participant index
+  _encodeCommitmentList(commitments) {
+    const commitmentList = commitments
+      .map(c => ({
+        index: this._parseIndex(c.index),
+        hiding: this._pointFromJSON(c.hiding),
+        binding: this._pointFromJSON(c.binding)
+      }))
+      .sort((a, b) => a.index - b.index);
+
+    for (let i = 1; i < commitmentList.length; i++) {
+      if (commitmentList[i].index === commitmentList[i - 1].index) {
+        throw new Error(`Duplicate commitment for participant ${commitmentList[i].index}`);
+      }
+    }
+
+    return commitmentList;
+  }
+
+  // Helper: Per-signer binding factors rho_i = H1(Y || H4(m) || H5(B) || i)
+  _computeBindingFactors(groupKeyPoint, commitmentList, msg) {
+    const encodedCommitments = Buffer.concat(commitmentList.map(c => Buffer.concat([
+      Buffer.from(this._serializeScalar(new BN(c.index)), 'hex'),
+      Buffer.from(this._serializeElement(c.hiding), 'hex'),
+      Buffer.from(this._serializeElement(c.binding), 'hex')
+    ])));
+
+    const prefix = Buffer.concat([
+      Buffer.from(this._serializeElement(groupKeyPoint), 'hex'),
+      this._H4(msg),
+      this._H5(encodedCommitments)
+    ]);
+
+    const bindingFactors = new Map();
+    for (const c of commitmentList) {
+      const rhoInput = Buffer.concat([prefix, Buffer.from(this._serializeScalar(new BN(c.index)), 'hex')]);
+      bindingFactors.set(c.index, this._H1(rhoInput));
+    }
+    return bindingFactors;
+  }
+
+  // Helper: Group commitment R = sum(D_i + rho_i * E_i)
+  _computeGroupCommitment(commitmentList, bindingFactors) {
+    let groupCommitment = this.suite.identity();
+    for (const c of commitmentList) {
+      groupCommitment = groupCommitment
+        .add(c.hiding)
+        .add(c.binding.mul(bindingFactors.get(c.index)));
+    }
+    if (this.suite.isIdentity(groupCommitment)) throw new Error('Group commitment is the identity element');
+    return groupCommitment;
+  }
+
+  // Helper: Challenge c = H2(R || Y || m)
+  _computeChallenge(groupCommitment, groupKeyPoint, msg) {
+    return this._H2(Buffer.concat([
+      Buffer.from(this._serializeElement(groupCommitment), 'hex'),
+      Buffer.from(this._serializeElement(groupKeyPoint), 'hex'),
+      msg
+    ]));
+  }
+
+  // Helper: nonce_generate(secret) = H3(random_bytes(32) || SerializeScalar(secret))
+  _generateNonce(secret, randomness = randomBytes(32)) {
+    return this._H3(Buffer.concat([
+      randomness,
+      Buffer.from(this._serializeScalar(secret), 'hex')
+    ]));
+  }
+
+  // Ciphersuite hash functions (RFC 9591 Section 6.5)
+  _H1(input) {
+    return this.suite.H1(input);
+  }
+
+  _H2(input) {
+    return this.suite.H2(input);
+  }
+
+  _H3(input) {
+    return this.suite.H3(input);
+  }
+
+  _H4(input) {
+    return this.suite.H4(input);
+  }
+
+  _H5(input) {
+    return this.suite.H5(input);
+  }
+
+  // Helper: Hash to a scalar under the ciphersuite's domain separation, tagged by purpose
+  _hashToScalar(input, tag) {
+    return this.suite.hashToScalar(input, tag);
+  }
+
+  // Helper: SerializeElement in the ciphersuite's encoding (hex)
+  _serializeElement(point) {
+    return this.suite.serializeElement(point);
+  }
+
+  // Helper: SerializeScalar in the ciphersuite's encoding (hex)
+  _serializeScalar(scalar) {
+    return this.suite.serializeScalar(scalar);
+  }
+
+  // Helper: Parse a hex scalar, rejecting malformed or out-of-range values
+  _parseScalar(value) {
+    return this.suite.deserializeScalar(value);
+  }
+
+  // Helper: Parse a participant index (identifiers are non-zero integers)
+  _parseIndex(index) {
+    if (!Number.isInteger(index) || index < 1) {
+      throw new Error(`Invalid participant index ${index}`);
     }
-    
-    const bindingFactorInput = messageHash + commitmentString;
-    return createHash('sha256').update(bindingFactorInput).digest('hex');
+    return index;
   }
 
-  // Helper: Hash message for signing
-  _hashMessage(message) {
-    return createHash('sha256').update(message).digest('hex');
+  // Helper: Convert an {x, y} hex object to a validated curve point
+  _pointFromJSON(json) {
+    const isHex = value => typeof value === 'string' && /^[0-9a-fA-F]{1,64}$/.test(value);
+    if (!json || !isHex(json.x) || !isHex(json.y)) {
+      throw new Error('Invalid point encoding');
+    }
+    return this.suite.pointFromCoordinates(new BN(json.x, 16), new BN(json.y, 16));
+  }
+
+  // Helper: Convert a curve point to an {x, y} hex object
+  _pointToJSON(point) {
+    if (this.suite.canonicalize) point = this.suite.canonicalize(point);
+    return {
+      x: point.getX().toString('hex'),
+      y: point.getY().toString('hex')
+    };
+  }
+
+  // Helper: Messages are signed as raw bytes; strings are UTF-8 encoded
+  _messageBytes(message) {
+    if (Buffer.isBuffer(message) || message instanceof Uint8Array) return Buffer.from(message);
+    if (typeof message === 'string') return Buffer.from(message, 'utf8');
+    throw new Error('Message must be a string or a byte array');
   }
 
   // Helper: Generate cryptographically secure random private key
   _generateRandomPrivateKey() {
     // Generate a cryptographically secure random 32-byte private key
     let privateKey;
-    
+
     do {
       // Use crypto.randomBytes for cryptographically secure random number generation
       const randomBytesBuffer = randomBytes(32);
-      privateKey = randomBytesBuffer.toString('hex');
-    } while (new BN(privateKey, 16).gte(ec.curve.n));
-    
+      privateKey = new BN(randomBytesBuffer).maskn(this.suite.n.bitLength()).toString('hex');
+    } while (new BN(privateKey, 16).gte(this.suite.n) || new BN(privateKey, 16).isZero());
+
     return privateKey;
   }
 }
 
-module.exports = FrostSignature;
\ No newline at end of file
+// Raised by combineSignatureShares when individual shares fail verification
+class InvalidSignatureShareError extends Error {
+  constructor(culprits) {
+    super(`Invalid signature shares from participants ${culprits.join(', ')}`);
+    this.name = 'InvalidSignatureShareError';
+    this.culprits = culprits;
+  }
+}
+
+// Coordinator-side store of preprocessed commitments, keyed by signer index.
+// Each commitment is handed out for at most one signing session.
+class CommitmentStore {
+  constructor() {
+    this.commitments = new Map();
+    this.usedIds = new Set();
+  }
+
+  // Publish a batch of commitments produced by FrostSignature.preprocess
+  add(commitments) {
+    for (const commitment of commitments) {
+      if (!commitment.id) throw new Error('Commitment is missing its id');
+      if (this.usedIds.has(commitment.id)) {
+        throw new Error(`Commitment ${commitment.id.substring(0, 16)}... has already been published`);
+      }
+
+      this.usedIds.add(commitment.id);
+      if (!this.commitments.has(commitment.index)) {
+        this.commitments.set(commitment.index, []);
+      }
+      this.commitments.get(commitment.index).push(commitment);
+    }
+  }
+
+  // Number of unused commitments available for a signer
+  available(index) {
+    return (this.commitments.get(index) || []).length;
+  }
+
+  // Remove and return the next unused commitment of each signer
+  take(indices) {
+    const missing = indices.filter(index => this.available(index) === 0);
+    if (missing.length > 0) {
+      throw new Error(`No commitments available for participants ${missing.join(', ')}`);
+    }
+    return indices.map(index => this.commitments.get(index).shift());
+  }
+}
+
+// One participant of a Pedersen distributed key generation (FROST paper, Figure 1).
+// No party ever holds the group secret: each participant deals a random polynomial,
+// proves knowledge of its constant term, and sums the shares it receives.
+// Rounds:
+//   1. round1()            -> broadcast Feldman commitments and proof of knowledge
+//   2. round2(packages)    -> verify proofs, return private shares keyed by recipient
+//   3. receiveShares(pkgs) -> verify shares against commitments, return complaints
+//   4. respondToComplaint  -> accused dealers publicly reveal the disputed share
+//   5. resolveComplaints   -> adopt valid revealed shares, disqualify cheating dealers
+//   6. finalize()          -> signing share, public shares and group public key
+class DkgParticipant {
+  constructor(index, threshold, total, frost = new FrostSignature()) {
+    if (threshold > total) throw new Error('Threshold cannot exceed total participants');
+    if (threshold < 1) throw new Error('Threshold must be at least 1');
+    if (!Number.isInteger(index) || index < 1 || index > total) {
+      throw new Error(`Invalid participant index ${index}`);
+    }
+
+    this.index = index;
+    this.threshold = threshold;
+    this.total = total;
+    this.frost = frost;
+
+    this.coefficients = null;
+    this.commitments = new Map();   // dealer index -> Feldman commitment points
+    this.receivedShares = new Map(); // dealer index -> f_dealer(this.index)
+    this.disqualified = new Set();
+  }
+
+  // Round 1: sample a polynomial, commit to its coefficients and prove knowledge of a_0
+  round1() {
+    const frost = this.frost;
+    this.coefficients = [];
+    for (let j = 0; j < this.threshold; j++) {
+      this.coefficients.push(new BN(frost._generateRandomPrivateKey(), 16));
+    }
+    const commitmentPoints = this.coefficients.map(a => frost.suite.G.mul(a));
+
+    // Schnorr proof of knowledge: R = k*G, mu = k + a_0 * c
+    const k = new BN(frost._generateRandomPrivateKey(), 16);
+    const R = frost.suite.G.mul(k);
+    const c = this._proofChallenge(this.index, commitmentPoints[0], R);
+    const mu = k.add(this.coefficients[0].mul(c)).umod(frost.suite.n);
+
+    return {
+      index: this.index,
+      commitments: commitmentPoints.map(point => frost._pointToJSON(point)),
+      proof: { R: frost._pointToJSON(R), mu: frost._serializeScalar(mu) }
+    };
+  }
+
+  // Round 2: verify every dealer's proof of knowledge, then deal f_i(l) to each participant l
+  round2(round1Packages) {
+    if (!this.coefficients) throw new Error('Round 1 has not been run');
+    const frost = this.frost;
+
+    for (const pkg of round1Packages) {
+      if (this.commitments.has(pkg.index) || this.disqualified.has(pkg.index)) {
+        throw new Error(`Duplicate round 1 package from participant ${pkg.index}`);
+      }
+
+      try {
+        if (!Array.isArray(pkg.commitments) || pkg.commitments.length !== this.threshold) {
+          throw new Error('Wrong number of commitments');
+        }
+        const commitmentPoints = pkg.commitments.map(c => frost._pointFromJSON(c));
+        const R = frost._pointFromJSON(pkg.proof.R);
+        const mu = frost._parseScalar(pkg.proof.mu);
+        const c = this._proofChallenge(pkg.index, commitmentPoints[0], R);
+
+        // R == mu*G - c*C_0
+        if (!frost.suite.eq(R, frost.suite.G.mul(mu).add(commitmentPoints[0].mul(c).neg()))) {
+          throw new Error('Invalid proof of knowledge');
+        }
+        this.commitments.set(pkg.index, commitmentPoints);
+      } catch (error) {
+        this.disqualified.add(pkg.index);
+      }
+    }
+
+    const shares = {};
+    for (let l = 1; l <= this.total; l++) {
+      const value = frost._serializeScalar(frost._evaluatePolynomial(this.coefficients, l));
+      if (l === this.index) {
+        this.receivedShares.set(this.index, value);
+      } else {
+        shares[l] = { from: this.index, to: l, value };
+      }
+    }
+    return shares;
+  }
+
+  // Round 2 (receive): check each private share against the dealer's commitments
+  // and return complaints against dealers that sent an inconsistent share
+  receiveShares(round2Packages) {
+    const complaints = [];
+    const received = new Set([this.index]);
+
+    for (const pkg of round2Packages) {
+      if (pkg.to !== this.index || this.disqualified.has(pkg.from)) continue;
+      received.add(pkg.from);
+
+      if (this._isValidShare(pkg.from, this.index, pkg.value)) {
+        this.receivedShares.set(pkg.from, pkg.value);
+      } else {
+        complaints.push({ accuser: this.index, accused: pkg.from });
+      }
+    }
+
+    // A dealer that sent nothing is treated like one that sent a bad share
+    for (const dealer of this.commitments.keys()) {
+      if (!received.has(dealer)) {
+        complaints.push({ accuser: this.index, accused: dealer });
+      }
+    }
+
+    return complaints;
+  }
+
+  // Reveal the disputed share publicly so every participant can judge the complaint
+  respondToComplaint(complaint) {
+    if (complaint.accused !== this.index) return null;
+    return {
+      from: this.index,
+      to: complaint.accuser,
+      value: this.frost._serializeScalar(this.frost._evaluatePolynomial(this.coefficients, complaint.accuser))
+    };
+  }
+
+  // Judge all broadcast complaints: a dealer whose revealed share is missing or
+  // inconsistent with its commitments is disqualified; otherwise the accuser adopts it
+  resolveComplaints(complaints, revelations) {
+    for (const complaint of complaints) {
+      if (this.disqualified.has(complaint.accused)) continue;
+
+      const revealed = revelations.find(r =>
+        r && r.from === complaint.accused && r.to === complaint.accuser
+      );
+
+      if (!revealed || !this._isValidShare(complaint.accused, complaint.accuser, revealed.value)) {
+        this.disqualified.add(complaint.accused);
+        this.commitments.delete(complaint.accused);
+        this.receivedShares.delete(complaint.accused);
+      } else if (complaint.accuser === this.index) {
+        this.receivedShares.set(complaint.accused, revealed.value);
+      }
+    }
+  }
+
+  // Whether this participant is still part of the qualified set
+  isQualified() {
+    return this.commitments.has(this.index);
+  }
+
+  // Combine the shares of all qualified dealers into this participant's key share
+  finalize() {
+    const frost = this.frost;
+    const qualified = [...this.commitments.keys()].sort((a, b) => a - b);
+
+    if (qualified.length < this.threshold) {
+      throw new Error(`Only ${qualified.length} qualified participants, need at least ${this.threshold}`);
+    }
+    if (!qualified.includes(this.index)) {
+      throw new Error(`Participant ${this.index} was disqualified`);
+    }
+
+    let share = new BN(0);
+    for (const dealer of qualified) {
+      if (!this.receivedShares.has(dealer)) {
+        throw new Error(`Missing share from participant ${dealer}`);
+      }
+      share = share.add(frost._parseScalar(this.receivedShares.get(dealer))).umod(frost.suite.n);
+    }
+
+    // Group key and public shares follow from the summed commitments
+    const groupCommitments = [];
+    for (let j = 0; j < this.threshold; j++) {
+      let sum = frost.suite.identity();
+      for (const dealer of qualified) sum = sum.add(this.commitments.get(dealer)[j]);
+      groupCommitments.push(sum);
+    }
+
+    const publicShares = [];
+    for (let l = 1; l <= this.total; l++) {
+      publicShares.push({ index: l, ...frost._pointToJSON(frost._evaluateCommitment(groupCommitments, l)) });
+    }
+
+    // Erase the polynomial; only the summed share is kept
+    this.coefficients = null;
+
+    return {
+      share: { index: this.index, value: frost._serializeScalar(share) },
+      publicShares,
+      commitments: groupCommitments.map(point => frost._pointToJSON(point)),
+      groupPublicKey: frost._pointToJSON(groupCommitments[0]),
+      threshold: this.threshold,
+      total: this.total,
+      qualified,
+      disqualified: [...this.disqualified].sort((a, b) => a - b)
+    };
+  }
+
+  // Helper: Proof-of-knowledge challenge c = H(i || C_0 || R)
+  _proofChallenge(index, constantCommitment, R) {
+    const frost = this.frost;
+    return frost._hashToScalar(Buffer.concat([
+      Buffer.from(frost._serializeScalar(new BN(index)), 'hex'),
+      Buffer.from(frost._serializeElement(constantCommitment), 'hex'),
+      Buffer.from(frost._serializeElement(R), 'hex')
+    ]), 'dkg');
+  }
+
+  // Helper: Feldman check of the share f_dealer(recipient) against the dealer's commitments
+  _isValidShare(dealer, recipient, value) {
+    const commitmentPoints = this.commitments.get(dealer);
+    if (!commitmentPoints) return false;
+    return this.frost.verifyShare(
+      { index: recipient, value },
+      commitmentPoints.map(point => this.frost._pointToJSON(point))
+    );
+  }
+}
+
+// Message transport for driving a DKG among participants in one process.
+// Broadcasts are visible to everyone; direct messages only to their recipient.
+class InProcessTransport {
+  constructor() {
+    this.broadcasts = new Map();
+    this.mailboxes = new Map();
+  }
+
+  broadcast(round, payload) {
+    if (!this.broadcasts.has(round)) this.broadcasts.set(round, []);
+    this.broadcasts.get(round).push(payload);
+  }
+
+  collect(round) {
+    return [...(this.broadcasts.get(round) || [])];
+  }
+
+  send(round, to, payload) {
+    const key = `${round}:${to}`;
+    if (!this.mailboxes.has(key)) this.mailboxes.set(key, []);
+    this.mailboxes.get(key).push(payload);
+  }
+
+  receive(round, to) {
+    return [...(this.mailboxes.get(`${round}:${to}`) || [])];
+  }
+}
+
+// Run every DKG round for the given participants over a transport and
+// return the final key material of every participant that stayed qualified
+function runDistributedKeyGeneration(participants, transport = new InProcessTransport()) {
+  for (const participant of participants) {
+    transport.broadcast('round1', participant.round1());
+  }
+
+  for (const participant of participants) {
+    const shares = participant.round2(transport.collect('round1'));
+    for (const pkg of Object.values(shares)) {
+      transport.send('round2', pkg.to, pkg);
+    }
+  }
+
+  for (const participant of participants) {
+    for (const complaint of participant.receiveShares(transport.receive('round2', participant.index))) {
+      transport.broadcast('complaints', complaint);
+    }
+  }
+
+  const complaints = transport.collect('complaints');
+  for (const participant of participants) {
+    for (const complaint of complaints) {
+      const revealed = participant.respondToComplaint(complaint);
+      if (revealed) transport.broadcast('revelations', revealed);
+    }
+  }
+
+  const revelations = transport.collect('revelations');
+  for (const participant of participants) {
+    participant.resolveComplaints(complaints, revelations);
+  }
+
+  // Disqualified participants drop out; everyone else derives the same group key
+  return participants
+    .filter(participant => participant.isQualified())
+    .map(participant => participant.finalize());
+}
+
+module.exports = FrostSignature;
+module.exports.CommitmentStore = CommitmentStore;
+module.exports.InvalidSignatureShareError = InvalidSignatureShareError;
+module.exports.DkgParticipant = DkgParticipant;
+module.exports.InProcessTransport = InProcessTransport;
+module.exports.runDistributedKeyGeneration = runDistributedKeyGeneration;
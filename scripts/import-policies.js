@@ -0,0 +1,67 @@
+// scripts/import-policies.js
+// Import AWS IAM policy JSON or Azure role assignments into the AccessControlRegistry.
+//
+//   IMPORT_SOURCE=aws IMPORT_FILE=policy.json IMPORT_PRINCIPAL=arn:aws:iam::123456789012:user/alice \
+//     npx hardhat run scripts/import-policies.js --network localhost
+//   IMPORT_SOURCE=azure IMPORT_FILE=assignments.json npx hardhat run scripts/import-policies.js
+//
+// Azure files hold { "roleDefinitions": [...], "roleAssignments": [...] } as returned by
+// AzureIamConnector. Without IMPORT_APPLY=true only the plan is printed (dry run).
+const hre = require("hardhat");
+const fs = require("fs");
+const PolicyImporter = require("../cloud/policy-importer");
+require("dotenv").config();
+
+async function main() {
+  const source = (process.env.IMPORT_SOURCE || "").toLowerCase();
+  const file = process.env.IMPORT_FILE;
+  if (!["aws", "azure"].includes(source) || !file) {
+    throw new Error("Set IMPORT_SOURCE (aws or azure) and IMPORT_FILE");
+  }
+
+  const input = JSON.parse(fs.readFileSync(file, "utf8"));
+  const apply = process.env.IMPORT_APPLY === "true";
+
+  let registry = null;
+  if (apply) {
+    if (!process.env.ACCESS_CONTROL_REGISTRY_ADDRESS) {
+      throw new Error("ACCESS_CONTROL_REGISTRY_ADDRESS must be set to apply an import");
+    }
+    registry = await hre.ethers.getContractAt("AccessControlRegistry", process.env.ACCESS_CONTROL_REGISTRY_ADDRESS);
+  }
+
+  const importer = new PolicyImporter(registry);
+  const plan = source === "aws"
+    ? importer.planAwsPolicy(input, process.env.IMPORT_PRINCIPAL)
+    : importer.planAzureRoleAssignments(input.roleAssignments || [], input.roleDefinitions || []);
+
+  console.log(`Policies: ${plan.policies.length}`);
+  plan.policies.forEach(policy => console.log(`  + ${policy.resourcePath}`));
+  console.log(`Grants: ${plan.grants.length}`);
+  plan.grants.forEach(grant => console.log(`  + ${grant.principal} ${grant.action} on ${grant.resourcePath}`));
+  console.log(`Deny rules: ${plan.denies.length}`);
+  plan.denies.forEach(deny => console.log(`  - ${deny.principal} ${deny.action} on ${deny.resourcePath}`));
+
+  if (plan.unmapped.length > 0) {
+    console.log(`Not imported: ${plan.unmapped.length}`);
+    plan.unmapped.forEach(item => console.log(`  ! ${item.source} ${item.construct}: ${item.reason}`));
+  }
+
+  if (!apply) {
+    console.log("Dry run; set IMPORT_APPLY=true to apply the plan");
+    return;
+  }
+
+  const results = await importer.apply(plan);
+  const failed = results.filter(result => result.status === "failed" || result.status === "skipped");
+  console.log(`Applied ${results.length - failed.length} of ${results.length} changes`);
+  failed.forEach(result => console.log(`  ! ${result.type} on ${result.resourcePath}: ${result.reason}`));
+  if (failed.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -23,7 +23,15 @@ function testFrostSignature() {
     console.log(`✅ Generated ${participants} key shares with threshold ${threshold}`);
     console.log(`   Group Public Key: ${keyShares.groupPublicKey.x.substring(0, 16)}...`);
     console.log(`   Total shares: ${keyShares.shares.length}`);
-    console.log(`   Total public shares: ${keyShares.publicShares.length}\n`);
+    console.log(`   Total public shares: ${keyShares.publicShares.length}`);
+    
+    const inconsistent = keyShares.shares.filter(
+      share => !frost.verifyShare(share, keyShares.commitments, keyShares.groupPublicKey)
+    );
+    if (inconsistent.length > 0) {
+      throw new Error(`Shares ${inconsistent.map(share => share.index).join(', ')} fail VSS verification`);
+    }
+    console.log(`   All shares verified against ${keyShares.commitments.length} VSS commitments\n`);
   } catch (error) {
     console.error('❌ Key generation failed:', error.message);
     process.exit(1);
@@ -54,7 +62,7 @@ function testFrostSignature() {
     for (let i = 0; i < threshold; i++) {
       const commitment = frost.generateCommitment(keyShares.shares[i]);
       commitments.push(commitment);
-      console.log(`   Participant ${i + 1} commitment: ${commitment.commitment.x.substring(0, 16)}...`);
+      console.log(`   Participant ${i + 1} hiding commitment: ${commitment.commitment.hiding.x.substring(0, 16)}...`);
     }
     console.log('✅ Generated commitments for threshold participants\n');
   } catch (error) {
@@ -72,9 +80,9 @@ function testFrostSignature() {
       const sigShare = frost.generateSignatureShare(
         message,
         keyShares.shares[i],
-        commitments[i].nonce,
+        commitments[i].nonces,
         commitments.map(c => c.commitment),
-        keyShares.publicShares
+        keyShares.groupPublicKey
       );
       signatureShares.push(sigShare);
       console.log(`   Participant ${sigShare.index} signature share: ${sigShare.value.substring(0, 16)}...`);
@@ -93,12 +101,11 @@ function testFrostSignature() {
       message,
       signatureShares,
       commitments.map(c => c.commitment),
-      keyShares.publicShares,
+      keyShares.groupPublicKey,
       threshold
     );
-    console.log(`   Combined signature r: ${combinedSignature.r.substring(0, 32)}...`);
-    console.log(`   Combined signature s: ${combinedSignature.s.substring(0, 32)}...`);
-    console.log(`   Combined signature v: ${combinedSignature.v}`);
+    console.log(`   Combined signature R: ${combinedSignature.R.x.substring(0, 32)}...`);
+    console.log(`   Combined signature z: ${combinedSignature.z.substring(0, 32)}...`);
     console.log('✅ Successfully combined signature shares\n');
   } catch (error) {
     console.error('❌ Signature combination failed:', error.message);
@@ -112,7 +119,7 @@ function testFrostSignature() {
       message,
       signatureShares.slice(0, threshold - 1), // Not enough shares
       commitments.map(c => c.commitment),
-      keyShares.publicShares,
+      keyShares.groupPublicKey,
       threshold
     );
     console.error('❌ Should have thrown error for insufficient shares');
@@ -139,12 +146,27 @@ function testFrostSignature() {
   }
   console.log();
   
-  // Test 8: Signature Format Validation
-  console.log('8. Validating signature format...');
-  if (combinedSignature.r.length === 64 && combinedSignature.s.length === 64) {
-    console.log('✅ Signature components have correct length (32 bytes each)\n');
+  // Test 8: Signature Verification
+  console.log('8. Testing signature verification...');
+  if (frost.verifySignature(message, combinedSignature, keyShares.groupPublicKey)) {
+    console.log('✅ Threshold signature verifies against the group public key');
+  } else {
+    console.error('❌ Threshold signature failed verification');
+    process.exit(1);
+  }
+  
+  if (frost.verifySignature('Tampered message', combinedSignature, keyShares.groupPublicKey)) {
+    console.error('❌ Signature should not verify for a different message');
+    process.exit(1);
+  } else {
+    console.log('✅ Correctly rejected signature for a different message');
+  }
+  
+  const serialized = frost.serializeSignature(combinedSignature);
+  if (serialized.length === 130) {
+    console.log('✅ Serialized signature has correct length (65 bytes: R || z)\n');
   } else {
-    console.error(`❌ Invalid signature length: r=${combinedSignature.r.length}, s=${combinedSignature.s.length}`);
+    console.error(`❌ Invalid serialized signature length: ${serialized.length / 2} bytes`);
   }
   
   // Test 9: Performance Benchmark
@@ -165,16 +187,10 @@ function testFrostSignature() {
   console.log('═══════════════════════════════════════');
   console.log('✅ FROST Signature Test Complete');
   console.log('═══════════════════════════════════════');
-  console.log('\n⚠️  IMPORTANT NOTES:');
-  console.log('1. Current implementation uses simplified signature generation');
-  console.log('2. The "s" value is randomly generated (NOT production-ready)');
-  console.log('3. Signature verification needs proper FROST-specific logic');
-  console.log('4. Random number generation should use crypto.randomBytes()');
   console.log('\nNext steps:');
-  console.log('1. Implement proper FROST signature combination');
-  console.log('2. Add cryptographically secure random number generation');
-  console.log('3. Implement proper signature verification');
-  console.log('4. Run: node scripts/test-policies.js');
+  console.log('1. Run: node scripts/byzantine-test.js');
+  console.log('2. Run: node scripts/end-to-end-test.js');
+  console.log('3. Run: node scripts/test-policies.js');
 }
 
 // Run the test
@@ -242,9 +242,9 @@ class PolicyTester {
         const sigShare = this.frostCrypto.generateSignatureShare(
           message,
           keyShares.shares[i],
-          commitments[i].nonce,
+          commitments[i].nonces,
           commitments.map(c => c.commitment),
-          keyShares.publicShares
+          keyShares.groupPublicKey
         );
         signatureShares.push(sigShare);
       }
@@ -253,11 +253,15 @@ class PolicyTester {
         message,
         signatureShares,
         commitments.map(c => c.commitment),
-        keyShares.publicShares,
+        keyShares.groupPublicKey,
         TEST_CONFIG.testThreshold
       );
       
-      console.log(`   Generated signature: r=${combinedSignature.r.substring(0, 16)}...`);
+      console.log(`   Generated signature: R=${combinedSignature.R.x.substring(0, 16)}...`);
+      
+      if (!this.frostCrypto.verifySignature(message, combinedSignature, keyShares.groupPublicKey)) {
+        throw new Error('Generated signature failed verification');
+      }
       console.log('   ✅ FROST signature integration working\n');
       
       this.testResults.push({ test: 'FROST Signature Integration', status: 'PASS' });
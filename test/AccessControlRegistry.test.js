@@ -2,6 +2,10 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const RevocationListener = require("../cloud/revocation-listener");
 
 describe("AccessControlRegistry Contract", function () {
   // Fixture that deploys the FrostMultiSig and AccessControlRegistry contracts
@@ -141,6 +145,59 @@ describe("AccessControlRegistry Contract", function () {
         )
       ).to.be.reverted;
     });
+
+    it("Should find the most specific policy on a resource path", async function () {
+      const { accessControlRegistry, admin } = await loadFixture(deployFixture);
+
+      const resourcePath = [
+        "arn:aws:s3:::example-bucket/logs/app.log",
+        "arn:aws:s3:::example-bucket/logs/*",
+        "arn:aws:s3:::example-bucket/logs",
+        "arn:aws:s3:::example-bucket/*",
+        "arn:aws:s3:::example-bucket"
+      ].map(path => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(path)));
+
+      let [found] = await accessControlRegistry.findResourcePolicy(resourcePath);
+      expect(found).to.be.false;
+
+      // A bucket policy covers every object in the bucket
+      await accessControlRegistry.connect(admin).createResourcePolicy(resourcePath[4], 1, 0, false);
+      let index;
+      [found, index] = await accessControlRegistry.findResourcePolicy(resourcePath);
+      expect(found).to.be.true;
+      expect(index).to.equal(4);
+
+      // Until a more specific prefix has its own policy
+      await accessControlRegistry.connect(admin).createResourcePolicy(resourcePath[1], 1, 0, true);
+      [found, index] = await accessControlRegistry.findResourcePolicy(resourcePath);
+      expect(found).to.be.true;
+      expect(index).to.equal(1);
+    });
+
+    it("Admin should be able to anchor a condition set hash on a policy", async function () {
+      const { accessControlRegistry, admin, operator } = await loadFixture(deployFixture);
+
+      const resourceId = ethers.utils.formatBytes32String("arn:aws:s3:::example-bucket");
+      const protectedResourceId = ethers.utils.formatBytes32String("arn:aws:s3:::protected-bucket");
+      const conditionsHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('{"mfa":true}'));
+      await accessControlRegistry.connect(admin).createResourcePolicy(resourceId, 1, 0, false);
+      await accessControlRegistry.connect(admin).createResourcePolicy(protectedResourceId, 1, 0, true);
+
+      await expect(accessControlRegistry.connect(admin).setPolicyConditions(resourceId, conditionsHash))
+        .to.emit(accessControlRegistry, "PolicyConditionsUpdated")
+        .withArgs(resourceId, conditionsHash, admin.address);
+      expect((await accessControlRegistry.resourcePolicies(resourceId)).conditionsHash).to.equal(conditionsHash);
+
+      await expect(
+        accessControlRegistry.connect(operator).setPolicyConditions(resourceId, conditionsHash)
+      ).to.be.reverted;
+      await expect(
+        accessControlRegistry.connect(admin).setPolicyConditions(protectedResourceId, conditionsHash)
+      ).to.be.revertedWith("FROST signature required");
+      await expect(
+        accessControlRegistry.connect(admin).setPolicyConditions(ethers.utils.formatBytes32String("missing"), conditionsHash)
+      ).to.be.revertedWith("Policy doesn't exist");
+    });
   });
 
   describe("Permission Management", function () {
@@ -151,7 +208,7 @@ describe("AccessControlRegistry Contract", function () {
       const principalId = ethers.utils.formatBytes32String("user:alice@example.com");
       const cloudProvider = 1; // AWS
       const expiryTime = 0; // No expiry
-      const requiresFrostSig = true;
+      const requiresFrostSig = false;
       
       // Create policy
       await accessControlRegistry.connect(admin).createResourcePolicy(
@@ -165,18 +222,64 @@ describe("AccessControlRegistry Contract", function () {
       expect(await accessControlRegistry.hasPermission(resourceId, principalId)).to.be.false;
       
       // Grant permission
-      await accessControlRegistry.connect(operator).grantPermission(resourceId, principalId);
+      await accessControlRegistry.connect(operator).grantPermission(resourceId, principalId, "s3:GetObject");
       
       // Now should have permission
       expect(await accessControlRegistry.hasPermission(resourceId, principalId)).to.be.true;
       
       // Revoke permission
-      await accessControlRegistry.connect(operator).revokePermission(resourceId, principalId);
+      await accessControlRegistry.connect(operator).revokePermission(resourceId, principalId, "s3:GetObject");
       
       // Now should not have permission
       expect(await accessControlRegistry.hasPermission(resourceId, principalId)).to.be.false;
     });
 
+    it("Should scope permissions to actions and action patterns", async function () {
+      const { accessControlRegistry, admin, operator } = await loadFixture(deployFixture);
+      
+      const resourceId = ethers.utils.formatBytes32String("arn:aws:s3:::example-bucket");
+      const principalId = ethers.utils.formatBytes32String("user:alice@example.com");
+      const hasPermission = accessControlRegistry["hasPermission(bytes32,bytes32,string)"];
+      
+      await accessControlRegistry.connect(admin).createResourcePolicy(resourceId, 1, 0, false);
+      await accessControlRegistry.connect(operator).grantPermission(resourceId, principalId, "s3:Get*");
+      
+      expect(await hasPermission(resourceId, principalId, "s3:GetObject")).to.be.true;
+      expect(await hasPermission(resourceId, principalId, "s3:getobjectacl")).to.be.true;
+      expect(await hasPermission(resourceId, principalId, "s3:PutObject")).to.be.false;
+      expect(await hasPermission(resourceId, principalId, "ec2:GetConsoleOutput")).to.be.false;
+      
+      await expect(
+        accessControlRegistry.connect(operator).grantPermission(resourceId, principalId, "s3:*")
+      ).to.emit(accessControlRegistry, "PermissionGranted")
+        .withArgs(resourceId, principalId, "s3:*", [0, 0, 0, 0, 0], operator.address);
+      expect(await hasPermission(resourceId, principalId, "s3:PutObject")).to.be.true;
+      expect(await accessControlRegistry.getPermittedActions(resourceId, principalId))
+        .to.deep.equal(["s3:Get*", "s3:*"]);
+      
+      // Revoking one pattern leaves the others in place
+      await accessControlRegistry.connect(operator).revokePermission(resourceId, principalId, "s3:*");
+      expect(await hasPermission(resourceId, principalId, "s3:PutObject")).to.be.false;
+      expect(await hasPermission(resourceId, principalId, "s3:GetObject")).to.be.true;
+    });
+
+    it("Should reject unsigned changes to resources that require FROST signatures", async function () {
+      const { accessControlRegistry, admin, operator } = await loadFixture(deployFixture);
+      
+      const resourceId = ethers.utils.formatBytes32String("arn:aws:s3:::protected-bucket");
+      const principalId = ethers.utils.formatBytes32String("user:alice@example.com");
+      
+      await accessControlRegistry.connect(admin).createResourcePolicy(resourceId, 1, 0, true);
+      
+      await expect(
+        accessControlRegistry.connect(operator).grantPermission(resourceId, principalId, "s3:GetObject")
+      ).to.be.revertedWith("FROST signature required");
+      
+      await expect(
+        accessControlRegistry.connect(operator).revokePermission(resourceId, principalId, "s3:GetObject")
+      ).to.be.revertedWith("FROST signature required");
+    });
+
     it("Should not allow granting permissions for non-existent policies", async function () {
       const { accessControlRegistry, operator } = await loadFixture(deployFixture);
       
@@ -184,7 +287,7 @@ describe("AccessControlRegistry Contract", function () {
       const principalId = ethers.utils.formatBytes32String("user:alice@example.com");
       
       await expect(
-        accessControlRegistry.connect(operator).grantPermission(resourceId, principalId)
+        accessControlRegistry.connect(operator).grantPermission(resourceId, principalId, "s3:GetObject")
       ).to.be.revertedWith("Policy doesn't exist");
     });
 
@@ -202,7 +305,7 @@ describe("AccessControlRegistry Contract", function () {
       
       // Set expiry time in the past
       const expiryTime = currentTime - 3600; // 1 hour ago
-      const requiresFrostSig = true;
+      const requiresFrostSig = false;
       
       // Create policy with past expiry
       await accessControlRegistry.connect(admin).createResourcePolicy(
@@ -213,7 +316,7 @@ describe("AccessControlRegistry Contract", function () {
       );
       
       await expect(
-        accessControlRegistry.connect(operator).grantPermission(resourceId, principalId)
+        accessControlRegistry.connect(operator).grantPermission(resourceId, principalId, "s3:GetObject")
       ).to.be.revertedWith("Policy expired");
     });
 
@@ -231,7 +334,7 @@ describe("AccessControlRegistry Contract", function () {
       
       // Set expiry time in the near future
       const expiryTime = currentTime + 3600; // 1 hour in the future
-      const requiresFrostSig = true;
+      const requiresFrostSig = false;
       
       // Create policy
       await accessControlRegistry.connect(admin).createResourcePolicy(
@@ -242,7 +345,7 @@ describe("AccessControlRegistry Contract", function () {
       );
       
       // Grant permission
-      await accessControlRegistry.connect(operator).grantPermission(resourceId, principalId);
+      await accessControlRegistry.connect(operator).grantPermission(resourceId, principalId, "s3:GetObject");
       
       // Should have permission now
       expect(await accessControlRegistry.hasPermission(resourceId, principalId)).to.be.true;
@@ -256,6 +359,243 @@ describe("AccessControlRegistry Contract", function () {
     });
   });
 
+  describe("Grant Time Windows", function () {
+    const noWindow = { validFrom: 0, validUntil: 0, dailyStartMinute: 0, dailyEndMinute: 0, weekdays: 0 };
+    
+    async function setTime(timestamp) {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+      await ethers.provider.send("evm_mine");
+    }
+    
+    it("Should end a break-glass grant on its own", async function () {
+      const { accessControlRegistry, admin, operator } = await loadFixture(deployFixture);
+      
+      const resourceId = ethers.utils.formatBytes32String("arn:aws:s3:::example-bucket");
+      const principalId = ethers.utils.formatBytes32String("user:oncall@example.com");
+      const hasPermission = accessControlRegistry["hasPermission(bytes32,bytes32,string)"];
+      
+      await accessControlRegistry.connect(admin).createResourcePolicy(resourceId, 1, 0, false);
+      
+      const block = await ethers.provider.getBlock("latest");
+      const validUntil = block.timestamp + 4 * 3600;
+      await accessControlRegistry.connect(operator).grantTimedPermission(
+        resourceId,
+        principalId,
+        "s3:*",
+        { ...noWindow, validUntil }
+      );
+      
+      expect(await hasPermission(resourceId, principalId, "s3:PutObject")).to.be.true;
+      const grants = await accessControlRegistry.getPermissionGrants(resourceId, principalId);
+      expect(grants.actions).to.deep.equal(["s3:*"]);
+      expect(grants.windows[0].validUntil).to.equal(validUntil);
+      expect(grants.active).to.deep.equal([true]);
+      
+      await setTime(validUntil);
+      
+      expect(await hasPermission(resourceId, principalId, "s3:PutObject")).to.be.false;
+      expect(await accessControlRegistry["hasPermission(bytes32,bytes32)"](resourceId, principalId)).to.be.false;
+      expect((await accessControlRegistry.getPermissionGrants(resourceId, principalId)).active).to.deep.equal([false]);
+      
+      // Windows that have already ended are rejected
+      await expect(
+        accessControlRegistry.connect(operator).grantTimedPermission(
+          resourceId,
+          principalId,
+          "s3:*",
+          { ...noWindow, validUntil }
+        )
+      ).to.be.revertedWith("TimeWindow: already ended");
+    });
+    
+    it("Should only allow access within recurring business hours", async function () {
+      const { accessControlRegistry, admin, operator } = await loadFixture(deployFixture);
+      
+      const resourceId = ethers.utils.formatBytes32String("arn:aws:s3:::example-bucket");
+      const principalId = ethers.utils.formatBytes32String("user:alice@example.com");
+      const hasPermission = accessControlRegistry["hasPermission(bytes32,bytes32,string)"];
+      
+      await accessControlRegistry.connect(admin).createResourcePolicy(resourceId, 1, 0, false);
+      
+      // Monday to Friday, 09:00-17:00 UTC
+      await accessControlRegistry.connect(operator).grantTimedPermission(
+        resourceId,
+        principalId,
+        "s3:GetObject",
+        { ...noWindow, dailyStartMinute: 9 * 60, dailyEndMinute: 17 * 60, weekdays: 0x3e }
+      );
+      
+      // Next Monday at 00:00 UTC (1 January 1970 was a Thursday)
+      const block = await ethers.provider.getBlock("latest");
+      const day = Math.floor(block.timestamp / 86400);
+      const monday = (day + 7 - ((day + 3) % 7)) * 86400;
+      
+      await setTime(monday + 10 * 3600);
+      expect(await hasPermission(resourceId, principalId, "s3:GetObject")).to.be.true;
+      
+      await setTime(monday + 18 * 3600);
+      expect(await hasPermission(resourceId, principalId, "s3:GetObject")).to.be.false;
+      
+      await setTime(monday + 5 * 86400 + 10 * 3600);
+      expect(await hasPermission(resourceId, principalId, "s3:GetObject")).to.be.false;
+    });
+  });
+
+  describe("Groups", function () {
+    const id = (name) => ethers.utils.formatBytes32String(name);
+    
+    it("Should resolve grants through nested groups", async function () {
+      const { accessControlRegistry, admin, operator } = await loadFixture(deployFixture);
+      
+      const resourceId = id("arn:aws:s3:::example-bucket");
+      const hasPermission = accessControlRegistry["hasPermission(bytes32,bytes32,string)"];
+      
+      await accessControlRegistry.connect(admin).createResourcePolicy(resourceId, 1, 0, false);
+      await accessControlRegistry.connect(admin).createGroup(id("group:engineering"));
+      await accessControlRegistry.connect(admin).createGroup(id("group:sre"));
+      
+      await accessControlRegistry.connect(operator).addGroupMember(id("group:engineering"), id("group:sre"));
+      await accessControlRegistry.connect(operator).addGroupMember(id("group:sre"), id("user:alice@example.com"));
+      await accessControlRegistry.connect(operator).grantPermission(resourceId, id("group:engineering"), "s3:Get*");
+      
+      expect(await hasPermission(resourceId, id("user:alice@example.com"), "s3:GetObject")).to.be.true;
+      expect(await hasPermission(resourceId, id("user:alice@example.com"), "s3:PutObject")).to.be.false;
+      expect(await hasPermission(resourceId, id("user:bob@example.com"), "s3:GetObject")).to.be.false;
+      
+      const decision = await accessControlRegistry.evaluateAccess(resourceId, id("user:alice@example.com"), "s3:GetObject");
+      expect(decision.allowed).to.be.true;
+      expect(decision.ruleOwnerId).to.equal(id("group:engineering"));
+      expect(decision.actionPattern).to.equal("s3:Get*");
+      
+      await accessControlRegistry.connect(operator).removeGroupMember(id("group:sre"), id("user:alice@example.com"));
+      expect(await hasPermission(resourceId, id("user:alice@example.com"), "s3:GetObject")).to.be.false;
+    });
+    
+    it("Should drive the revocation listener with the events it emits", async function () {
+      const { accessControlRegistry, admin, operator } = await loadFixture(deployFixture);
+      
+      const resourceId = id("arn:aws:s3:::example-bucket");
+      const alice = id("user:alice@example.com");
+      const revoked = [];
+      const listener = new RevocationListener(
+        accessControlRegistry,
+        { aws: { revoke: async (issuance) => { revoked.push(issuance.action); } } },
+        {
+          checkpointPath: path.join(fs.mkdtempSync(path.join(os.tmpdir(), "revocation-")), "checkpoint.json"),
+          startBlock: await ethers.provider.getBlockNumber() + 1
+        }
+      );
+      
+      await accessControlRegistry.connect(admin).createResourcePolicy(resourceId, 1, 0, false);
+      await accessControlRegistry.connect(admin).createGroup(id("group:contractors"));
+      await accessControlRegistry.connect(operator).grantPermission(resourceId, alice, "s3:*");
+      for (const action of ["s3:GetObject", "s3:DeleteObject"]) {
+        listener.track({ provider: "aws", resourceId, principalId: alice, action, expiresAt: Date.now() + 3600 * 1000 });
+      }
+      
+      // The group's deny rule does not apply to alice yet
+      await accessControlRegistry.connect(operator).addDenyRule(resourceId, id("group:contractors"), "s3:DeleteObject");
+      expect(await listener.poll()).to.be.empty;
+      
+      // Joining the group brings in its deny rule
+      await accessControlRegistry.connect(operator).addGroupMember(id("group:contractors"), alice);
+      expect((await listener.poll()).map(issuance => issuance.action)).to.deep.equal(["s3:DeleteObject"]);
+      
+      await accessControlRegistry.connect(operator).revokePermission(resourceId, alice, "s3:*");
+      await listener.poll();
+      expect(revoked).to.deep.equal(["s3:DeleteObject", "s3:GetObject"]);
+    });
+    
+    it("Should reject membership cycles and chains deeper than the maximum nesting depth", async function () {
+      const { accessControlRegistry, admin, operator } = await loadFixture(deployFixture);
+      
+      const resourceId = id("arn:aws:s3:::example-bucket");
+      const maxDepth = Number(await accessControlRegistry.MAX_GROUP_DEPTH());
+      await accessControlRegistry.connect(admin).createResourcePolicy(resourceId, 1, 0, false);
+      
+      // user:alice is in group:0, group:0 is in group:1, and so on up to the maximum depth
+      let memberId = id("user:alice@example.com");
+      for (let i = 0; i < maxDepth; i++) {
+        await accessControlRegistry.connect(admin).createGroup(id(`group:${i}`));
+        await accessControlRegistry.connect(operator).addGroupMember(id(`group:${i}`), memberId);
+        memberId = id(`group:${i}`);
+      }
+      const top = id(`group:${maxDepth - 1}`);
+      
+      await expect(
+        accessControlRegistry.connect(operator).addGroupMember(id("group:0"), top)
+      ).to.be.revertedWith("Group membership cycle");
+      
+      // Neither nesting the chain into another group nor adding a group below it is allowed
+      await accessControlRegistry.connect(admin).createGroup(id("group:outer"));
+      await expect(
+        accessControlRegistry.connect(operator).addGroupMember(id("group:outer"), top)
+      ).to.be.revertedWith("Group nesting too deep");
+      await accessControlRegistry.connect(operator).addGroupMember(id("group:outer"), id("user:bob@example.com"));
+      await expect(
+        accessControlRegistry.connect(operator).addGroupMember(id("group:0"), id("group:outer"))
+      ).to.be.revertedWith("Group nesting too deep");
+      
+      // Every group in the chain is resolved
+      await accessControlRegistry.connect(operator).grantPermission(resourceId, top, "s3:*");
+      expect(await accessControlRegistry["hasPermission(bytes32,bytes32)"](resourceId, id("user:alice@example.com"))).to.be.true;
+    });
+  });
+
+  describe("Deny Rules", function () {
+    const id = (name) => ethers.utils.formatBytes32String(name);
+    
+    it("Should let a group deny rule override a direct grant", async function () {
+      const { accessControlRegistry, admin, operator } = await loadFixture(deployFixture);
+      
+      const resourceId = id("arn:aws:s3:::prod-secrets");
+      const contractor = id("user:carol@example.com");
+      const hasPermission = accessControlRegistry["hasPermission(bytes32,bytes32,string)"];
+      
+      await accessControlRegistry.connect(admin).createResourcePolicy(resourceId, 1, 0, false);
+      await accessControlRegistry.connect(admin).createGroup(id("group:contractors"));
+      await accessControlRegistry.connect(operator).addGroupMember(id("group:contractors"), contractor);
+      await accessControlRegistry.connect(operator).grantPermission(resourceId, contractor, "s3:*");
+      
+      await expect(
+        accessControlRegistry.connect(operator).addDenyRule(resourceId, id("group:contractors"), "s3:Get*")
+      ).to.emit(accessControlRegistry, "DenyRuleAdded")
+        .withArgs(resourceId, id("group:contractors"), "s3:Get*", operator.address);
+      
+      expect(await hasPermission(resourceId, contractor, "s3:GetObject")).to.be.false;
+      expect(await hasPermission(resourceId, contractor, "s3:PutObject")).to.be.true;
+      
+      const decision = await accessControlRegistry.evaluateAccess(resourceId, contractor, "s3:GetObject");
+      expect(decision.allowed).to.be.false;
+      expect(decision.denied).to.be.true;
+      expect(decision.ruleOwnerId).to.equal(id("group:contractors"));
+      expect(decision.actionPattern).to.equal("s3:Get*");
+      
+      // Only admins can lift a deny rule
+      await expect(
+        accessControlRegistry.connect(operator).removeDenyRule(resourceId, id("group:contractors"), "s3:Get*")
+      ).to.be.reverted;
+      await accessControlRegistry.connect(admin).removeDenyRule(resourceId, id("group:contractors"), "s3:Get*");
+      expect(await hasPermission(resourceId, contractor, "s3:GetObject")).to.be.true;
+    });
+    
+    it("Should deny every action with a wildcard deny rule", async function () {
+      const { accessControlRegistry, admin, operator } = await loadFixture(deployFixture);
+      
+      const resourceId = id("arn:aws:s3:::prod-secrets");
+      const principalId = id("user:alice@example.com");
+      
+      await accessControlRegistry.connect(admin).createResourcePolicy(resourceId, 1, 0, false);
+      await accessControlRegistry.connect(operator).grantPermission(resourceId, principalId, "s3:GetObject");
+      expect(await accessControlRegistry["hasPermission(bytes32,bytes32)"](resourceId, principalId)).to.be.true;
+      
+      await accessControlRegistry.connect(operator).addDenyRule(resourceId, principalId, "*");
+      
+      expect(await accessControlRegistry["hasPermission(bytes32,bytes32)"](resourceId, principalId)).to.be.false;
+      expect(await accessControlRegistry.getDeniedActions(resourceId, principalId)).to.deep.equal(["*"]);
+    });
+  });
+
   describe("Pausability", function () {
     it("Admin should be able to pause and unpause the contract", async function () {
       const { accessControlRegistry, admin } = await loadFixture(deployFixture);
@@ -280,7 +620,7 @@ describe("AccessControlRegistry Contract", function () {
       const principalId = ethers.utils.formatBytes32String("user:alice@example.com");
       const cloudProvider = 1; // AWS
       const expiryTime = 0; // No expiry
-      const requiresFrostSig = true;
+      const requiresFrostSig = false;
       
       // Create policy
       await accessControlRegistry.connect(admin).createResourcePolicy(
@@ -295,14 +635,14 @@ describe("AccessControlRegistry Contract", function () {
       
       // Attempt to grant permission while paused
       await expect(
-        accessControlRegistry.connect(operator).grantPermission(resourceId, principalId)
+        accessControlRegistry.connect(operator).grantPermission(resourceId, principalId, "s3:GetObject")
       ).to.be.revertedWith("Pausable: paused");
       
       // Unpause
       await accessControlRegistry.connect(admin).unpause();
       
       // Now should be able to grant permission
-      await accessControlRegistry.connect(operator).grantPermission(resourceId, principalId);
+      await accessControlRegistry.connect(operator).grantPermission(resourceId, principalId, "s3:GetObject");
       
       expect(await accessControlRegistry.hasPermission(resourceId, principalId)).to.be.true;
     });
@@ -0,0 +1,121 @@
+// test/AccessRequest.test.js
+const { expect } = require("chai");
+const FrostSignature = require("../scripts/frost-crypto");
+const { actionMatches } = require("../cloud/action-pattern");
+const { accessRequestMessage, accessRequestError, AccessRequestVerifier } = require("../cloud/access-request");
+
+describe("Access request verification", function () {
+  const frost = new FrostSignature();
+  const keyShares = frost.generateKeyShares(3, 2);
+  const groupPublicKey = "0x" + frost.serializePublicKey(keyShares.groupPublicKey);
+  const now = Date.parse("2030-01-01T00:00:00Z");
+  const request = {
+    registry: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+    resourceId: "arn:aws:s3:::example-bucket",
+    principalId: "user:alice",
+    action: "s3:GetObject",
+    cloudPrincipalId: null,
+    issuedAt: "2030-01-01T00:00:00.000Z"
+  };
+
+  // Both FROST rounds by the first two participants over the request's message
+  function signRequest(fields) {
+    const message = accessRequestMessage(fields);
+    const signers = keyShares.shares.slice(0, 2);
+    const rounds = signers.map(share => frost.generateCommitment(share));
+    const commitments = rounds.map(round => round.commitment);
+    const shares = signers.map((share, i) =>
+      frost.generateSignatureShare(message, share, rounds[i].nonces, commitments, keyShares.groupPublicKey)
+    );
+    const signature = frost.combineSignatureShares(message, shares, commitments, keyShares.groupPublicKey, 2);
+    return "0x" + frost.serializeSignature(signature);
+  }
+
+  it("Should round-trip signatures and public keys through their encodings", function () {
+    const signature = signRequest(request);
+    const decoded = frost.deserializeSignature(signature);
+
+    expect("0x" + frost.serializeSignature(decoded)).to.equal(signature);
+    expect(frost.deserializePublicKey(groupPublicKey)).to.deep.equal(keyShares.groupPublicKey);
+    expect(() => frost.deserializeSignature("0x1234")).to.throw();
+  });
+
+  it("Should accept a request signed by the group once", function () {
+    const verifier = new AccessRequestVerifier(frost);
+    const signature = signRequest(request);
+
+    expect(verifier.verify(request, signature, groupPublicKey, now)).to.deep.equal({ valid: true, reason: null });
+    expect(verifier.verify(request, signature, groupPublicKey, now + 1000))
+      .to.deep.equal({ valid: false, reason: "Signature was already used" });
+  });
+
+  it("Should reject a signature over different request fields", function () {
+    const verifier = new AccessRequestVerifier(frost);
+    const signature = signRequest(request);
+
+    for (const change of [{ action: "s3:PutObject" }, { principalId: "user:mallory" }, { cloudPrincipalId: "arn:aws:iam::1:user/m" }]) {
+      expect(verifier.verify({ ...request, ...change }, signature, groupPublicKey, now).reason)
+        .to.equal("Signature does not match the request");
+    }
+    // The registry address is compared without regard to case
+    expect(verifier.verify({ ...request, registry: request.registry.toLowerCase() }, signature, groupPublicKey, now).valid)
+      .to.be.true;
+  });
+
+  it("Should sign the context that policy conditions are evaluated against", function () {
+    const verifier = new AccessRequestVerifier(frost);
+    const context = { mfa: false, principalTags: { team: "payments", env: "prod" }, resourceTags: { team: "payments" } };
+    const signature = signRequest({ ...request, context });
+
+    for (const tampered of [
+      { ...context, mfa: true },
+      { ...context, principalTags: { team: "storage", env: "prod" } },
+      { ...context, resourceTags: { team: "payments", owner: "mallory" } },
+      {}
+    ]) {
+      expect(verifier.verify({ ...request, context: tampered }, signature, groupPublicKey, now).reason)
+        .to.equal("Signature does not match the request");
+    }
+    // The order of tags does not matter
+    const reordered = { ...context, principalTags: { env: "prod", team: "payments" } };
+    expect(verifier.verify({ ...request, context: reordered }, signature, groupPublicKey, now).valid).to.be.true;
+  });
+
+  it("Should reject stale, malformed and foreign signatures", function () {
+    const verifier = new AccessRequestVerifier(frost);
+    const signature = signRequest(request);
+    const otherGroup = frost.generateKeyShares(3, 2);
+
+    expect(verifier.verify(request, signature, groupPublicKey, now + 6 * 60 * 1000).reason)
+      .to.equal("Request is too old or not yet valid");
+    expect(verifier.verify({ ...request, issuedAt: "yesterday" }, signature, groupPublicKey, now).reason)
+      .to.equal("Request is too old or not yet valid");
+    expect(verifier.verify(request, "not a signature", groupPublicKey, now).reason).to.equal("Malformed signature");
+    expect(verifier.verify(request, signature, "0x", now).reason).to.equal("Malformed signature");
+    expect(verifier.verify(request, signature, frost.serializePublicKey(otherGroup.groupPublicKey), now).reason)
+      .to.equal("Signature does not match the request");
+  });
+
+  it("Should reject wildcard actions that a deny on a concrete action would not match", function () {
+    // Registry rules as evaluateAccess applies them: a matching deny overrides a matching grant
+    const grants = ["s3:*"];
+    const denies = ["s3:DeleteObject"];
+    const allowed = (action) => !denies.some(pattern => actionMatches(pattern, action)) &&
+      grants.some(pattern => actionMatches(pattern, action));
+
+    expect(allowed("s3:DeleteObject")).to.be.false;
+    for (const action of ["s3:*", "s3:Delete*", "s3:DeleteObjec?"]) {
+      // The deny pattern does not match the requested string, so only the gateway's check stops it
+      expect(allowed(action)).to.be.true;
+      expect(accessRequestError({ resourceId: request.resourceId, action })).to.equal(`Requested action ${action} must not contain wildcards`);
+    }
+    expect(accessRequestError(request)).to.be.null;
+  });
+
+  it("Should reject wildcard resources that would be governed by a parent's policy", function () {
+    for (const resourceId of ["arn:aws:s3:::example-bucket/lo*", "arn:aws:s3:::example-bucket/*", "arn:aws:s3:::example-bucket/logs/app.lo?"]) {
+      expect(accessRequestError({ ...request, resourceId })).to.equal(`Requested resource ${resourceId} must not contain wildcards`);
+    }
+    expect(accessRequestError({ ...request, resourceId: "arn:aws:s3:::example-bucket/logs/app.log" })).to.be.null;
+  });
+});
@@ -0,0 +1,152 @@
+// test/AwsIamConnector.test.js
+const { expect } = require("chai");
+const AwsIamConnector = require("../cloud/aws/aws-iam-connector");
+
+describe("AwsIamConnector", function () {
+  function mockedConnector(commands) {
+    const aws = new AwsIamConnector();
+    aws.stsClient = {
+      send: async (command) => {
+        commands.push(command);
+        return {
+          Credentials: {
+            AccessKeyId: "ASIAEXAMPLE",
+            SecretAccessKey: "secret",
+            SessionToken: "token",
+            Expiration: new Date("2030-01-01T00:15:00Z")
+          }
+        };
+      }
+    };
+    return aws;
+  }
+
+  it("Should scope just-in-time credentials to the granted action and resource", async function () {
+    const commands = [];
+    const aws = mockedConnector(commands);
+
+    const credentials = await aws.assumeRoleForResource(
+      "arn:aws:iam::123456789012:role/frost-jit",
+      "5f1c2a9e-8d4b-4f7a-9c3e-2b6d1e0f4a87",
+      "arn:aws:s3:::example-bucket/logs/app.log",
+      "s3:GetObject",
+      900
+    );
+
+    expect(credentials).to.deep.equal({
+      accessKeyId: "ASIAEXAMPLE",
+      secretAccessKey: "secret",
+      sessionToken: "token",
+      expiration: new Date("2030-01-01T00:15:00Z"),
+      sessionName: "frost-5f1c2a9e-8d4b-4f7a-9c3e-2b6d1e0f4a87"
+    });
+
+    const { input } = commands[0];
+    expect(commands[0].constructor.name).to.equal("AssumeRoleCommand");
+    expect(input.RoleArn).to.equal("arn:aws:iam::123456789012:role/frost-jit");
+    expect(input.RoleSessionName).to.equal("frost-5f1c2a9e-8d4b-4f7a-9c3e-2b6d1e0f4a87");
+    expect(input.DurationSeconds).to.equal(900);
+    expect(JSON.parse(input.Policy)).to.deep.equal({
+      Version: "2012-10-17",
+      Statement: [{ Effect: "Allow", Action: ["s3:GetObject"], Resource: ["arn:aws:s3:::example-bucket/logs/app.log"] }]
+    });
+  });
+
+  it("Should issue credentials for the configured just-in-time role", async function () {
+    const commands = [];
+    const aws = mockedConnector(commands);
+    aws.jitRoleArn = "arn:aws:iam::123456789012:role/frost-jit";
+    let error;
+
+    const { credentials, grant } = await aws.issueCredentials({
+      grantId: "5f1c2a9e-8d4b-4f7a-9c3e-2b6d1e0f4a87",
+      resourceId: "arn:aws:s3:::example-bucket/logs/app.log",
+      principalId: "user:alice@example.com",
+      action: "s3:GetObject",
+      durationSeconds: 900
+    });
+
+    expect(credentials).to.include({ accessKeyId: "ASIAEXAMPLE", expiresAt: "2030-01-01T00:15:00.000Z" });
+    expect(grant).to.deep.equal({
+      provider: "aws",
+      expiresAt: new Date("2030-01-01T00:15:00Z"),
+      roleArn: "arn:aws:iam::123456789012:role/frost-jit",
+      sessionName: "frost-5f1c2a9e-8d4b-4f7a-9c3e-2b6d1e0f4a87"
+    });
+
+    error = null;
+    await aws.issueCredentials({ resourceId: "arn:aws:s3:::example-bucket", principalId: "user:alice", action: "s3:GetObject" })
+      .catch(e => { error = e; });
+    expect(error.message).to.equal("A grant ID is required to name the role session");
+
+    aws.jitRoleArn = undefined;
+    error = null;
+    await aws.issueCredentials({ resourceId: "arn:aws:s3:::example-bucket", principalId: "user:alice", action: "s3:GetObject" })
+      .catch(e => { error = e; });
+    expect(error.message).to.equal("AWS_JIT_ROLE_ARN is not configured");
+  });
+
+  it("Should not send a session policy for plain role sessions", async function () {
+    const commands = [];
+    await mockedConnector(commands).assumeRole("arn:aws:iam::123456789012:role/admin", "session", 3600);
+    expect(commands[0].input).to.not.have.property("Policy");
+  });
+
+  it("Should revoke sessions in one role policy and drop entries once the sessions expire", async function () {
+    const aws = new AwsIamConnector();
+    aws.jitRoleArn = "arn:aws:iam::123456789012:role/frost-jit";
+    const commands = [];
+    let policy = null;
+    aws.iamClient = {
+      send: async (command) => {
+        commands.push(command);
+        const { input } = command;
+        if (command.constructor.name === "GetRolePolicyCommand") {
+          if (!policy) {
+            throw Object.assign(new Error("The role policy cannot be found"), { name: "NoSuchEntityException" });
+          }
+          return { PolicyDocument: encodeURIComponent(policy) };
+        }
+        expect(input).to.include({ RoleName: "frost-jit", PolicyName: "frost-revoked-sessions" });
+        policy = command.constructor.name === "PutRolePolicyCommand" ? input.PolicyDocument : null;
+        return {};
+      }
+    };
+    const grant = (sessionName, expiresAt) => ({ roleArn: aws.jitRoleArn, sessionName, expiresAt });
+
+    await Promise.all([
+      aws.revoke(grant("frost-grant-1", "2030-01-01T00:15:00.000Z")),
+      aws.revoke(grant("frost-grant-2", "2030-01-01T00:30:00.000Z"))
+    ]);
+
+    const statements = JSON.parse(policy).Statement;
+    expect(statements.map(statement => statement.Sid)).to.deep.equal(["Revokefrostgrant1", "Revokefrostgrant2"]);
+    expect(statements[0]).to.deep.include({
+      Effect: "Deny",
+      Action: "*",
+      Resource: "*",
+      Condition: {
+        StringLike: { "aws:userid": "*:frost-grant-1" },
+        DateLessThan: { "aws:CurrentTime": "2030-01-01T00:15:00.000Z" }
+      }
+    });
+
+    // Nothing to drop yet
+    commands.length = 0;
+    await aws.pruneRevocations(new Date("2030-01-01T00:10:00Z"));
+    expect(commands.map(command => command.constructor.name)).to.deep.equal(["GetRolePolicyCommand"]);
+
+    await aws.pruneRevocations(new Date("2030-01-01T00:20:00Z"));
+    expect(JSON.parse(policy).Statement.map(statement => statement.Sid)).to.deep.equal(["Revokefrostgrant2"]);
+
+    await aws.pruneRevocations(new Date("2030-01-01T00:30:00Z"));
+    expect(commands.pop().constructor.name).to.equal("DeleteRolePolicyCommand");
+    expect(policy).to.be.null;
+  });
+
+  it("Should keep role session names within STS limits", function () {
+    const name = new AwsIamConnector()._sessionName(`arn:aws:iam::123456789012:user/${"a".repeat(80)}`);
+    expect(name).to.have.length(64);
+    expect(name).to.match(/^[\w+=,.@-]+$/);
+  });
+});
@@ -0,0 +1,91 @@
+// test/AzureIamConnector.test.js
+const { expect } = require("chai");
+const AzureIamConnector = require("../cloud/azure/azure-iam-connector");
+
+describe("AzureIamConnector", function () {
+  const subscription = "/subscriptions/1234";
+  const scope = `${subscription}/resourceGroups/storage-rg`;
+  const roleId = (name) => `${subscription}/providers/Microsoft.Authorization/roleDefinitions/${name}`;
+  const role = (name, permission) => ({ id: roleId(name), roleName: name, permissions: [permission] });
+
+  const roles = [
+    role("Owner", { actions: ["*"] }),
+    role("Contributor", { actions: ["*"], notActions: ["Microsoft.Authorization/*/Delete", "Microsoft.Authorization/*/Write"] }),
+    role("Reader", { actions: ["*/read"] }),
+    role("Storage Account Contributor", {
+      actions: ["Microsoft.Storage/storageAccounts/*", "Microsoft.Insights/alertRules/*", "Microsoft.Resources/deployments/*"]
+    }),
+    role("Storage Account Key Operator", {
+      actions: ["Microsoft.Storage/storageAccounts/listkeys/action", "Microsoft.Storage/storageAccounts/regeneratekey/action"]
+    })
+  ];
+
+  const iterate = async function* (items) { yield* items; };
+
+  // Connector with a stubbed authorization client keeping role assignments in memory
+  function stubbedConnector(assignments, calls = []) {
+    process.env.AZURE_SUBSCRIPTION_ID = process.env.AZURE_SUBSCRIPTION_ID || "1234";
+    const azure = new AzureIamConnector();
+    azure.authorizationClient = {
+      roleDefinitions: { list: () => iterate(roles) },
+      roleAssignments: {
+        listForScope: (listScope) => iterate(assignments.filter(assignment => listScope.startsWith(assignment.scope))),
+        create: async (createScope, name, { roleDefinitionId, principalId }) => {
+          calls.push(["create", createScope, roleDefinitionId, principalId]);
+          const existing = assignments.find(assignment => assignment.scope === createScope &&
+            assignment.roleDefinitionId === roleDefinitionId && assignment.principalId === principalId);
+          if (existing) {
+            throw Object.assign(new Error("The role assignment already exists."), { code: "RoleAssignmentExists", statusCode: 409 });
+          }
+          const assignment = { id: `${createScope}/providers/Microsoft.Authorization/roleAssignments/${name}`, name, scope: createScope, roleDefinitionId, principalId };
+          assignments.push(assignment);
+          return assignment;
+        }
+      }
+    };
+    return azure;
+  }
+
+  it("Should pick the role that allows the action and the least else", async function () {
+    const azure = stubbedConnector([]);
+    const pick = async (action) => (await azure.findLeastPrivilegedRole(scope, action)).roleName;
+
+    // Reader only reads, while Storage Account Contributor also writes, deletes and lists keys
+    expect(await pick("Microsoft.Storage/storageAccounts/read")).to.equal("Reader");
+    expect(await pick("Microsoft.Storage/storageAccounts/listKeys/action")).to.equal("Storage Account Key Operator");
+    expect(await pick("Microsoft.Storage/storageAccounts/delete")).to.equal("Storage Account Contributor");
+    expect(await pick("Microsoft.Compute/virtualMachines/start/action")).to.equal("Contributor");
+    expect(await pick("Microsoft.Authorization/roleAssignments/write")).to.equal("Owner");
+  });
+
+  it("Should reuse a role assignment the principal already holds at the scope", async function () {
+    const calls = [];
+    const assignments = [
+      // Inherited from the subscription; it does not belong to the resource group
+      { id: `${subscription}/ra-parent`, name: "ra-parent", scope: subscription, roleDefinitionId: roleId("Reader"), principalId: "object-1" },
+      { id: `${scope}/ra-1`, name: "ra-1", scope, roleDefinitionId: roleId("Reader"), principalId: "object-1" }
+    ];
+    const azure = stubbedConnector(assignments, calls);
+    const request = { resourceId: `azure:${scope}`, principalId: "user:alice", cloudPrincipalId: "object-1", action: "Microsoft.Storage/storageAccounts/read", durationSeconds: 900 };
+
+    const { grant } = await azure.issueCredentials(request);
+    expect(grant).to.include({ roleAssignmentName: "ra-1", roleAssignmentId: `${scope}/ra-1`, reused: true, scope });
+
+    // A new assignment for another principal
+    const { grant: other } = await azure.issueCredentials({ ...request, cloudPrincipalId: "object-2" });
+    expect(other.reused).to.be.false;
+    expect(other.roleAssignmentName).to.not.equal("ra-1");
+    expect(calls.map(call => call[3])).to.deep.equal(["object-1", "object-2"]);
+  });
+
+  it("Should pass on other errors creating a role assignment", async function () {
+    const azure = stubbedConnector([]);
+    azure.authorizationClient.roleAssignments.create = async () => {
+      throw Object.assign(new Error("Forbidden"), { code: "AuthorizationFailed", statusCode: 403 });
+    };
+
+    let error;
+    await azure.grantTemporaryAccess(scope, "object-1", "Microsoft.Storage/storageAccounts/read").catch(e => { error = e; });
+    expect(error.code).to.equal("AuthorizationFailed");
+  });
+});
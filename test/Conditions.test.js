@@ -0,0 +1,68 @@
+// test/Conditions.test.js
+const { expect } = require("chai");
+const { validateConditions, conditionsHash, evaluateConditions } = require("../cloud/conditions");
+
+describe("Policy conditions", function () {
+  const conditions = {
+    ipCidr: ["10.0.0.0/8", "2001:db8::/32"],
+    mfa: true,
+    requestTime: { after: "2025-01-01T00:00:00Z", before: "2026-01-01T00:00:00Z" },
+    match: ["principal.tag.team == resource.tag.team", "resource.tag.env != 'prod'"]
+  };
+  const context = {
+    sourceIp: "::ffff:10.1.2.3",
+    mfa: true,
+    requestTime: new Date("2025-06-01T12:00:00Z"),
+    principalTags: { team: "storage" },
+    resourceTags: { team: "storage", env: "dev" }
+  };
+
+  it("Should be satisfied when every condition holds", function () {
+    expect(evaluateConditions(conditions, context)).to.deep.equal({ satisfied: true, failed: [] });
+    expect(evaluateConditions(conditions, { ...context, sourceIp: "2001:db8::1" }).satisfied).to.be.true;
+  });
+
+  it("Should report each condition that does not hold", function () {
+    const result = evaluateConditions(conditions, {
+      sourceIp: "192.168.1.10",
+      mfa: false,
+      requestTime: new Date("2026-01-01T00:00:00Z"),
+      principalTags: { team: "network" },
+      resourceTags: { team: "storage", env: "prod" }
+    });
+
+    expect(result.satisfied).to.be.false;
+    expect(result.failed).to.deep.equal([
+      "ipCidr",
+      "mfa",
+      "requestTime",
+      "principal.tag.team == resource.tag.team",
+      "resource.tag.env != 'prod'"
+    ]);
+  });
+
+  it("Should fail tag expressions when a tag is missing", function () {
+    const result = evaluateConditions({ match: ["resource.tag.env != 'prod'"] }, { resourceTags: {} });
+    expect(result.failed).to.deep.equal(["resource.tag.env != 'prod'"]);
+  });
+
+  it("Should reject malformed condition sets", function () {
+    expect(() => validateConditions({ sourceVpc: "vpc-1" })).to.throw("Unknown condition: sourceVpc");
+    expect(() => validateConditions({ ipCidr: ["10.0.0.0/33"] })).to.throw("Invalid CIDR");
+    expect(() => validateConditions({ mfa: "yes" })).to.throw("mfa must be a boolean");
+    expect(() => validateConditions({ requestTime: { after: "someday" } })).to.throw("Invalid requestTime bound");
+    expect(() => validateConditions({ match: ["principal.team = 'storage'"] })).to.throw("Invalid match expression");
+  });
+
+  it("Should hash condition sets independently of key order", function () {
+    const reordered = {
+      match: conditions.match,
+      requestTime: { before: "2026-01-01T00:00:00Z", after: "2025-01-01T00:00:00Z" },
+      mfa: true,
+      ipCidr: conditions.ipCidr
+    };
+
+    expect(conditionsHash(reordered)).to.equal(conditionsHash(conditions));
+    expect(conditionsHash({ ...conditions, mfa: false })).to.not.equal(conditionsHash(conditions));
+  });
+});
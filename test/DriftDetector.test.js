@@ -0,0 +1,207 @@
+// test/DriftDetector.test.js
+const { expect } = require("chai");
+const AwsIamConnector = require("../cloud/aws/aws-iam-connector");
+const DriftDetector = require("../cloud/drift-detector");
+const { resourceKey, principalKey } = require("../cloud/resource-path");
+const { actionMatches } = require("../cloud/action-pattern");
+
+describe("Drift detection", function () {
+  const bucket = "arn:aws:s3:::example-bucket";
+  const aliceArn = "arn:aws:iam::123456789012:user/alice";
+  const bobArn = "arn:aws:iam::123456789012:user/bob";
+  const scope = "/subscriptions/1234/resourceGroups/storage-rg";
+  const readerId = "/subscriptions/1234/providers/Microsoft.Authorization/roleDefinitions/reader";
+
+  const policyDocument = (action) => encodeURIComponent(JSON.stringify({
+    Version: "2012-10-17",
+    Statement: [{ Effect: "Allow", Action: action, Resource: bucket }]
+  }));
+
+  // AWS connector with a mocked IAM client answering by command name
+  function mockedAwsConnector(calls) {
+    const aws = new AwsIamConnector();
+    const responses = {
+      ListUsersCommand: ({ Marker }) => (Marker
+        ? { Users: [{ UserName: "bob", Arn: bobArn }], IsTruncated: false }
+        : { Users: [{ UserName: "alice", Arn: aliceArn }], IsTruncated: true, Marker: "page-2" }),
+      ListAttachedUserPoliciesCommand: ({ UserName }) => ({
+        AttachedPolicies: UserName === "alice" ? [{ PolicyName: "S3Read", PolicyArn: "arn:aws:iam::123456789012:policy/S3Read" }] : []
+      }),
+      ListUserPoliciesCommand: ({ UserName }) => ({ PolicyNames: UserName === "bob" ? ["console-added"] : [] }),
+      GetPolicyCommand: () => ({ Policy: { DefaultVersionId: "v2" } }),
+      GetPolicyVersionCommand: () => ({ PolicyVersion: { Document: policyDocument("s3:GetObject") } }),
+      GetUserPolicyCommand: () => ({ PolicyDocument: policyDocument("s3:*") }),
+      DeleteUserPolicyCommand: () => ({})
+    };
+    aws.iamClient = {
+      send: async (command) => {
+        calls.push([command.constructor.name, command.input]);
+        return responses[command.constructor.name](command.input);
+      }
+    };
+    return aws;
+  }
+
+  // Registry answering queryFilter with PermissionGranted/PermissionRevoked logs and evaluating
+  // access like the contract: through groups, with deny rules overriding grants
+  function mockedRegistry(events, { groups = {}, denies = [] } = {}) {
+    const log = (name) => events
+      .map((event, i) => ({ ...event, blockNumber: i + 1, index: 0 }))
+      .filter(event => event.name === name)
+      .map(({ args, blockNumber, index }) => ({ args, blockNumber, index }));
+
+    const granted = new Map();
+    for (const { name, args } of events) {
+      const key = `${args.resourceId}:${args.principalId}:${args.action}`;
+      name === "PermissionGranted" ? granted.set(key, args) : granted.delete(key);
+    }
+    const members = new Map(Object.entries(groups).map(([group, ids]) => [principalKey(group), ids.map(principalKey)]));
+    const owners = (principalId) => [principalId, ...[...members.keys()]
+      .filter(groupId => members.get(groupId).includes(principalId))
+      .flatMap(owners)];
+    const matches = (rules, resourceId, principalId, action) => rules.some(rule =>
+      rule.resourceId === resourceId && owners(principalId).includes(rule.principalId) && actionMatches(rule.action, action));
+    const policies = events.map(event => event.args.resourceId);
+
+    return {
+      filters: { PermissionGranted: () => "PermissionGranted", PermissionRevoked: () => "PermissionRevoked" },
+      queryFilter: async (filter) => log(filter),
+      findResourcePolicy: async (keys) => {
+        const index = keys.findIndex(key => policies.includes(key));
+        return [index >= 0, index >= 0 ? index : 0];
+      },
+      evaluateAccess: async (resourceId, principalId, action) => {
+        const denied = matches(denies, resourceId, principalId, action);
+        return { allowed: !denied && matches([...granted.values()], resourceId, principalId, action), denied };
+      },
+      getDeniedActions: async (resourceId, principalId) => denies
+        .filter(rule => rule.resourceId === resourceId && rule.principalId === principalId)
+        .map(rule => rule.action),
+      isGroup: async (principalId) => members.has(principalId),
+      getGroupMembers: async (groupId) => members.get(groupId),
+      getGroupsOf: async (principalId) => [...members.keys()].filter(groupId => members.get(groupId).includes(principalId))
+    };
+  }
+
+  const rule = (resourcePath, principal, action) => ({
+    resourceId: resourceKey(resourcePath), principalId: principalKey(principal), action
+  });
+  const grantEvent = (name, resourcePath, principal, action) => ({ name, args: rule(resourcePath, principal, action) });
+  const azureReader = (assignments) => ({
+    getRoleDefinitions: async () => [{
+      id: readerId,
+      roleName: "Reader",
+      permissions: [{ actions: ["Microsoft.Storage/storageAccounts/read"], notActions: [] }]
+    }],
+    getRoleAssignments: async () => assignments.map(([name, principalId]) => (
+      { id: `${scope}/${name}`, name, scope, roleDefinitionId: readerId, principalId }
+    ))
+  });
+
+  it("Should report extra and missing access against registry events", async function () {
+    const calls = [];
+    const registry = mockedRegistry([
+      grantEvent("PermissionGranted", bucket, aliceArn, "s3:Get*"),
+      grantEvent("PermissionGranted", bucket, aliceArn, "s3:PutObject"),
+      grantEvent("PermissionGranted", bucket, bobArn, "s3:GetObject"),
+      grantEvent("PermissionRevoked", bucket, bobArn, "s3:GetObject"),
+      grantEvent("PermissionGranted", scope, "user:carol", "Microsoft.Storage/*/read")
+    ]);
+    const azure = azureReader([["ra-1", "user:carol"], ["ra-2", "user:dave"]]);
+
+    const detector = new DriftDetector(registry, { aws: mockedAwsConnector(calls), azure }, { azureScopes: [scope] });
+    const report = await detector.detect();
+
+    expect(report.extra.map(extra => extra.source)).to.deep.equal([
+      "bob: inline policy console-added",
+      `role assignment ra-2 on ${scope}`
+    ]);
+    expect(report.extra[0].grants).to.deep.equal([{ resourcePath: bucket, principal: bobArn, action: "s3:*", source: "Statement[0]" }]);
+    expect(report.missing).to.deep.equal([{ resourcePath: bucket, principal: aliceArn, action: "s3:PutObject" }]);
+    expect(report.unverifiable).to.be.empty;
+    expect(report.remediated).to.be.empty;
+    expect(calls.filter(([name]) => name === "ListUsersCommand").map(([, input]) => input.Marker)).to.deep.equal([undefined, "page-2"]);
+  });
+
+  it("Should follow groups and deny rules and skip access issued by the gateway", async function () {
+    const registry = mockedRegistry([
+      grantEvent("PermissionGranted", bucket, aliceArn, "s3:Get*"),
+      grantEvent("PermissionGranted", bucket, "group:storage-admins", "s3:*"),
+      grantEvent("PermissionGranted", scope, "user:carol", "Microsoft.Storage/*/read")
+    ], {
+      groups: { "group:storage-admins": ["group:oncall"], "group:oncall": [bobArn] },
+      denies: [rule(bucket, aliceArn, "s3:GetObject")]
+    });
+    // user:dave's role assignment was made by the gateway for a just-in-time grant; user:erin's
+    // predates the grant that reused it
+    const ledger = {
+      list: ({ status }) => (status === "active" ? [
+        { provider: "azure", roleAssignmentName: "ra-2", status: "active" },
+        { provider: "azure", roleAssignmentName: "ra-3", status: "active", standing: true }
+      ] : [])
+    };
+    const azure = azureReader([["ra-1", "user:carol"], ["ra-2", "user:dave"], ["ra-3", "user:erin"]]);
+
+    const detector = new DriftDetector(registry, { aws: mockedAwsConnector([]), azure }, { azureScopes: [scope], ledger });
+    const report = await detector.detect();
+
+    // bob's s3:* comes through nested groups; alice's s3:GetObject is denied despite s3:Get*
+    expect(report.extra.map(extra => extra.source)).to.deep.equal([
+      "alice: attached policy arn:aws:iam::123456789012:policy/S3Read",
+      `role assignment ra-3 on ${scope}`
+    ]);
+    // The group grant is expected for each member of the nested groups, and is present for bob
+    expect(report.missing).to.be.empty;
+  });
+
+  it("Should report wildcard cloud actions that overlap a deny rule", async function () {
+    const registry = mockedRegistry([
+      grantEvent("PermissionGranted", bucket, aliceArn, "s3:GetObject"),
+      grantEvent("PermissionGranted", bucket, "group:storage-admins", "s3:*")
+    ], {
+      groups: { "group:storage-admins": [bobArn] },
+      denies: [rule(bucket, "group:storage-admins", "s3:DeleteObject")]
+    });
+
+    const detector = new DriftDetector(registry, { aws: mockedAwsConnector([]) });
+    const report = await detector.detect();
+
+    // The registry's s3:* grant allows "s3:*" as a string, but bob's inline s3:* also grants s3:DeleteObject
+    expect(report.extra.map(extra => extra.source)).to.deep.equal(["bob: inline policy console-added"]);
+  });
+
+  it("Should remove the cloud access that bypasses the registry when remediating", async function () {
+    const calls = [];
+    const registry = mockedRegistry([grantEvent("PermissionGranted", bucket, aliceArn, "s3:GetObject")]);
+    const detector = new DriftDetector(registry, { aws: mockedAwsConnector(calls) });
+
+    const report = await detector.detect({ remediate: true });
+
+    expect(report.remediated).to.deep.equal([
+      { provider: "aws", source: "bob: inline policy console-added", status: "removed" }
+    ]);
+    expect(calls.filter(([name]) => name === "DeleteUserPolicyCommand").map(([, input]) => input)).to.deep.equal([
+      { UserName: "bob", PolicyName: "console-added" }
+    ]);
+  });
+
+  it("Should flag cloud access it cannot compare", async function () {
+    const registry = mockedRegistry([]);
+    const aws = {
+      listUsers: async () => [{ UserName: "admin", Arn: "arn:aws:iam::123456789012:user/admin" }],
+      getUserPolicies: async () => [{
+        type: "managed",
+        policyName: "AdministratorAccess",
+        policyArn: "arn:aws:iam::aws:policy/AdministratorAccess",
+        document: { Statement: [{ Effect: "Allow", Action: "*", Resource: "*" }] }
+      }]
+    };
+
+    const report = await new DriftDetector(registry, { aws }).detect();
+
+    expect(report.extra).to.be.empty;
+    expect(report.unverifiable).to.have.length(1);
+    expect(report.unverifiable[0].source).to.equal("admin: attached policy arn:aws:iam::aws:policy/AdministratorAccess");
+    expect(report.unverifiable[0].unmapped[0].construct).to.equal("Resource");
+  });
+});
@@ -0,0 +1,205 @@
+// test/FrostCiphersuites.test.js
+const { expect } = require("chai");
+const crypto = require("crypto");
+const FrostSignature = require("../scripts/frost-crypto");
+const { runDistributedKeyGeneration, DkgParticipant } = FrostSignature;
+
+// RFC 9591 Appendix E: 2-of-3 signing by participants 1 and 3 over the message "test"
+const RFC_VECTORS = {
+  ed25519: {
+    groupPublicKey: "15d21ccd7ee42959562fc8aa63224c8851fb3ec85a3faf66040d380fb9738673",
+    shares: {
+      1: "929dcc590407aae7d388761cddb0c0db6f5627aea8e217f4a033f2ec83d93509",
+      3: "d3cb090a075eb154e82fdb4b3cb507f110040905468bb9c46da8bdea643a9a02"
+    },
+    randomness: {
+      1: ["0fd2e39e111cdc266f6c0f4d0fd45c947761f1f5d3cb583dfcb9bbaf8d4c9fec",
+        "69cd85f631d5f7f2721ed5e40519b1366f340a87c2f6856363dbdcda348a7501"],
+      3: ["86d64a260059e495d0fb4fcc17ea3da7452391baa494d4b00321098ed2a0062f",
+        "13e6b25afb2eba51716a9a7d44130c0dbae0004a9ef8d7b5550c8a0e07c61775"]
+    },
+    hidingNonceCommitment: "b5aa8ab305882a6fc69cbee9327e5a45e54c08af61ae77cb8207be3d2ce13de3",
+    sigShares: {
+      1: "001719ab5a53ee1a12095cd088fd149702c0720ce5fd2f29dbecf24b7281b603",
+      3: "bd86125de990acc5e1f13781d8e32c03a9bbd4c53539bbc106058bfd14326007"
+    },
+    signature: "36282629c383bb820a88b71cae937d41f2f2adfcc3d02e55507e2fb9e2dd3cbe" +
+      "bd9d2b0844e49ae0f3fa935161e1419aab7b47d21a37ebeae1f17d4987b3160b"
+  },
+  ristretto255: {
+    groupPublicKey: "e2a62f39eede11269e3bd5a7d97554f5ca384f9f6d3dd9c3c0d05083c7254f57",
+    shares: {
+      1: "5c3430d391552f6e60ecdc093ff9f6f4488756aa6cebdbad75a768010b8f830e",
+      3: "f17e505f0e2581c6acfe54d3846a622834b5e7b50cad9a2109a97ba7a80d5c04"
+    },
+    randomness: {
+      1: ["f595a133b4d95c6e1f79887220c8b275ce6277e7f68a6640e1e7140f9be2fb5c",
+        "34dd1001360e3513cb37bebfabe7be4a32c5bb91ba19fbd4360d039111f0fbdc"],
+      3: ["daa0cf42a32617786d390e0c7edfbf2efbd428037069357b5173ae61d6dd5d5e",
+        "b4387e72b2e4108ce4168931cc2c7fcce5f345a5297368952c18b5fc8473f050"]
+    },
+    hidingNonceCommitment: "965def4d0958398391fc06d8c2d72932608b1e6255226de4fb8d972dac15fd57",
+    sigShares: {
+      1: "9285f875923ce7e0c491a592e9ea1865ec1b823ead4854b48c8a46287749ee09",
+      3: "7cb211fe0e3d59d25db6e36b3fb32344794139602a7b24f1ae0dc4e26ad7b908"
+    },
+    signature: "fc45655fbc66bbffad654ea4ce5fdae253a49a64ace25d9adb62010dd9fb2555" +
+      "2164141787162e5b4cab915b4aa45d94655dbb9ed7c378a53b980a0be220a802"
+  },
+  secp256k1: {
+    groupPublicKey: "02f37c34b66ced1fb51c34a90bdae006901f10625cc06c4f64663b0eae87d87b4f",
+    shares: {
+      1: "08f89ffe80ac94dcb920c26f3f46140bfc7f95b493f8310f5fc1ea2b01f4254c",
+      3: "00e95d59dd0d46b0e303e500b62b7ccb0e555d49f5b849f5e748c071da8c0dbc"
+    },
+    randomness: {
+      1: ["7ea5ed09af19f6ff21040c07ec2d2adbd35b759da5a401d4c99dd26b82391cb2",
+        "47acab018f116020c10cb9b9abdc7ac10aae1b48ca6e36dc15acb6ec9be5cdc5"],
+      3: ["e6cc56ccbd0502b3f6f831d91e2ebd01c4de0479e0191b66895a4ffd9b68d544",
+        "7203d55eb82a5ca0d7d83674541ab55f6e76f1b85391d2c13706a89a064fd5b9"]
+    },
+    hidingNonceCommitment: "03c699af97d26bb4d3f05232ec5e1938c12f1e6ae97643c8f8f11c9820303f1904",
+    sigShares: {
+      1: "c4fce1775a1e141fb579944166eab0d65eefe7b98d480a569bbbfcb14f91c197",
+      3: "0160fd0d388932f4826d2ebcd6b9eaba734f7c71cf25b4279a4ca2581e47b18d"
+    },
+    signature: "0205b6d04d3774c8929413e3c76024d54149c372d57aae62574ed74319b5ea14d0" +
+      "c65dde8492a7471437e6c2fe3da49b90d23f642b5c6dbe7e36089f096dd97324"
+  }
+};
+
+describe("FROST ciphersuites", function () {
+  // Round one with the fixed nonce randomness of a test vector
+  function commitWithRandomness(frost, share, [hidingRandomness, bindingRandomness]) {
+    const secret = frost._parseScalar(share.value);
+    const hiding = frost._generateNonce(secret, Buffer.from(hidingRandomness, "hex"));
+    const binding = frost._generateNonce(secret, Buffer.from(bindingRandomness, "hex"));
+
+    return {
+      nonces: { hiding: frost._serializeScalar(hiding), binding: frost._serializeScalar(binding), consumed: false },
+      commitment: {
+        index: share.index,
+        hiding: frost._pointToJSON(frost.suite.G.mul(hiding)),
+        binding: frost._pointToJSON(frost.suite.G.mul(binding))
+      }
+    };
+  }
+
+  for (const [ciphersuite, vector] of Object.entries(RFC_VECTORS)) {
+    describe(ciphersuite, function () {
+      it("Should reproduce the RFC 9591 test vector", function () {
+        const frost = new FrostSignature(ciphersuite);
+        const groupPublicKey = frost._pointToJSON(frost.suite.deserializeElement(vector.groupPublicKey));
+        const shares = [1, 3].map(index => ({ index, value: vector.shares[index] }));
+
+        const rounds = shares.map(share => commitWithRandomness(frost, share, vector.randomness[share.index]));
+        const commitments = rounds.map(r => r.commitment);
+        expect(frost._serializeElement(frost._pointFromJSON(commitments[0].hiding)))
+          .to.equal(vector.hidingNonceCommitment);
+
+        const signatureShares = shares.map((share, i) =>
+          frost.generateSignatureShare("test", share, rounds[i].nonces, commitments, groupPublicKey)
+        );
+        expect(signatureShares.map(s => s.value)).to.deep.equal([vector.sigShares[1], vector.sigShares[3]]);
+
+        const signature = frost.combineSignatureShares("test", signatureShares, commitments, groupPublicKey, 2);
+        expect(frost.serializeSignature(signature)).to.equal(vector.signature);
+        expect(frost.verifySignature("test", signature, groupPublicKey)).to.be.true;
+      });
+
+      it("Should sign with dealer and DKG key shares", function () {
+        const frost = new FrostSignature(ciphersuite);
+        const dealt = frost.generateKeyShares(3, 2);
+        const results = runDistributedKeyGeneration([1, 2, 3].map(i => new DkgParticipant(i, 2, 3, frost)));
+        const generated = {
+          shares: results.map(r => r.share),
+          publicShares: results[0].publicShares,
+          groupPublicKey: results[0].groupPublicKey
+        };
+
+        for (const keyShares of [dealt, generated]) {
+          const rounds = [0, 2].map(i => frost.generateCommitment(keyShares.shares[i]));
+          const commitments = rounds.map(r => r.commitment);
+          const signatureShares = [0, 2].map((i, k) => frost.generateSignatureShare(
+            "multi-suite", keyShares.shares[i], rounds[k].nonces, commitments, keyShares.groupPublicKey
+          ));
+          const signature = frost.combineSignatureShares(
+            "multi-suite", signatureShares, commitments, keyShares.groupPublicKey, 2, keyShares.publicShares
+          );
+
+          expect(frost.verifySignature("multi-suite", signature, keyShares.groupPublicKey)).to.be.true;
+          expect(frost.verifySignature("other", signature, keyShares.groupPublicKey)).to.be.false;
+        }
+      });
+
+      it("Should batch-verify signatures and find the invalid one", function () {
+        const frost = new FrostSignature(ciphersuite);
+        const keyShares = frost.generateKeyShares(3, 2);
+        const items = ["a", "b", "c"].map(message => {
+          const rounds = [0, 1].map(i => frost.generateCommitment(keyShares.shares[i]));
+          const commitments = rounds.map(r => r.commitment);
+          const signatureShares = [0, 1].map(i => frost.generateSignatureShare(
+            message, keyShares.shares[i], rounds[i].nonces, commitments, keyShares.groupPublicKey
+          ));
+          const signature = frost.combineSignatureShares(message, signatureShares, commitments, keyShares.groupPublicKey, 2);
+          return { message, signature, groupPublicKey: keyShares.groupPublicKey };
+        });
+
+        expect(frost.verifyBatch(items).valid).to.be.true;
+        items[1] = { ...items[1], message: "tampered" };
+        expect(frost.verifyBatch(items)).to.deep.equal({ valid: false, invalid: [1] });
+      });
+    });
+  }
+
+  describe("Interoperability", function () {
+    it("Should produce Ed25519 signatures accepted by a standard verifier", function () {
+      const frost = new FrostSignature("ed25519");
+      const keyShares = frost.generateKeyShares(3, 2);
+      const rounds = [0, 1].map(i => frost.generateCommitment(keyShares.shares[i]));
+      const commitments = rounds.map(r => r.commitment);
+      const signatureShares = [0, 1].map(i => frost.generateSignatureShare(
+        "ssh login", keyShares.shares[i], rounds[i].nonces, commitments, keyShares.groupPublicKey
+      ));
+      const signature = frost.combineSignatureShares("ssh login", signatureShares, commitments, keyShares.groupPublicKey, 2);
+
+      const encodedKey = Buffer.from(frost._serializeElement(frost._pointFromJSON(keyShares.groupPublicKey)), "hex");
+      const publicKey = crypto.createPublicKey({
+        key: { kty: "OKP", crv: "Ed25519", x: encodedKey.toString("base64url") },
+        format: "jwk"
+      });
+
+      const signatureBytes = Buffer.from(frost.serializeSignature(signature), "hex");
+      expect(signatureBytes).to.have.lengthOf(64);
+      expect(crypto.verify(null, Buffer.from("ssh login"), publicKey, signatureBytes)).to.be.true;
+    });
+
+    it("Should use the RFC 9496 encoding for ristretto255 elements", function () {
+      const frost = new FrostSignature("ristretto255");
+      const G = frost.suite.G;
+
+      expect(frost._serializeElement(G)).to.equal("e2f2ae0a6abc4e71a884a961c500515f58e30b6aa582dd8db6a65945e08d2d76");
+      expect(frost._serializeElement(G.add(G))).to.equal("6a493210f7499cd17fecb510ae0cea23a110e8d5b901f8acadd3095c73a3b919");
+      expect(() => frost.suite.deserializeElement("00".repeat(32))).to.throw("identity");
+    });
+
+    it("Should reject elements outside the prime-order group", function () {
+      const frost = new FrostSignature("ed25519");
+
+      // (0, -1) has order 2
+      expect(() => frost.suite.deserializeElement("ec" + "ff".repeat(30) + "7f")).to.throw("prime-order subgroup");
+      expect(() => new FrostSignature("p256")).to.throw("Unsupported ciphersuite");
+    });
+
+    it("Should only import share files of its own ciphersuite", function () {
+      const ed = new FrostSignature("ed25519");
+      const secp = new FrostSignature();
+      const keyShares = ed.generateKeyShares(3, 2);
+      const recipient = ed.generateKeyPair();
+      const file = ed.exportShare(keyShares.shares[0], keyShares, { recipientPublicKey: recipient.publicKey });
+
+      expect(ed.importShare(file, { privateKey: recipient.privateKey }).share).to.deep.equal(keyShares.shares[0]);
+      expect(() => secp.importShare(file, { privateKey: recipient.privateKey })).to.throw("Unsupported ciphersuite");
+    });
+  });
+});
@@ -0,0 +1,528 @@
+// test/FrostSignature.test.js
+const { expect } = require("chai");
+const FrostSignature = require("../scripts/frost-crypto");
+const {
+  CommitmentStore,
+  InvalidSignatureShareError,
+  DkgParticipant,
+  runDistributedKeyGeneration
+} = FrostSignature;
+
+describe("FrostSignature", function () {
+  // Runs both FROST rounds for the given signers and aggregates the result
+  function sign(frost, keyShares, signerIndices, message) {
+    const signers = signerIndices.map(i => keyShares.shares[i - 1]);
+    const rounds = signers.map(share => frost.generateCommitment(share));
+    const commitments = rounds.map(r => r.commitment);
+
+    const signatureShares = signers.map((share, i) =>
+      frost.generateSignatureShare(message, share, rounds[i].nonces, commitments, keyShares.groupPublicKey)
+    );
+
+    const signature = frost.combineSignatureShares(
+      message,
+      signatureShares,
+      commitments,
+      keyShares.groupPublicKey,
+      keyShares.threshold
+    );
+
+    return { signature, signatureShares, commitments };
+  }
+
+  describe("Signing", function () {
+    it("Should produce a signature that verifies against the group public key", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(5, 3);
+      const message = "s3:GetObject arn:aws:s3:::example-bucket";
+
+      const { signature } = sign(frost, keyShares, [1, 3, 5], message);
+
+      expect(frost.verifySignature(message, signature, keyShares.groupPublicKey)).to.be.true;
+    });
+
+    it("Should produce valid signatures from any threshold subset", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(4, 2);
+      const message = "subset test";
+
+      for (const subset of [[1, 2], [2, 4], [1, 3, 4]]) {
+        const { signature } = sign(frost, keyShares, subset, message);
+        expect(frost.verifySignature(message, signature, keyShares.groupPublicKey)).to.be.true;
+      }
+    });
+
+    it("Should reject nonces that do not match the published commitment", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(3, 2);
+      const first = frost.generateCommitment(keyShares.shares[0]);
+      const second = frost.generateCommitment(keyShares.shares[1]);
+      const unrelated = frost.generateCommitment(keyShares.shares[0]);
+
+      expect(() => frost.generateSignatureShare(
+        "message",
+        keyShares.shares[0],
+        unrelated.nonces,
+        [first.commitment, second.commitment],
+        keyShares.groupPublicKey
+      )).to.throw("Nonces do not match");
+    });
+
+    it("Should reject fewer shares than the threshold", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(3, 2);
+      const { signatureShares, commitments } = sign(frost, keyShares, [1, 2], "message");
+
+      expect(() => frost.combineSignatureShares(
+        "message",
+        signatureShares.slice(0, 1),
+        commitments,
+        keyShares.groupPublicKey,
+        2
+      )).to.throw("Not enough signature shares");
+    });
+  });
+
+  describe("Preprocessing", function () {
+    it("Should sign with commitments taken from a preprocessed batch", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(3, 2);
+      const store = new CommitmentStore();
+      const batches = keyShares.shares.map(share => frost.preprocess(share, 3));
+
+      batches.forEach(batch => store.add(batch.commitments));
+      expect(store.available(1)).to.equal(3);
+
+      const message = "single-round signing";
+      const commitments = store.take([1, 3]);
+      const signatureShares = [1, 3].map((index, i) => {
+        const nonces = batches[index - 1].nonces.find(n => n.id === commitments[i].id);
+        return frost.generateSignatureShare(message, keyShares.shares[index - 1], nonces, commitments, keyShares.groupPublicKey);
+      });
+
+      const signature = frost.combineSignatureShares(message, signatureShares, commitments, keyShares.groupPublicKey, 2);
+
+      expect(frost.verifySignature(message, signature, keyShares.groupPublicKey)).to.be.true;
+      expect(store.available(1)).to.equal(2);
+      expect(store.available(2)).to.equal(3);
+    });
+
+    it("Should refuse to sign twice with the same nonces", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(3, 2);
+      const rounds = keyShares.shares.slice(0, 2).map(share => frost.generateCommitment(share));
+      const commitments = rounds.map(r => r.commitment);
+      const savedNonces = { ...rounds[0].nonces };
+
+      frost.generateSignatureShare("first", keyShares.shares[0], rounds[0].nonces, commitments, keyShares.groupPublicKey);
+
+      expect(rounds[0].nonces.consumed).to.be.true;
+      expect(() => frost.generateSignatureShare(
+        "second", keyShares.shares[0], rounds[0].nonces, commitments, keyShares.groupPublicKey
+      )).to.throw("already been used");
+      expect(() => frost.generateSignatureShare(
+        "second", keyShares.shares[0], savedNonces, commitments, keyShares.groupPublicKey
+      )).to.throw("already been used");
+    });
+
+    it("Should hand out each published commitment only once", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(3, 2);
+      const store = new CommitmentStore();
+      const { commitments } = frost.preprocess(keyShares.shares[0], 1);
+
+      store.add(commitments);
+      expect(() => store.add(commitments)).to.throw("already been published");
+
+      store.take([1]);
+      expect(() => store.take([1])).to.throw("No commitments available for participants 1");
+    });
+  });
+
+  describe("Share verification", function () {
+    it("Should accept honest signature shares", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(3, 2);
+      const { signatureShares, commitments } = sign(frost, keyShares, [1, 2], "message");
+
+      for (const share of signatureShares) {
+        const publicShare = keyShares.publicShares[share.index - 1];
+        expect(frost.verifySignatureShare("message", share, publicShare, commitments, keyShares.groupPublicKey)).to.be.true;
+      }
+    });
+
+    it("Should name the participants that sent invalid shares", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(5, 3);
+      const { signatureShares, commitments } = sign(frost, keyShares, [1, 2, 4], "message");
+
+      // Participant 2 sends garbage, participant 4 sends a share of participant 1
+      const tampered = [
+        signatureShares[0],
+        { index: 2, value: "invalid_byzantine_signature_share" },
+        { index: 4, value: signatureShares[0].value }
+      ];
+
+      let caught;
+      try {
+        frost.combineSignatureShares("message", tampered, commitments, keyShares.groupPublicKey, 3, keyShares.publicShares);
+      } catch (error) {
+        caught = error;
+      }
+
+      expect(caught).to.be.instanceOf(InvalidSignatureShareError);
+      expect(caught.culprits).to.deep.equal([2, 4]);
+    });
+
+    it("Should reject an invalid aggregate when public shares are not supplied", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(3, 2);
+      const { signatureShares, commitments } = sign(frost, keyShares, [1, 2], "message");
+      const tampered = [signatureShares[0], { index: 2, value: signatureShares[0].value }];
+
+      expect(() => frost.combineSignatureShares(
+        "message", tampered, commitments, keyShares.groupPublicKey, 2
+      )).to.throw("Aggregate signature is invalid");
+    });
+  });
+
+  describe("Verifiable secret sharing", function () {
+    it("Should verify dealt shares against the dealer commitments", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(5, 3);
+
+      expect(keyShares.commitments).to.have.lengthOf(3);
+      expect(keyShares.commitments[0]).to.deep.equal(keyShares.groupPublicKey);
+      for (const share of keyShares.shares) {
+        expect(frost.verifyShare(share, keyShares.commitments, keyShares.groupPublicKey)).to.be.true;
+      }
+    });
+
+    it("Should detect a share that is inconsistent with the commitments", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(3, 2);
+      const swapped = { index: 1, value: keyShares.shares[1].value };
+
+      expect(frost.verifyShare(swapped, keyShares.commitments)).to.be.false;
+      expect(frost.verifyShare({ index: 1, value: "not-a-scalar" }, keyShares.commitments)).to.be.false;
+    });
+
+    it("Should detect commitments for a different group key", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(3, 2);
+      const otherKeyShares = frost.generateKeyShares(3, 2);
+
+      expect(frost.verifyShare(keyShares.shares[0], keyShares.commitments, otherKeyShares.groupPublicKey)).to.be.false;
+    });
+  });
+
+  describe("Distributed key generation", function () {
+    // Turns per-participant DKG results into the shape returned by generateKeyShares
+    function toKeyShares(results) {
+      return {
+        shares: results.map(r => r.share),
+        publicShares: results[0].publicShares,
+        groupPublicKey: results[0].groupPublicKey,
+        threshold: results[0].threshold,
+        total: results[0].total
+      };
+    }
+
+    it("Should agree on a group key whose shares can sign", function () {
+      const frost = new FrostSignature();
+      const participants = [1, 2, 3, 4].map(i => new DkgParticipant(i, 3, 4));
+
+      const results = runDistributedKeyGeneration(participants);
+
+      for (const result of results) {
+        expect(result.groupPublicKey).to.deep.equal(results[0].groupPublicKey);
+        expect(result.publicShares).to.deep.equal(results[0].publicShares);
+        expect(result.disqualified).to.be.empty;
+        expect(frost.verifyShare(result.share, result.commitments, result.groupPublicKey)).to.be.true;
+      }
+
+      const keyShares = toKeyShares(results);
+      const { signature } = sign(frost, keyShares, [1, 2, 4], "dkg message");
+      expect(frost.verifySignature("dkg message", signature, keyShares.groupPublicKey)).to.be.true;
+    });
+
+    it("Should disqualify a participant with an invalid proof of knowledge", function () {
+      const participants = [1, 2, 3].map(i => new DkgParticipant(i, 2, 3));
+      const round1 = participants[2].round1.bind(participants[2]);
+      participants[2].round1 = () => {
+        const pkg = round1();
+        return { ...pkg, proof: { ...pkg.proof, mu: "01" } };
+      };
+
+      const results = runDistributedKeyGeneration(participants);
+
+      expect(results.map(r => r.share.index)).to.deep.equal([1, 2]);
+      expect(results[0].qualified).to.deep.equal([1, 2]);
+      expect(results[0].disqualified).to.deep.equal([3]);
+      expect(results[1].groupPublicKey).to.deep.equal(results[0].groupPublicKey);
+    });
+
+    it("Should disqualify a dealer that cannot justify a disputed share", function () {
+      const frost = new FrostSignature();
+      const participants = [1, 2, 3, 4].map(i => new DkgParticipant(i, 2, 4));
+      const cheater = participants[3];
+      const round2 = cheater.round2.bind(cheater);
+      cheater.round2 = packages => {
+        const shares = round2(packages);
+        shares[1].value = "07";
+        return shares;
+      };
+      cheater.respondToComplaint = complaint =>
+        complaint.accused === cheater.index ? { from: cheater.index, to: complaint.accuser, value: "07" } : null;
+
+      const results = runDistributedKeyGeneration(participants);
+
+      expect(results.map(r => r.share.index)).to.deep.equal([1, 2, 3]);
+      for (const result of results) {
+        expect(result.disqualified).to.deep.equal([4]);
+      }
+
+      const keyShares = toKeyShares(results);
+      const { signature } = sign(frost, keyShares, [1, 3], "after complaint");
+      expect(frost.verifySignature("after complaint", signature, keyShares.groupPublicKey)).to.be.true;
+    });
+
+    it("Should resolve a complaint when the accused reveals a valid share", function () {
+      const frost = new FrostSignature();
+      const participants = [1, 2, 3].map(i => new DkgParticipant(i, 2, 3));
+      const round2 = participants[0].round2.bind(participants[0]);
+      participants[0].round2 = packages => {
+        const shares = round2(packages);
+        shares[2].value = "07";
+        return shares;
+      };
+
+      const results = runDistributedKeyGeneration(participants);
+
+      expect(results[1].disqualified).to.be.empty;
+      const keyShares = toKeyShares(results);
+      const { signature } = sign(frost, keyShares, [1, 2], "resolved");
+      expect(frost.verifySignature("resolved", signature, keyShares.groupPublicKey)).to.be.true;
+    });
+  });
+
+  describe("Refresh and resharing", function () {
+    it("Should refresh shares without changing the group key", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(5, 3);
+      const refreshed = frost.refreshKeyShares(keyShares, [1, 2, 3, 4, 5]);
+
+      expect(refreshed.groupPublicKey).to.deep.equal(keyShares.groupPublicKey);
+      expect(refreshed.shares[0].value).to.not.equal(keyShares.shares[0].value);
+      for (const share of refreshed.shares) {
+        expect(frost.verifyShare(share, refreshed.commitments, refreshed.groupPublicKey)).to.be.true;
+      }
+
+      const { signature } = sign(frost, refreshed, [2, 4, 5], "refreshed");
+      expect(frost.verifySignature("refreshed", signature, keyShares.groupPublicKey)).to.be.true;
+    });
+
+    it("Should make a leaked share useless after a refresh", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(3, 2);
+      const refreshed = frost.refreshKeyShares(keyShares);
+
+      // The attacker holds the pre-refresh share of participant 1
+      const signers = [keyShares.shares[0], refreshed.shares[1]];
+      const rounds = signers.map(share => frost.generateCommitment(share));
+      const commitments = rounds.map(r => r.commitment);
+      const signatureShares = signers.map((share, i) =>
+        frost.generateSignatureShare("message", share, rounds[i].nonces, commitments, refreshed.groupPublicKey)
+      );
+
+      let caught;
+      try {
+        frost.combineSignatureShares("message", signatureShares, commitments, refreshed.groupPublicKey, 2, refreshed.publicShares);
+      } catch (error) {
+        caught = error;
+      }
+
+      expect(caught).to.be.instanceOf(InvalidSignatureShareError);
+      expect(caught.culprits).to.deep.equal([1]);
+    });
+
+    it("Should reshare a 2-of-3 key to a 3-of-5 group", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(3, 2);
+      const reshared = frost.reshareKeyShares(keyShares, [1, 3], 3, 5);
+
+      expect(reshared.groupPublicKey).to.deep.equal(keyShares.groupPublicKey);
+      expect(reshared.shares).to.have.lengthOf(5);
+      expect(reshared.commitments).to.have.lengthOf(3);
+
+      const { signature } = sign(frost, reshared, [1, 4, 5], "reshared");
+      expect(frost.verifySignature("reshared", signature, keyShares.groupPublicKey)).to.be.true;
+      expect(() => sign(frost, reshared, [1, 4], "too few")).to.throw("Not enough signature shares");
+    });
+
+    it("Should reject a reshare package that does not commit to the old share", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(3, 2);
+      const packages = [1, 2].map(i => frost.createResharePackage(keyShares.shares[i - 1], [1, 2], 2, 3));
+      const forged = frost.createResharePackage({ index: 2, value: "07" }, [1, 2], 2, 3);
+
+      expect(() => frost.completeReshare(1, [packages[0], forged], keyShares, 2, 3))
+        .to.throw("Reshare package from participant 2 does not commit to its old share");
+      expect(() => frost.completeReshare(1, [packages[0]], keyShares, 2, 3))
+        .to.throw("Not enough reshare packages");
+    });
+  });
+
+  describe("Share files", function () {
+    it("Should round-trip a passphrase-encrypted share", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(3, 2);
+      const file = frost.exportShare(keyShares.shares[1], keyShares, { passphrase: "correct horse" });
+
+      expect(file.version).to.equal(1);
+      expect(file.ciphersuite).to.equal("FROST-secp256k1-SHA256-v1");
+      expect(file.index).to.equal(2);
+      expect(JSON.stringify(file)).to.not.include(keyShares.shares[1].value);
+
+      const imported = frost.importShare(JSON.stringify(file), { passphrase: "correct horse" });
+      expect(imported.share).to.deep.equal(keyShares.shares[1]);
+      expect(imported.publicShare).to.deep.equal(keyShares.publicShares[1]);
+      expect(imported.groupPublicKey).to.deep.equal(keyShares.groupPublicKey);
+      expect(imported.threshold).to.equal(2);
+    });
+
+    it("Should round-trip a share encrypted to a recipient public key", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(3, 2);
+      const recipient = frost.generateKeyPair();
+
+      const file = frost.exportShare(keyShares.shares[0], keyShares, { recipientPublicKey: recipient.publicKey });
+      const imported = frost.importShare(file, { privateKey: recipient.privateKey });
+
+      expect(imported.share).to.deep.equal(keyShares.shares[0]);
+      expect(() => frost.importShare(file, { privateKey: frost.generateKeyPair().privateKey }))
+        .to.throw("could not be decrypted");
+    });
+
+    it("Should reject a wrong passphrase and tampered metadata", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(3, 2);
+      const file = frost.exportShare(keyShares.shares[0], keyShares, { passphrase: "secret" });
+
+      expect(() => frost.importShare(file, { passphrase: "guess" })).to.throw("could not be decrypted");
+      expect(() => frost.importShare({ ...file, index: 3 }, { passphrase: "secret" })).to.throw("could not be decrypted");
+      expect(() => frost.importShare({ ...file, version: 2 }, { passphrase: "secret" })).to.throw("Unsupported share file version");
+    });
+
+    it("Should refuse scrypt parameters that would exhaust memory before deriving a key", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(3, 2);
+      const file = frost.exportShare(keyShares.shares[0], keyShares, { passphrase: "secret" });
+      const withKdf = (kdf) => ({ ...file, encryption: { ...file.encryption, kdf: { ...file.encryption.kdf, ...kdf } } });
+
+      expect(() => frost.importShare(withKdf({ N: 1 << 20 }), { passphrase: "secret" })).to.throw("Unsupported scrypt parameters");
+      expect(() => frost.importShare(withKdf({ r: 32 }), { passphrase: "secret" })).to.throw("Unsupported scrypt parameters");
+      expect(() => frost.importShare(withKdf({ p: 4 }), { passphrase: "secret" })).to.throw("Unsupported scrypt parameters");
+      expect(() => frost.importShare(withKdf({ N: "32768" }), { passphrase: "secret" })).to.throw("Unsupported scrypt parameters");
+    });
+  });
+
+  describe("Verification", function () {
+    it("Should reject a signature for a different message", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(3, 2);
+      const { signature } = sign(frost, keyShares, [1, 2], "original");
+
+      expect(frost.verifySignature("tampered", signature, keyShares.groupPublicKey)).to.be.false;
+    });
+
+    it("Should reject a signature under a different group key", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(3, 2);
+      const otherKeyShares = frost.generateKeyShares(3, 2);
+      const { signature } = sign(frost, keyShares, [1, 2], "message");
+
+      expect(frost.verifySignature("message", signature, otherKeyShares.groupPublicKey)).to.be.false;
+    });
+
+    it("Should reject malformed signatures without logging", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(3, 2);
+      const { signature } = sign(frost, keyShares, [1, 2], "message");
+      const logged = [];
+      const consoleError = console.error;
+      console.error = (...args) => logged.push(args);
+
+      try {
+        expect(frost.verifySignature("message", { ...signature, R: "not a point" }, keyShares.groupPublicKey)).to.be.false;
+        expect(frost.verifySignature("message", { R: signature.R }, keyShares.groupPublicKey)).to.be.false;
+        expect(frost.verifySignature("message", signature, null)).to.be.false;
+      } finally {
+        console.error = consoleError;
+      }
+      expect(logged).to.be.empty;
+    });
+
+    it("Should serialize signatures as R || z", function () {
+      const frost = new FrostSignature();
+      const keyShares = frost.generateKeyShares(3, 2);
+      const { signature } = sign(frost, keyShares, [1, 2], "message");
+
+      const serialized = frost.serializeSignature(signature);
+
+      expect(serialized).to.have.lengthOf(130);
+      expect(serialized.slice(66)).to.equal(signature.z);
+    });
+  });
+
+  describe("Batch verification", function () {
+    // Signatures over distinct messages from two groups
+    function signBatch(frost, count) {
+      const groups = [frost.generateKeyShares(3, 2), frost.generateKeyShares(3, 2)];
+      const items = [];
+      for (let i = 0; i < count; i++) {
+        const keyShares = groups[i % 2];
+        const message = `request ${i}`;
+        const { signature } = sign(frost, keyShares, [1, 2], message);
+        items.push({ message, signature, groupPublicKey: keyShares.groupPublicKey });
+      }
+      return items;
+    }
+
+    it("Should accept a batch of valid signatures", function () {
+      const frost = new FrostSignature();
+      const items = signBatch(frost, 6);
+
+      expect(frost.verifyBatch(items)).to.deep.equal({ valid: true, invalid: [] });
+      expect(frost.verifyBatch([])).to.deep.equal({ valid: true, invalid: [] });
+    });
+
+    it("Should identify the invalid items of a failing batch", function () {
+      const frost = new FrostSignature();
+      const items = signBatch(frost, 7);
+
+      items[2] = { ...items[2], message: "request 2 (tampered)" };
+      items[5] = { ...items[5], groupPublicKey: items[0].groupPublicKey };
+      items[6] = { ...items[6], signature: { R: items[6].signature.R, z: "invalid" } };
+
+      expect(frost.verifyBatch(items)).to.deep.equal({ valid: false, invalid: [2, 5, 6] });
+    });
+
+    it("Should not accept invalid signatures that cancel out", function () {
+      const frost = new FrostSignature();
+      const items = signBatch(frost, 2);
+      const n = frost.suite.n;
+
+      // Shifting z by +d in one signature and -d in another keeps the unweighted sum valid
+      const d = n.subn(12345);
+      const shift = (signature, delta) => ({
+        ...signature,
+        z: frost._serializeScalar(frost._parseScalar(signature.z).add(delta).umod(n))
+      });
+      items[0] = { ...items[0], signature: shift(items[0].signature, d) };
+      items[1] = { ...items[1], signature: shift(items[1].signature, n.sub(d)) };
+
+      expect(frost.verifyBatch(items).invalid).to.deep.equal([0, 1]);
+    });
+  });
+});
@@ -0,0 +1,264 @@
+// test/FrostVerifier.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const FrostSignature = require("../scripts/frost-crypto");
+
+describe("FROST signature verification on-chain", function () {
+  // 2-of-3 FROST signature over a 32-byte message hash, serialized as R || z
+  function signHash(frost, keyShares, msgHash) {
+    const message = ethers.getBytes(msgHash);
+    const rounds = [0, 1].map(i => frost.generateCommitment(keyShares.shares[i]));
+    const commitments = rounds.map(r => r.commitment);
+    const signatureShares = [0, 1].map(i => frost.generateSignatureShare(
+      message, keyShares.shares[i], rounds[i].nonces, commitments, keyShares.groupPublicKey
+    ));
+    const signature = frost.combineSignatureShares(message, signatureShares, commitments, keyShares.groupPublicKey, 2);
+    return "0x" + frost.serializeSignature(signature);
+  }
+
+  async function deployFixture() {
+    const [owner, approver, operator, other] = await ethers.getSigners();
+
+    const frost = new FrostSignature();
+    const keyShares = frost.generateKeyShares(3, 2);
+    const groupPublicKey = "0x" + frost.serializePublicKey(keyShares.groupPublicKey);
+
+    const FrostIAM = await ethers.getContractFactory("FrostIAM");
+    const frostIAM = await FrostIAM.deploy(groupPublicKey);
+
+    const AccessControlRegistry = await ethers.getContractFactory("AccessControlRegistry");
+    const registry = await AccessControlRegistry.deploy(owner.address, owner.address);
+    await registry.grantRole(await registry.OPERATOR_ROLE(), operator.address);
+    await registry.setFrostGroupKey(groupPublicKey);
+
+    return { frost, keyShares, groupPublicKey, frostIAM, registry, owner, approver, operator, other };
+  }
+
+  describe("verifyFrost", function () {
+    it("Should accept signatures produced by frost-crypto.js", async function () {
+      const { frost, keyShares, groupPublicKey, frostIAM } = await loadFixture(deployFixture);
+
+      expect(await frostIAM.frostGroupPublicKey()).to.equal(groupPublicKey);
+      for (let i = 0; i < 3; i++) {
+        const msgHash = ethers.id(`access request ${i}`);
+        expect(await frostIAM.verifyFrost(msgHash, signHash(frost, keyShares, msgHash))).to.be.true;
+      }
+    });
+
+    it("Should reject tampered, malformed and foreign signatures", async function () {
+      const { frost, keyShares, frostIAM } = await loadFixture(deployFixture);
+      const msgHash = ethers.id("access request");
+      const signature = signHash(frost, keyShares, msgHash);
+
+      expect(await frostIAM.verifyFrost(ethers.id("other request"), signature)).to.be.false;
+
+      const tampered = ethers.getBytes(signature);
+      tampered[64] ^= 1;
+      expect(await frostIAM.verifyFrost(msgHash, tampered)).to.be.false;
+      expect(await frostIAM.verifyFrost(msgHash, ethers.dataSlice(signature, 0, 64))).to.be.false;
+
+      const otherGroup = frost.generateKeyShares(3, 2);
+      expect(await frostIAM.verifyFrost(msgHash, signHash(frost, otherGroup, msgHash))).to.be.false;
+    });
+
+    it("Should reject group keys that are not curve points", async function () {
+      const FrostIAM = await ethers.getContractFactory("FrostIAM");
+
+      await expect(FrostIAM.deploy("0x02" + "00".repeat(31) + "05"))
+        .to.be.revertedWith("FrostSchnorr: public key not on curve");
+      await expect(FrostIAM.deploy("0x04" + "11".repeat(64)))
+        .to.be.revertedWith("FrostSchnorr: invalid public key length");
+    });
+  });
+
+  describe("FrostIAM", function () {
+    it("Should record an approval only with the group's signature", async function () {
+      const { frost, keyShares, frostIAM, approver, other } = await loadFixture(deployFixture);
+
+      const tx = await frostIAM.createPolicy(other.address, "0x12345678", [approver.address], 1);
+      const receipt = await tx.wait();
+      const policyId = frostIAM.interface.parseLog(receipt.logs[0]).args.policyId;
+
+      const forOther = signHash(frost, keyShares, await frostIAM.policyApprovalHash(policyId, other.address));
+      await expect(frostIAM.connect(approver).approvePolicy(policyId, forOther))
+        .to.be.revertedWith("FrostVerifier: invalid signature");
+
+      const signature = signHash(frost, keyShares, await frostIAM.policyApprovalHash(policyId, approver.address));
+      await frostIAM.connect(approver).approvePolicy(policyId, signature);
+      expect(await frostIAM.isPolicyApprovedBy(policyId, approver.address)).to.be.true;
+    });
+  });
+
+  describe("AccessControlRegistry", function () {
+    const resourceId = ethers.encodeBytes32String("arn:aws:s3:::example-bucket");
+    const principalId = ethers.encodeBytes32String("user:alice@example.com");
+    const action = "s3:GetObject";
+    const always = { validFrom: 0, validUntil: 0, dailyStartMinute: 0, dailyEndMinute: 0, weekdays: 0 };
+
+    async function protectedResourceFixture() {
+      const fixture = await deployFixture();
+      await fixture.registry.connect(fixture.owner).createResourcePolicy(resourceId, 1, 0, true);
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      return { ...fixture, deadline: timestamp + 3600 };
+    }
+
+    it("Should hash permission changes as EIP-712 typed data", async function () {
+      const { registry, deadline } = await loadFixture(protectedResourceFixture);
+      const domain = {
+        name: "AccessControlRegistry",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await registry.getAddress()
+      };
+      const types = {
+        PermissionChange: [
+          { name: "resourceId", type: "bytes32" },
+          { name: "principalId", type: "bytes32" },
+          { name: "action", type: "string" },
+          { name: "grant", type: "bool" },
+          { name: "window", type: "TimeWindow" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ],
+        TimeWindow: [
+          { name: "validFrom", type: "uint32" },
+          { name: "validUntil", type: "uint32" },
+          { name: "dailyStartMinute", type: "uint16" },
+          { name: "dailyEndMinute", type: "uint16" },
+          { name: "weekdays", type: "uint8" }
+        ]
+      };
+      const window = { validFrom: 0, validUntil: deadline, dailyStartMinute: 540, dailyEndMinute: 1020, weekdays: 0x3e };
+      const change = { resourceId, principalId, action, grant: true, window, nonce: 0, deadline };
+
+      expect(await registry.permissionChangeHash(resourceId, principalId, action, true, window, 0, deadline))
+        .to.equal(ethers.TypedDataEncoder.hash(domain, types, change));
+    });
+
+    it("Should apply signed changes to resources that require FROST signatures", async function () {
+      const { frost, keyShares, registry, operator, deadline } = await loadFixture(protectedResourceFixture);
+
+      await expect(registry.connect(operator).grantPermission(resourceId, principalId, action))
+        .to.be.revertedWith("FROST signature required");
+
+      const grant = signHash(frost, keyShares, await registry.permissionChangeHash(resourceId, principalId, action, true, always, 0, deadline));
+      await registry.connect(operator).grantPermissionWithFrostSig(resourceId, principalId, action, always, 0, deadline, grant);
+      expect(await registry["hasPermission(bytes32,bytes32,string)"](resourceId, principalId, action)).to.be.true;
+      expect(await registry.frostNonces(resourceId)).to.equal(1);
+
+      // A signature is only good for one change
+      await expect(registry.connect(operator).grantPermissionWithFrostSig(resourceId, principalId, action, always, 0, deadline, grant))
+        .to.be.revertedWith("Invalid nonce");
+      await expect(registry.connect(operator).grantPermissionWithFrostSig(resourceId, principalId, action, always, 1, deadline, grant))
+        .to.be.revertedWith("FrostVerifier: invalid signature");
+
+      const revoke = signHash(frost, keyShares, await registry.permissionChangeHash(resourceId, principalId, action, false, always, 1, deadline));
+      await registry.connect(operator).revokePermissionWithFrostSig(resourceId, principalId, action, 1, deadline, revoke);
+      expect(await registry["hasPermission(bytes32,bytes32,string)"](resourceId, principalId, action)).to.be.false;
+    });
+
+    it("Should reject expired signatures and unprotected resources", async function () {
+      const { frost, keyShares, registry, owner, operator, deadline } = await loadFixture(protectedResourceFixture);
+
+      const grant = signHash(frost, keyShares, await registry.permissionChangeHash(resourceId, principalId, action, true, always, 0, deadline));
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+      await expect(registry.connect(operator).grantPermissionWithFrostSig(resourceId, principalId, action, always, 0, deadline, grant))
+        .to.be.revertedWith("Signature expired");
+
+      const openResourceId = ethers.encodeBytes32String("arn:aws:s3:::public-bucket");
+      await registry.connect(owner).createResourcePolicy(openResourceId, 1, 0, false);
+      const openGrant = signHash(frost, keyShares, await registry.permissionChangeHash(openResourceId, principalId, action, true, always, 0, deadline));
+      await expect(registry.connect(operator).grantPermissionWithFrostSig(openResourceId, principalId, action, always, 0, deadline, openGrant))
+        .to.be.revertedWith("FROST signature not required");
+    });
+
+    it("Should require signed deny rule removals on resources that require FROST signatures", async function () {
+      const { frost, keyShares, registry, owner, operator, deadline } = await loadFixture(protectedResourceFixture);
+
+      // Denying only narrows access and needs no signature
+      await registry.connect(operator).addDenyRule(resourceId, principalId, "s3:*");
+      await expect(registry.connect(owner).removeDenyRule(resourceId, principalId, "s3:*"))
+        .to.be.revertedWith("FROST signature required");
+
+      const removal = signHash(frost, keyShares, await registry.denyRuleRemovalHash(resourceId, principalId, "s3:*", 0, deadline));
+      await expect(registry.connect(owner).removeDenyRuleWithFrostSig(resourceId, principalId, "s3:Get*", 0, deadline, removal))
+        .to.be.revertedWith("FrostVerifier: invalid signature");
+      await registry.connect(owner).removeDenyRuleWithFrostSig(resourceId, principalId, "s3:*", 0, deadline, removal);
+      expect(await registry.getDeniedActions(resourceId, principalId)).to.deep.equal([]);
+      expect(await registry.frostNonces(resourceId)).to.equal(1);
+    });
+
+    it("Should require signed membership changes of groups holding rules on protected resources", async function () {
+      const { frost, keyShares, registry, owner, operator, deadline } = await loadFixture(protectedResourceFixture);
+      const admins = ethers.encodeBytes32String("group:admins");
+      const platform = ethers.encodeBytes32String("group:platform");
+      const contractors = ethers.encodeBytes32String("group:contractors");
+      const mallory = ethers.encodeBytes32String("user:mallory@example.com");
+      const hasPermission = registry["hasPermission(bytes32,bytes32,string)"];
+      for (const groupId of [admins, platform, contractors]) {
+        await registry.connect(owner).createGroup(groupId);
+      }
+
+      // group:platform is nested in group:admins, which holds a grant on the protected resource
+      await registry.connect(operator).addGroupMember(admins, platform);
+      const grant = signHash(frost, keyShares, await registry.permissionChangeHash(resourceId, admins, action, true, always, 0, deadline));
+      await registry.connect(operator).grantPermissionWithFrostSig(resourceId, admins, action, always, 0, deadline, grant);
+
+      await expect(registry.connect(operator).addGroupMember(platform, mallory))
+        .to.be.revertedWith("FROST signature required");
+      const add = signHash(frost, keyShares, await registry.groupMembershipChangeHash(platform, mallory, true, 0, deadline));
+      await expect(registry.connect(operator).removeGroupMemberWithFrostSig(platform, mallory, 0, deadline, add))
+        .to.be.revertedWith("FrostVerifier: invalid signature");
+      await registry.connect(operator).addGroupMemberWithFrostSig(platform, mallory, 0, deadline, add);
+      expect(await hasPermission(resourceId, mallory, action)).to.be.true;
+      expect(await registry.groupFrostNonces(platform)).to.equal(1);
+      await expect(registry.connect(operator).addGroupMemberWithFrostSig(platform, mallory, 0, deadline, add))
+        .to.be.revertedWith("Invalid nonce");
+
+      // Removing a member only narrows access unless the group holds deny rules
+      await registry.connect(operator).removeGroupMember(platform, mallory);
+
+      await registry.connect(operator).addGroupMember(contractors, mallory);
+      await registry.connect(operator).addDenyRule(resourceId, contractors, "s3:*");
+      await expect(registry.connect(operator).removeGroupMember(contractors, mallory))
+        .to.be.revertedWith("FROST signature required");
+      const remove = signHash(frost, keyShares, await registry.groupMembershipChangeHash(contractors, mallory, false, 0, deadline));
+      await registry.connect(operator).removeGroupMemberWithFrostSig(contractors, mallory, 0, deadline, remove);
+      expect(await registry.getGroupMembers(contractors)).to.deep.equal([]);
+
+      // Once the grant is revoked, group:platform's membership is no longer protected
+      const revoke = signHash(frost, keyShares, await registry.permissionChangeHash(resourceId, admins, action, false, always, 1, deadline));
+      await registry.connect(operator).revokePermissionWithFrostSig(resourceId, admins, action, 1, deadline, revoke);
+      await registry.connect(operator).addGroupMember(platform, mallory);
+    });
+
+    it("Should anchor condition sets with the group's signature", async function () {
+      const { frost, keyShares, registry, owner, deadline } = await loadFixture(protectedResourceFixture);
+      const conditionsHash = ethers.id('{"mfa":true}');
+      const domain = {
+        name: "AccessControlRegistry",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await registry.getAddress()
+      };
+      const types = {
+        PolicyConditionsChange: [
+          { name: "resourceId", type: "bytes32" },
+          { name: "conditionsHash", type: "bytes32" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      const digest = await registry.policyConditionsChangeHash(resourceId, conditionsHash, 0, deadline);
+      expect(digest).to.equal(ethers.TypedDataEncoder.hash(domain, types, { resourceId, conditionsHash, nonce: 0, deadline }));
+
+      await expect(registry.connect(owner).setPolicyConditionsWithFrostSig(resourceId, ethers.ZeroHash, 0, deadline, signHash(frost, keyShares, digest)))
+        .to.be.revertedWith("FrostVerifier: invalid signature");
+      await registry.connect(owner).setPolicyConditionsWithFrostSig(resourceId, conditionsHash, 0, deadline, signHash(frost, keyShares, digest));
+      expect((await registry.resourcePolicies(resourceId)).conditionsHash).to.equal(conditionsHash);
+      expect(await registry.frostNonces(resourceId)).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+// test/GcpIamConnector.test.js
+const { expect } = require("chai");
+const GcpIamConnector = require("../cloud/gcp/gcp-iam-connector");
+
+describe("GcpIamConnector", function () {
+  // Connector with stubbed project, bucket and IAM Credentials clients
+  function stubbedConnector(calls, policies) {
+    const gcp = new GcpIamConnector("example-project");
+    gcp.projectsClient = {
+      getIamPolicy: async (request) => {
+        calls.push(["projects.getIamPolicy", request]);
+        return [structuredClone(policies[request.resource])];
+      },
+      setIamPolicy: async (request) => {
+        calls.push(["projects.setIamPolicy", request]);
+        policies[request.resource] = request.policy;
+        return [request.policy];
+      }
+    };
+    gcp.storage = {
+      bucket: (name) => ({
+        iam: {
+          getPolicy: async (options) => {
+            calls.push(["bucket.getPolicy", name, options]);
+            return [structuredClone(policies[`buckets/${name}`])];
+          },
+          setPolicy: async (policy) => {
+            calls.push(["bucket.setPolicy", name, policy]);
+            policies[`buckets/${name}`] = policy;
+            return [policy];
+          }
+        }
+      })
+    };
+    gcp.iamCredentialsClient = {
+      generateAccessToken: async (request) => {
+        calls.push(["generateAccessToken", request]);
+        return [{ accessToken: "ya29.token", expireTime: { seconds: "1893456900", nanos: 500000000 } }];
+      }
+    };
+    return gcp;
+  }
+
+  it("Should add and remove members of project role bindings", async function () {
+    const calls = [];
+    const policies = {
+      "projects/example-project": {
+        version: 1,
+        etag: "BwX1",
+        bindings: [{ role: "roles/viewer", members: ["user:bob@example.com"] }]
+      }
+    };
+    const gcp = stubbedConnector(calls, policies);
+
+    await gcp.addBinding("projects/example-project", "roles/viewer", "user:alice@example.com");
+    await gcp.addBinding("//cloudresourcemanager.googleapis.com/projects/example-project", "roles/editor", "user:alice@example.com");
+
+    expect(calls[0]).to.deep.equal(["projects.getIamPolicy", { resource: "projects/example-project", options: { requestedPolicyVersion: 3 } }]);
+    expect(calls[1][1].policy.etag).to.equal("BwX1");
+    expect(await gcp.getBindings("projects/example-project")).to.deep.equal([
+      { role: "roles/viewer", members: ["user:bob@example.com", "user:alice@example.com"] },
+      { role: "roles/editor", members: ["user:alice@example.com"] }
+    ]);
+
+    await gcp.removeBinding("projects/example-project", "roles/editor", "user:alice@example.com");
+    expect(policies["projects/example-project"].bindings).to.deep.equal([
+      { role: "roles/viewer", members: ["user:bob@example.com", "user:alice@example.com"] }
+    ]);
+
+    // Nothing to change, so the policy is not written again
+    const writes = calls.filter(([name]) => name === "projects.setIamPolicy").length;
+    await gcp.removeBinding("projects/example-project", "roles/owner", "user:alice@example.com");
+    expect(calls.filter(([name]) => name === "projects.setIamPolicy")).to.have.length(writes);
+  });
+
+  it("Should keep conditional bucket bindings apart from unconditional ones", async function () {
+    const calls = [];
+    const policies = {
+      "buckets/example-bucket": {
+        version: 3,
+        bindings: [{ role: "roles/storage.objectViewer", members: ["user:bob@example.com"] }]
+      }
+    };
+    const gcp = stubbedConnector(calls, policies);
+    const condition = { title: "frost-expiry", expression: "request.time < timestamp(\"2030-01-01T00:15:00Z\")" };
+
+    await gcp.addBinding("gs://example-bucket", "roles/storage.objectViewer", "user:alice@example.com", condition);
+
+    expect(calls[0]).to.deep.equal(["bucket.getPolicy", "example-bucket", { requestedPolicyVersion: 3 }]);
+    expect(policies["buckets/example-bucket"].bindings).to.deep.equal([
+      { role: "roles/storage.objectViewer", members: ["user:bob@example.com"] },
+      { role: "roles/storage.objectViewer", members: ["user:alice@example.com"], condition }
+    ]);
+
+    await gcp.removeBinding("projects/_/buckets/example-bucket", "roles/storage.objectViewer", "user:alice@example.com", condition);
+    expect(policies["buckets/example-bucket"].bindings).to.have.length(1);
+  });
+
+  it("Should mint short-lived tokens by impersonating a service account", async function () {
+    const calls = [];
+    const gcp = stubbedConnector(calls, {});
+
+    const token = await gcp.generateAccessToken("frost-jit@example-project.iam.gserviceaccount.com", 900);
+
+    expect(token).to.deep.equal({ accessToken: "ya29.token", expiration: new Date("2030-01-01T00:15:00.500Z") });
+    expect(calls[0][1]).to.deep.equal({
+      name: "projects/-/serviceAccounts/frost-jit@example-project.iam.gserviceaccount.com",
+      scope: ["https://www.googleapis.com/auth/cloud-platform"],
+      lifetime: { seconds: 900 }
+    });
+  });
+
+  it("Should grant the requested role with a binding that ends when the grant expires", async function () {
+    const calls = [];
+    const policies = { "buckets/example-bucket": { version: 1, etag: "BwX2", bindings: [] } };
+    const gcp = stubbedConnector(calls, policies);
+    const request = {
+      grantId: "5f1c2a9e-8d4b-4f7a-9c3e-2b6d1e0f4a87",
+      resourceId: "gcp:gs://example-bucket",
+      principalId: "user:alice",
+      cloudPrincipalId: "user:alice@example.com",
+      action: "roles/storage.objectViewer",
+      durationSeconds: 900
+    };
+
+    const { credentials, grant } = await gcp.issueCredentials(request);
+
+    const expiresAt = grant.expiresAt.toISOString();
+    expect(new Date(expiresAt) - Date.now()).to.be.within(890000, 900000);
+    expect(credentials).to.deep.equal({
+      member: "user:alice@example.com",
+      role: "roles/storage.objectViewer",
+      resource: "gcp:gs://example-bucket",
+      expiresAt
+    });
+    const condition = { title: "frost-5f1c2a9e-8d4b-4f7a-9c3e-2b6d1e0f4a87", expression: `request.time < timestamp("${expiresAt}")` };
+    expect(grant.condition).to.deep.equal(condition);
+    expect(policies["buckets/example-bucket"]).to.deep.include({ version: 3, etag: "BwX2" });
+
+    // A second grant of the same role keeps its own binding
+    const second = await gcp.issueCredentials({ ...request, grantId: "second" });
+    expect(policies["buckets/example-bucket"].bindings.map(binding => binding.condition.title))
+      .to.deep.equal(["frost-5f1c2a9e-8d4b-4f7a-9c3e-2b6d1e0f4a87", "frost-second"]);
+
+    await gcp.revoke(grant);
+    expect(policies["buckets/example-bucket"].bindings).to.deep.equal([
+      { role: "roles/storage.objectViewer", members: ["user:alice@example.com"], condition: second.grant.condition }
+    ]);
+
+    let error;
+    await gcp.issueCredentials({ ...request, action: "storage.objects.get" }).catch(e => { error = e; });
+    expect(error.message).to.match(/^Unsupported GCP action/);
+    await gcp.issueCredentials({ ...request, cloudPrincipalId: undefined, principalId: "alice" }).catch(e => { error = e; });
+    expect(error.message).to.equal("Unsupported GCP member: alice");
+  });
+
+  it("Should reject resources other than projects and buckets", async function () {
+    const gcp = stubbedConnector([], {});
+    expect(() => gcp._parseResource("projects/example-project/zones/us-central1-a/instances/vm-1")).to.throw("Unsupported GCP resource");
+  });
+
+  it("Should validate access only with a fresh proof for the same principal", async function () {
+    const gcp = stubbedConnector([], {});
+    const proof = { resourceId: "projects/example-project", principalId: "user:alice@example.com", signature: "0xsig", timestamp: Date.now() };
+
+    expect(await gcp.validateAccess("projects/example-project", "user:alice@example.com", proof)).to.be.ok;
+    expect(await gcp.validateAccess("projects/example-project", "user:bob@example.com", proof)).to.not.be.ok;
+    expect(await gcp.validateAccess("projects/example-project", "user:alice@example.com", { ...proof, signature: undefined })).to.be.false;
+  });
+});
@@ -0,0 +1,145 @@
+// test/GrantsLedger.test.js
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const GrantsLedger = require("../cloud/grants-ledger");
+const GrantSweeper = require("../cloud/grant-sweeper");
+
+describe("Grants ledger", function () {
+  const scope = "/subscriptions/1234/resourceGroups/storage-rg";
+  let ledgerPath;
+  beforeEach(function () {
+    ledgerPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "grants-")), "ledger.jsonl");
+  });
+
+  const awsGrant = (principalId, expiresAt) => ({
+    provider: "aws",
+    resourceId: "arn:aws:s3:::example-bucket/logs/app.log",
+    resourcePath: "arn:aws:s3:::example-bucket",
+    principalId,
+    action: "s3:GetObject",
+    expiresAt,
+    roleArn: "arn:aws:iam::123456789012:role/frost-jit",
+    sessionName: `frost-${principalId}`,
+    proof: { txHash: "0x01", blockNumber: 42 }
+  });
+  const azureGrant = (principalId, expiresAt, roleAssignmentName) => ({
+    provider: "azure",
+    resourceId: scope,
+    resourcePath: scope,
+    principalId,
+    action: "Microsoft.Storage/storageAccounts/read",
+    expiresAt,
+    scope,
+    roleAssignmentName,
+    proof: { txHash: "0x02", blockNumber: 43 }
+  });
+
+  it("Should keep issued grants and their status across restarts", function () {
+    const ledger = new GrantsLedger(ledgerPath);
+    const first = ledger.record(awsGrant("user:alice", new Date("2030-01-01T00:15:00Z")));
+    const second = ledger.record(azureGrant("user:bob", new Date("2030-01-01T00:15:00Z"), "ra-1"));
+    ledger.record(awsGrant("user:alice", new Date("2030-01-01T01:15:00Z")));
+    ledger.setStatus(first.id, "revoked", "Permission revoked");
+
+    const reloaded = new GrantsLedger(ledgerPath);
+
+    expect(reloaded.get(first.id)).to.include({ status: "revoked", statusReason: "Permission revoked", expiresAt: "2030-01-01T00:15:00.000Z" });
+    expect(reloaded.get(second.id).proof).to.deep.equal({ txHash: "0x02", blockNumber: 43 });
+    expect(reloaded.get("missing")).to.be.null;
+    expect(reloaded.list({ principal: "user:alice" })).to.have.length(2);
+    expect(reloaded.list({ principal: "user:alice", status: "active" })[0].expiresAt).to.equal("2030-01-01T01:15:00.000Z");
+    // Compacted to one line per grant on load
+    expect(fs.readFileSync(ledgerPath, "utf8").trim().split("\n")).to.have.length(3);
+  });
+
+  it("Should ignore a partially written last line", function () {
+    const ledger = new GrantsLedger(ledgerPath);
+    const grant = ledger.record(awsGrant("user:alice", new Date("2030-01-01T00:15:00Z")));
+    fs.appendFileSync(ledgerPath, '{"type":"updated","id":');
+
+    expect(new GrantsLedger(ledgerPath).get(grant.id).status).to.equal("active");
+  });
+
+  it("Should leave the file alone when opened read-only", function () {
+    const ledger = new GrantsLedger(ledgerPath);
+    const grant = ledger.record(awsGrant("user:alice", new Date("2030-01-01T00:15:00Z")));
+    ledger.setStatus(grant.id, "revoked");
+    const contents = fs.readFileSync(ledgerPath, "utf8");
+
+    const readOnly = new GrantsLedger(ledgerPath, { readOnly: true });
+    expect(readOnly.get(grant.id).status).to.equal("revoked");
+    expect(() => readOnly.setStatus(grant.id, "expired")).to.throw("is opened read-only");
+    expect(fs.readFileSync(ledgerPath, "utf8")).to.equal(contents);
+  });
+
+  it("Should remove expired Azure role assignments, retry failed removals and prune AWS revocations", async function () {
+    const ledger = new GrantsLedger(ledgerPath);
+    const now = new Date("2030-01-01T00:30:00Z");
+    const expiredAws = ledger.record(awsGrant("user:alice", new Date("2030-01-01T00:15:00Z")));
+    const expiredAzure = ledger.record(azureGrant("user:bob", new Date("2030-01-01T00:15:00Z"), "ra-1"));
+    const failing = ledger.record(azureGrant("user:carol", new Date("2030-01-01T00:20:00Z"), "ra-2"));
+    const gone = ledger.record(azureGrant("user:dave", new Date("2030-01-01T00:20:00Z"), "ra-3"));
+    const current = ledger.record(azureGrant("user:erin", new Date("2030-01-01T01:00:00Z"), "ra-4"));
+
+    const deleted = [];
+    let failures = 1;
+    const azure = {
+      cleanupOnExpiry: true,
+      revoke: async ({ scope: assignmentScope, roleAssignmentName: name }) => {
+        if (name === "ra-2" && failures-- > 0) {
+          throw new Error("Service unavailable");
+        }
+        if (name === "ra-3") {
+          throw Object.assign(new Error("RoleAssignmentNotFound"), { statusCode: 404 });
+        }
+        deleted.push([assignmentScope, name]);
+      }
+    };
+    const pruned = [];
+    const aws = {
+      cleanupOnExpiry: false,
+      revoke: async () => { throw new Error("STS sessions expire on their own"); },
+      pruneRevocations: async (time) => { pruned.push(time); }
+    };
+    const sweeper = new GrantSweeper(ledger, { aws, azure });
+
+    const swept = await sweeper.sweep(now);
+
+    expect(swept.map(grant => grant.id)).to.have.members([expiredAws.id, expiredAzure.id, gone.id]);
+    expect(deleted).to.deep.equal([[scope, "ra-1"]]);
+    expect(ledger.get(failing.id).status).to.equal("active");
+    expect(ledger.get(current.id).status).to.equal("active");
+    expect(pruned).to.deep.equal([now]);
+
+    expect((await sweeper.sweep(now)).map(grant => grant.id)).to.deep.equal([failing.id]);
+    expect(deleted).to.deep.equal([[scope, "ra-1"], [scope, "ra-2"]]);
+  });
+
+  it("Should keep Azure role assignments that other grants or standing access still hold", async function () {
+    const ledger = new GrantsLedger(ledgerPath);
+    const shared = (principalId, expiresAt, name, extra = {}) =>
+      ledger.record({ ...azureGrant(principalId, expiresAt, name), roleAssignmentId: `${scope}/providers/Microsoft.Authorization/roleAssignments/${name}`, ...extra });
+    const first = shared("user:alice", new Date("2030-01-01T00:15:00Z"), "ra-1");
+    const second = shared("user:alice", new Date("2030-01-01T00:45:00Z"), "ra-1", { reused: true });
+    const standing = shared("user:bob", new Date("2030-01-01T00:15:00Z"), "ra-2", { reused: true, standing: true });
+
+    expect(ledger.sharing(first).map(grant => grant.id)).to.deep.equal([second.id]);
+    expect(ledger.accessStillHeld(first)).to.be.true;
+    expect(ledger.accessStillHeld(standing)).to.be.true;
+
+    const deleted = [];
+    const azure = { cleanupOnExpiry: true, revoke: async ({ roleAssignmentName: name }) => { deleted.push(name); } };
+    const sweeper = new GrantSweeper(ledger, { azure });
+
+    // The first grant ends while the second still holds the assignment
+    expect((await sweeper.sweep(new Date("2030-01-01T00:30:00Z"))).map(grant => grant.id))
+      .to.have.members([first.id, standing.id]);
+    expect(deleted).to.be.empty;
+
+    await sweeper.sweep(new Date("2030-01-01T01:00:00Z"));
+    expect(deleted).to.deep.equal(["ra-1"]);
+    expect(ledger.get(second.id).status).to.equal("expired");
+  });
+});
@@ -0,0 +1,180 @@
+// test/KubernetesRbacConnector.test.js
+const { expect } = require("chai");
+const http = require("http");
+const KubernetesRbacConnector = require("../cloud/kubernetes/kubernetes-rbac-connector");
+
+describe("KubernetesRbacConnector", function () {
+  // Fake API server keeping ServiceAccounts, Roles and RoleBindings in memory
+  let server;
+  let objects;
+  let requests;
+  let failTokenRequests;
+
+  before(async function () {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", chunk => { body += chunk; });
+      req.on("end", () => {
+        requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization });
+        const reply = (status, payload) => {
+          res.writeHead(status, { "Content-Type": "application/json" });
+          res.end(JSON.stringify(payload));
+        };
+
+        if (req.headers.authorization !== "Bearer gateway-token") {
+          return reply(401, { kind: "Status", message: "Unauthorized" });
+        }
+        if (req.url === "/version") {
+          return reply(200, { gitVersion: "v1.30.2" });
+        }
+
+        const token = req.url.match(/^\/api\/v1\/namespaces\/([^/]+)\/serviceaccounts\/([^/]+)\/token$/);
+        if (token && req.method === "POST") {
+          if (failTokenRequests) {
+            return reply(403, { kind: "Status", message: "token requests are forbidden" });
+          }
+          const { spec } = JSON.parse(body);
+          return reply(201, {
+            kind: "TokenRequest",
+            spec,
+            status: { token: `token-for-${token[2]}`, expirationTimestamp: "2030-01-01T00:15:00Z" }
+          });
+        }
+
+        const match = req.url.match(/^\/(?:api\/v1|apis\/rbac\.authorization\.k8s\.io\/v1)\/namespaces\/([^/]+)\/(serviceaccounts|roles|rolebindings)(?:\/([^/]+))?$/);
+        if (!match) {
+          return reply(404, { kind: "Status", message: `Unknown path ${req.url}` });
+        }
+        const [, namespace, collection, name] = match;
+        const key = (objectName) => `${namespace}/${collection}/${objectName}`;
+
+        if (req.method === "POST") {
+          const object = JSON.parse(body);
+          if (objects.has(key(object.metadata.name))) {
+            return reply(409, { kind: "Status", message: "already exists" });
+          }
+          objects.set(key(object.metadata.name), object);
+          return reply(201, object);
+        }
+        if (req.method === "DELETE") {
+          if (!objects.delete(key(name))) {
+            return reply(404, { kind: "Status", message: `${name} not found` });
+          }
+          return reply(200, { kind: "Status", status: "Success" });
+        }
+        const items = [...objects.entries()].filter(([objectKey]) => objectKey.startsWith(`${namespace}/${collection}/`)).map(([, object]) => object);
+        return reply(200, { items });
+      });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  beforeEach(function () {
+    objects = new Map();
+    requests = [];
+    failTokenRequests = false;
+  });
+
+  const connector = () => new KubernetesRbacConnector({
+    cluster: "prod",
+    server: `http://127.0.0.1:${server.address().port}`,
+    token: "gateway-token"
+  });
+
+  it("Should issue a token bound to a role for just the requested action", async function () {
+    const { credentials, grant } = await connector().issueCredentials({
+      resourceId: "k8s:prod/payments",
+      principalId: "user:alice@example.com",
+      action: "deployments.apps:get",
+      durationSeconds: 900
+    });
+
+    expect(grant).to.include({ provider: "kubernetes", cluster: "prod", namespace: "payments" });
+    expect(grant.name).to.match(/^frost-user-alice-example-com-[0-9a-f]{8}$/);
+    expect(credentials).to.include({
+      token: `token-for-${grant.name}`,
+      namespace: "payments",
+      serviceAccount: grant.name,
+      expiresAt: "2030-01-01T00:15:00.000Z"
+    });
+
+    expect(objects.get(`payments/roles/${grant.name}`).rules).to.deep.equal([
+      { apiGroups: ["apps"], resources: ["deployments"], verbs: ["get"] }
+    ]);
+    const binding = objects.get(`payments/rolebindings/${grant.name}`);
+    expect(binding.roleRef).to.deep.equal({ apiGroup: "rbac.authorization.k8s.io", kind: "Role", name: grant.name });
+    expect(binding.subjects).to.deep.equal([{ kind: "ServiceAccount", name: grant.name, namespace: "payments" }]);
+    expect(objects.get(`payments/serviceaccounts/${grant.name}`).metadata.labels).to.deep.equal({
+      "app.kubernetes.io/managed-by": "frost-iam"
+    });
+  });
+
+  it("Should remove the binding, role and service account on revocation", async function () {
+    const k8s = connector();
+    const { grant } = await k8s.issueCredentials({
+      resourceId: "k8s:prod/payments",
+      principalId: "user:alice@example.com",
+      action: "pods:delete",
+      durationSeconds: 900
+    });
+
+    await k8s.revoke(grant);
+    expect(objects.size).to.equal(0);
+    expect(requests.filter(request => request.method === "DELETE").map(request => request.url.split("/").slice(-2)[0]))
+      .to.deep.equal(["rolebindings", "roles", "serviceaccounts"]);
+
+    // Revoking again finds nothing to delete and still succeeds
+    await k8s.revoke(grant);
+  });
+
+  it("Should clean up when no token can be issued", async function () {
+    failTokenRequests = true;
+    let error;
+    await connector().issueCredentials({
+      resourceId: "k8s:prod/payments",
+      principalId: "user:alice@example.com",
+      action: "pods:get",
+      durationSeconds: 900
+    }).catch(e => { error = e; });
+
+    expect(error.statusCode).to.equal(403);
+    expect(objects.size).to.equal(0);
+  });
+
+  it("Should only accept namespaces of its own cluster and concrete actions", async function () {
+    const k8s = connector();
+    expect(() => k8s._parseResource("k8s:staging/payments")).to.throw("is not in cluster prod");
+    expect(() => k8s._parseResource("k8s:prod")).to.throw("Unsupported Kubernetes resource");
+    expect(() => k8s._ruleForAction("get pods")).to.throw("Unsupported Kubernetes action");
+    for (const action of ["*:*", "*:list", "pods:*", "secrets:g*"]) {
+      expect(() => k8s._ruleForAction(action)).to.throw("Unsupported Kubernetes action");
+    }
+    expect(k8s._ruleForAction("deployments.apps:list")).to.deep.equal({ apiGroups: ["apps"], resources: ["deployments"], verbs: ["list"] });
+    expect(k8s._ruleForAction("pods/log:get")).to.deep.equal({ apiGroups: [""], resources: ["pods/log"], verbs: ["get"] });
+  });
+
+  it("Should list role bindings and report health", async function () {
+    const k8s = connector();
+    const { grant } = await k8s.issueCredentials({
+      resourceId: "k8s:prod/payments",
+      principalId: "user:alice@example.com",
+      action: "pods:get",
+      durationSeconds: 900
+    });
+
+    expect(await k8s.listAssignments("k8s:prod/payments")).to.deep.equal([{
+      id: `payments/${grant.name}/ServiceAccount/${grant.name}`,
+      principalId: `system:serviceaccount:payments:${grant.name}`,
+      role: `Role/${grant.name}`,
+      scope: "k8s:prod/payments"
+    }]);
+    expect(await k8s.health()).to.deep.equal({ healthy: true, details: "Cluster prod (v1.30.2)" });
+
+    k8s.token = "wrong-token";
+    expect(await k8s.health()).to.deep.equal({ healthy: false, details: "Unauthorized" });
+  });
+});
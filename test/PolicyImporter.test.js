@@ -0,0 +1,221 @@
+// test/PolicyImporter.test.js
+const { expect } = require("chai");
+const PolicyImporter = require("../cloud/policy-importer");
+const { resourceKey, principalKey } = require("../cloud/resource-path");
+
+describe("Policy importer", function () {
+  const alice = "arn:aws:iam::123456789012:user/alice";
+
+  describe("AWS IAM policies", function () {
+    it("Should map Allow and Deny statements to grants and deny rules", function () {
+      const plan = new PolicyImporter().planAwsPolicy({
+        Version: "2012-10-17",
+        Statement: [
+          {
+            Sid: "ReadLogs",
+            Effect: "Allow",
+            Action: ["s3:GetObject", "s3:List*"],
+            Resource: ["arn:aws:s3:::example-bucket", "arn:aws:s3:::example-bucket/logs/*"]
+          },
+          { Effect: "Deny", Action: "s3:DeleteObject", Resource: "arn:aws:s3:::example-bucket/logs/*" }
+        ]
+      }, alice);
+
+      expect(plan.policies).to.deep.equal([
+        { resourcePath: "arn:aws:s3:::example-bucket", cloudProvider: 1 },
+        { resourcePath: "arn:aws:s3:::example-bucket/logs/*", cloudProvider: 1 }
+      ]);
+      expect(plan.grants).to.have.length(4);
+      expect(plan.grants[1]).to.deep.equal({
+        resourcePath: "arn:aws:s3:::example-bucket", principal: alice, action: "s3:List*", source: "Statement ReadLogs"
+      });
+      expect(plan.denies).to.deep.equal([{
+        resourcePath: "arn:aws:s3:::example-bucket/logs/*", principal: alice, action: "s3:DeleteObject", source: "Statement[1]"
+      }]);
+      expect(plan.unmapped).to.be.empty;
+    });
+
+    it("Should use the principals of resource policies", function () {
+      const plan = new PolicyImporter().planAwsPolicy(JSON.stringify({
+        Statement: {
+          Effect: "Allow",
+          Principal: { AWS: ["arn:aws:iam::123456789012:role/reader", "*"], Service: "lambda.amazonaws.com" },
+          Action: "s3:GetObject",
+          Resource: "arn:aws:s3:::example-bucket/*"
+        }
+      }));
+
+      expect(plan.grants.map(grant => grant.principal)).to.deep.equal(["arn:aws:iam::123456789012:role/reader"]);
+      expect(plan.unmapped.map(item => item.construct)).to.deep.equal(["Principal.AWS", "Principal.Service"]);
+    });
+
+    it("Should report statements it cannot map without changing their meaning", function () {
+      const plan = new PolicyImporter().planAwsPolicy({
+        Statement: [
+          { Effect: "Allow", NotAction: "iam:*", Resource: "*" },
+          { Effect: "Allow", Action: "s3:*", Resource: "arn:aws:s3:::example-bucket", Condition: { Bool: { "aws:MultiFactorAuthPresent": "true" } } },
+          { Effect: "Allow", Action: "s3:GetObject", Resource: ["*", "arn:aws:s3:::logs-*", "arn:aws:s3:::example-bucket/*.log"] }
+        ]
+      }, alice);
+
+      expect(plan.grants).to.be.empty;
+      expect(plan.unmapped.map(item => `${item.source} ${item.construct}`)).to.deep.equal([
+        "Statement[0] NotAction",
+        "Statement[1] Condition",
+        "Statement[2] Resource",
+        "Statement[2] Resource",
+        "Statement[2] Resource"
+      ]);
+    });
+  });
+
+  describe("Azure role assignments", function () {
+    const scope = "/subscriptions/1234/resourceGroups/storage-rg";
+    const readerId = "/subscriptions/1234/providers/Microsoft.Authorization/roleDefinitions/2a2b9908-6ea1-4ae2-8e65-a410df84e7d1";
+    const contributorId = "/subscriptions/1234/providers/Microsoft.Authorization/roleDefinitions/b24988ac-6180-42a0-ab88-20f7382dd24c";
+    const roleDefinitions = [
+      {
+        id: readerId,
+        roleName: "Storage Blob Data Reader",
+        permissions: [{
+          actions: ["Microsoft.Storage/storageAccounts/blobServices/containers/read"],
+          notActions: [],
+          dataActions: ["Microsoft.Storage/storageAccounts/blobServices/containers/blobs/read"],
+          notDataActions: []
+        }]
+      },
+      {
+        id: contributorId,
+        roleName: "Contributor",
+        permissions: [{ actions: ["*"], notActions: ["Microsoft.Authorization/*/Write"] }]
+      }
+    ];
+
+    it("Should grant a role's actions and data actions on the assignment scope", function () {
+      const principalId = "5d6a3c1e-2f4b-4a8e-9c7d-1b2e3f4a5b6c";
+      const plan = new PolicyImporter().planAzureRoleAssignments([
+        { name: "ra-1", scope, roleDefinitionId: readerId.toUpperCase(), principalId }
+      ], roleDefinitions);
+
+      expect(plan.policies).to.deep.equal([{ resourcePath: scope, cloudProvider: 2 }]);
+      expect(plan.grants.map(grant => grant.action)).to.deep.equal([
+        "Microsoft.Storage/storageAccounts/blobServices/containers/read",
+        "Microsoft.Storage/storageAccounts/blobServices/containers/blobs/read"
+      ]);
+      expect(plan.grants[0].principal).to.equal(principalId);
+    });
+
+    it("Should report roles with exclusions, conditions and unknown definitions", function () {
+      const plan = new PolicyImporter().planAzureRoleAssignments([
+        { name: "ra-1", scope, roleDefinitionId: contributorId, principalId: "p1" },
+        { name: "ra-2", scope, roleDefinitionId: readerId, principalId: "p2", condition: "@Resource[...] StringEquals 'logs'" },
+        { name: "ra-3", scope, roleDefinitionId: "/providers/Microsoft.Authorization/roleDefinitions/unknown", principalId: "p3" }
+      ], roleDefinitions);
+
+      expect(plan.grants).to.be.empty;
+      expect(plan.unmapped.map(item => `${item.source} ${item.construct}`)).to.deep.equal([
+        "Role assignment ra-1 notActions",
+        "Role assignment ra-2 condition",
+        "Role assignment ra-3 roleDefinitionId"
+      ]);
+    });
+  });
+
+  describe("apply", function () {
+    // In-memory stand-in for the registry contract
+    function fakeRegistry(existingPolicies = {}, existingDenies = {}, failingDenies = []) {
+      const calls = [];
+      const tx = (hash) => ({ hash, wait: async () => ({}) });
+      return {
+        calls,
+        resourcePolicies: async (resourceId) => existingPolicies[resourceId] || { created: 0n, requiresFrostSig: false },
+        getDeniedActions: async (resourceId, principalId) => existingDenies[`${resourceId}:${principalId}`] || [],
+        createResourcePolicy: async (...args) => { calls.push(["createResourcePolicy", ...args]); return tx("0x01"); },
+        grantPermission: async (...args) => { calls.push(["grantPermission", ...args]); return tx("0x02"); },
+        addDenyRule: async (...args) => {
+          if (failingDenies.includes(args[0])) {
+            throw new Error("Service unavailable");
+          }
+          calls.push(["addDenyRule", ...args]);
+          return tx("0x03");
+        }
+      };
+    }
+
+    it("Should send the planned transactions and report each outcome", async function () {
+      const protectedPath = "arn:aws:s3:::protected-bucket";
+      const logsPath = "arn:aws:s3:::logs-bucket";
+      const registry = fakeRegistry(
+        { [resourceKey(protectedPath)]: { created: 1n, requiresFrostSig: true } },
+        { [`${resourceKey(logsPath)}:${principalKey(alice)}`]: ["s3:DeleteObject"] }
+      );
+      const importer = new PolicyImporter(registry);
+      const plan = importer.planAwsPolicy({
+        Statement: [
+          { Effect: "Allow", Action: "s3:GetObject", Resource: ["arn:aws:s3:::example-bucket", protectedPath] },
+          { Effect: "Deny", Action: "s3:DeleteObject", Resource: "arn:aws:s3:::example-bucket" }
+        ]
+      }, alice);
+
+      const results = await importer.apply(plan);
+
+      expect(results.map(result => `${result.type} ${result.status}`)).to.deep.equal([
+        "policy applied",
+        "policy exists",
+        "deny applied",
+        "grant applied",
+        "grant skipped"
+      ]);
+      // Deny rules go in before the grants they restrict
+      expect(registry.calls).to.deep.equal([
+        ["createResourcePolicy", resourceKey("arn:aws:s3:::example-bucket"), 1, 0, false],
+        ["addDenyRule", resourceKey("arn:aws:s3:::example-bucket"), principalKey(alice), "s3:DeleteObject"],
+        ["grantPermission", resourceKey("arn:aws:s3:::example-bucket"), principalKey(alice), "s3:GetObject"]
+      ]);
+
+      // A deny rule already in the registry is not added again
+      const logsPlan = importer.planAwsPolicy({
+        Statement: [
+          { Effect: "Allow", Action: "s3:GetObject", Resource: logsPath },
+          { Effect: "Deny", Action: "s3:DeleteObject", Resource: logsPath }
+        ]
+      }, alice);
+      expect((await importer.apply(logsPlan)).map(result => `${result.type} ${result.status}`)).to.deep.equal([
+        "policy applied",
+        "deny exists",
+        "grant applied"
+      ]);
+    });
+
+    it("Should skip the grants of a resource whose deny rules could not be added", async function () {
+      const registry = fakeRegistry({}, {}, [resourceKey("arn:aws:s3:::example-bucket")]);
+      const importer = new PolicyImporter(registry);
+      const plan = importer.planAwsPolicy({
+        Statement: [
+          { Effect: "Allow", Action: "s3:*", Resource: ["arn:aws:s3:::example-bucket", "arn:aws:s3:::logs-bucket"] },
+          { Effect: "Deny", Action: "s3:DeleteObject", Resource: "arn:aws:s3:::example-bucket" }
+        ]
+      }, alice);
+
+      const results = await importer.apply(plan);
+
+      expect(results.filter(result => result.type !== "policy").map(result => `${result.type} ${result.status} ${result.resourcePath}`)).to.deep.equal([
+        "deny failed arn:aws:s3:::example-bucket",
+        "grant skipped arn:aws:s3:::example-bucket",
+        "grant applied arn:aws:s3:::logs-bucket"
+      ]);
+      expect(results.find(result => result.status === "skipped").reason).to.equal("A deny rule on the resource could not be added");
+    });
+
+    it("Should require a registry to apply a plan", async function () {
+      const importer = new PolicyImporter();
+      let error;
+      try {
+        await importer.apply(importer.createPlan());
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal("A registry contract is required to apply a plan");
+    });
+  });
+});
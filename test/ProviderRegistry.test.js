@@ -0,0 +1,62 @@
+// test/ProviderRegistry.test.js
+const { expect } = require("chai");
+const { CloudConnector } = require("../cloud/cloud-connector");
+const { ProviderRegistry, CLOUD_PROVIDERS } = require("../cloud/provider-registry");
+
+describe("Provider registry", function () {
+  class ExampleConnector extends CloudConnector {
+    constructor() {
+      super("example", "Example");
+    }
+
+    async issueCredentials({ action }) {
+      return { credentials: { action }, grant: { provider: this.provider, expiresAt: new Date() } };
+    }
+  }
+
+  it("Should look up connectors by the on-chain provider code and by name", function () {
+    const aws = new ExampleConnector();
+    aws.provider = "aws";
+    const gcp = new ExampleConnector();
+    gcp.provider = "gcp";
+    const providers = new ProviderRegistry()
+      .register(CLOUD_PROVIDERS.aws, aws)
+      .register(CLOUD_PROVIDERS.gcp, gcp);
+
+    // ethers returns uint8 struct fields as bigint
+    expect(providers.get(1n)).to.equal(aws);
+    expect(providers.get(CLOUD_PROVIDERS.gcp)).to.equal(gcp);
+    expect(providers.get(CLOUD_PROVIDERS.azure)).to.be.null;
+    expect(providers.byName("gcp")).to.equal(gcp);
+    expect(providers.entries().map(([code]) => code)).to.deep.equal([1, 3]);
+  });
+
+  it("Should reject incomplete and duplicate connectors", function () {
+    const providers = new ProviderRegistry().register(CLOUD_PROVIDERS.aws, new ExampleConnector());
+
+    expect(() => providers.register(4, { validateAccess: async () => true, health: async () => ({}) }))
+      .to.throw("Connector for provider 4 does not implement issueCredentials, revoke, listAssignments");
+    expect(() => providers.register(CLOUD_PROVIDERS.aws, new ExampleConnector())).to.throw("already registered");
+  });
+
+  it("Should share the blockchain proof check between connectors", async function () {
+    const connector = new ExampleConnector();
+    const proof = { resourceId: "arn:aws:s3:::example-bucket", principalId: "user:alice", signature: "0xsig", timestamp: Date.now() };
+
+    expect(await connector.validateAccess(proof.resourceId, "user:alice", proof)).to.be.ok;
+    expect(await connector.validateAccess(proof.resourceId, "user:bob", proof)).to.not.be.ok;
+    expect(await connector.validateAccess(proof.resourceId, "user:alice", { ...proof, timestamp: Date.now() - 600000 })).to.not.be.ok;
+    expect(await connector.validateAccess(proof.resourceId, "user:alice", null)).to.be.false;
+  });
+
+  it("Should fail loudly for interface methods a connector does not implement", async function () {
+    const connector = new ExampleConnector();
+
+    expect((await connector.issueCredentials({ action: "read" })).credentials).to.deep.equal({ action: "read" });
+    for (const call of [() => connector.revoke({}), () => connector.listAssignments(), () => connector.health()]) {
+      let error;
+      await call().catch(e => { error = e; });
+      expect(error.message).to.match(/^ExampleConnector does not implement /);
+    }
+  });
+});
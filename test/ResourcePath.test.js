@@ -0,0 +1,57 @@
+// test/ResourcePath.test.js
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { resourcePathCandidates, hasWildcard, resourceKey, principalKey } = require("../cloud/resource-path");
+
+describe("Resource paths", function () {
+  it("Should walk an ARN's resource path with prefix wildcards", function () {
+    expect(resourcePathCandidates("arn:aws:s3:::example-bucket/logs/2024/app.log")).to.deep.equal([
+      "arn:aws:s3:::example-bucket/logs/2024/app.log",
+      "arn:aws:s3:::example-bucket/logs/2024/*",
+      "arn:aws:s3:::example-bucket/logs/2024",
+      "arn:aws:s3:::example-bucket/logs/*",
+      "arn:aws:s3:::example-bucket/logs",
+      "arn:aws:s3:::example-bucket/*",
+      "arn:aws:s3:::example-bucket"
+    ]);
+    expect(resourcePathCandidates("arn:aws:iam::123456789012:role/")).to.deep.equal([
+      "arn:aws:iam::123456789012:role"
+    ]);
+    expect(() => resourcePathCandidates("arn:aws:s3")).to.throw("Invalid ARN");
+  });
+
+  it("Should walk Azure scopes up to the subscription", function () {
+    const storageAccount = "/subscriptions/1234/resourceGroups/storage-rg/providers/Microsoft.Storage/storageAccounts/acct";
+
+    expect(resourcePathCandidates(`${storageAccount}/blobServices/default`)).to.deep.equal([
+      `${storageAccount}/blobServices/default`,
+      storageAccount,
+      "/subscriptions/1234/resourceGroups/storage-rg",
+      "/subscriptions/1234"
+    ]);
+    expect(resourcePathCandidates("azure:/subscriptions/1234/resourceGroups/storage-rg")).to.deep.equal([
+      "azure:/subscriptions/1234/resourceGroups/storage-rg",
+      "azure:/subscriptions/1234"
+    ]);
+  });
+
+  it("Should tell concrete resources from wildcards", function () {
+    expect(hasWildcard("arn:aws:s3:::example-bucket/logs/app.log")).to.be.false;
+    expect(hasWildcard("arn:aws:s3:::example-bucket/lo*")).to.be.true;
+    expect(hasWildcard("arn:aws:s3:::example-bucket/logs/*")).to.be.true;
+    expect(hasWildcard("arn:aws:s3:::example-bucket/logs/*", true)).to.be.false;
+    expect(hasWildcard("arn:aws:s3:::example-bucket/l?gs/*", true)).to.be.true;
+  });
+
+  it("Should hash resource paths into registry keys", function () {
+    const path = "/subscriptions/1234/resourceGroups/storage-rg";
+    expect(resourceKey(path)).to.equal(ethers.keccak256(ethers.toUtf8Bytes(path)));
+  });
+
+  it("Should keep short principal IDs readable and hash long ones", function () {
+    expect(ethers.decodeBytes32String(principalKey("user:alice@example.com"))).to.equal("user:alice@example.com");
+
+    const arn = "arn:aws:iam::123456789012:user/alice";
+    expect(principalKey(arn)).to.equal(ethers.keccak256(ethers.toUtf8Bytes(arn)));
+  });
+});
@@ -0,0 +1,200 @@
+// test/RevocationListener.test.js
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const RevocationListener = require("../cloud/revocation-listener");
+const GrantsLedger = require("../cloud/grants-ledger");
+const { resourceKey, principalKey } = require("../cloud/resource-path");
+
+describe("Revocation listener", function () {
+  const bucket = resourceKey("arn:aws:s3:::example-bucket");
+  const storage = resourceKey("/subscriptions/1234/resourceGroups/storage-rg");
+  const alice = principalKey("user:alice@example.com");
+  const later = () => Date.now() + 3600 * 1000;
+
+  let checkpointPath;
+  beforeEach(function () {
+    checkpointPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "revocation-")), "checkpoint.json");
+  });
+
+  // Registry with a block height, events by name and block, and the current access decisions
+  function fakeRegistry(state) {
+    return {
+      runner: { provider: { getBlockNumber: async () => state.blockNumber } },
+      filters: new Proxy({}, { get: (_, name) => () => name }),
+      queryFilter: async (name, fromBlock, toBlock) => {
+        state.queries.push([name, fromBlock, toBlock]);
+        return state.events.filter(event => event.name === name && event.blockNumber >= fromBlock && event.blockNumber <= toBlock);
+      },
+      evaluateAccess: async (resourceId, principalId, action) => ({
+        allowed: state.allowed.has(`${resourceId}:${principalId}:${action}`)
+      })
+    };
+  }
+
+  function fakeConnectors(calls) {
+    return {
+      aws: { revoke: async (issuance) => { calls.push(["aws", issuance.roleArn, issuance.sessionName]); } },
+      azure: { revoke: async (issuance) => { calls.push(["azure", issuance.scope, issuance.roleAssignmentName]); } }
+    };
+  }
+
+  const awsIssuance = () => ({
+    provider: "aws",
+    resourceId: bucket,
+    principalId: alice,
+    action: "s3:GetObject",
+    expiresAt: later(),
+    policyExpiresAt: null,
+    roleArn: "arn:aws:iam::123456789012:role/frost-jit",
+    sessionName: "frost-user-alice@example.com"
+  });
+  const azureIssuance = () => ({
+    provider: "azure",
+    resourceId: storage,
+    principalId: alice,
+    action: "Microsoft.Storage/storageAccounts/read",
+    expiresAt: later(),
+    policyExpiresAt: null,
+    scope: "/subscriptions/1234/resourceGroups/storage-rg",
+    roleAssignmentName: "ra-1"
+  });
+
+  it("Should revoke issued access once the registry no longer allows it", async function () {
+    const calls = [];
+    const state = {
+      blockNumber: 10,
+      queries: [],
+      events: [{ name: "PermissionRevoked", blockNumber: 11, args: { resourceId: bucket } }],
+      allowed: new Set([`${storage}:${alice}:Microsoft.Storage/storageAccounts/read`])
+    };
+    const listener = new RevocationListener(fakeRegistry(state), fakeConnectors(calls), { checkpointPath });
+    listener.track(awsIssuance());
+    listener.track(azureIssuance());
+
+    // Nothing happened yet at block 10
+    expect(await listener.poll()).to.be.empty;
+
+    state.blockNumber = 11;
+    const revoked = await listener.poll();
+
+    expect(revoked.map(issuance => issuance.provider)).to.deep.equal(["aws"]);
+    expect(calls).to.deep.equal([["aws", "arn:aws:iam::123456789012:role/frost-jit", "frost-user-alice@example.com"]]);
+    expect(listener.issued).to.have.length(1);
+    expect(JSON.parse(fs.readFileSync(checkpointPath, "utf8")).lastProcessedBlock).to.equal(11);
+  });
+
+  it("Should resume from the checkpoint and recheck everything after group changes", async function () {
+    const calls = [];
+    const state = {
+      blockNumber: 20,
+      queries: [],
+      events: [{ name: "GroupMemberRemoved", blockNumber: 19, args: {} }],
+      allowed: new Set()
+    };
+    fs.writeFileSync(checkpointPath, JSON.stringify({ lastProcessedBlock: 17 }));
+    const listener = new RevocationListener(fakeRegistry(state), fakeConnectors(calls), { checkpointPath });
+    listener.track(azureIssuance());
+
+    await listener.poll();
+
+    expect(state.queries.every(([, fromBlock, toBlock]) => fromBlock === 18 && toBlock === 20)).to.be.true;
+    expect(calls).to.deep.equal([["azure", "/subscriptions/1234/resourceGroups/storage-rg", "ra-1"]]);
+  });
+
+  it("Should revoke access when its policy expires", async function () {
+    const calls = [];
+    const state = { blockNumber: 5, queries: [], events: [], allowed: new Set() };
+    const listener = new RevocationListener(fakeRegistry(state), fakeConnectors(calls), { checkpointPath });
+    listener.track({ ...awsIssuance(), policyExpiresAt: Date.now() - 1000 });
+    listener.track({ ...azureIssuance(), expiresAt: Date.now() - 1000 });
+
+    await listener.poll();
+
+    // Access that expired on its own is dropped without calling the cloud
+    expect(calls.map(call => call[0])).to.deep.equal(["aws"]);
+    expect(listener.issued).to.be.empty;
+  });
+
+  it("Should check access again once the window of its grant has closed", async function () {
+    const calls = [];
+    const state = { blockNumber: 3, queries: [], events: [], allowed: new Set([`${bucket}:${alice}:s3:GetObject`]) };
+    const listener = new RevocationListener(fakeRegistry(state), fakeConnectors(calls), { checkpointPath });
+    listener.track({ ...awsIssuance(), windowEndsAt: Date.now() - 1000 });
+
+    // Another grant still allows the access
+    expect(await listener.poll()).to.be.empty;
+
+    state.allowed.clear();
+    expect(await listener.poll()).to.have.length(1);
+    expect(calls.map(call => call[0])).to.deep.equal(["aws"]);
+  });
+
+  it("Should not keep the process alive while polling", async function () {
+    const state = { blockNumber: 1, queries: [], events: [], allowed: new Set() };
+    const listener = new RevocationListener(fakeRegistry(state), fakeConnectors([]), { checkpointPath, pollIntervalMs: 60000 });
+    listener.start();
+
+    expect(listener.timer.hasRef()).to.be.false;
+    await listener.stop();
+  });
+
+  it("Should retry revocations that failed", async function () {
+    let attempts = 0;
+    const state = {
+      blockNumber: 1,
+      queries: [],
+      events: [{ name: "DenyRuleAdded", blockNumber: 1, args: { resourceId: bucket } }],
+      allowed: new Set()
+    };
+    const connectors = {
+      aws: {
+        revoke: async () => {
+          attempts++;
+          if (attempts === 1) {
+            throw new Error("Throttling");
+          }
+        }
+      }
+    };
+    const listener = new RevocationListener(fakeRegistry(state), connectors, { checkpointPath, startBlock: 0 });
+    listener.track(awsIssuance());
+
+    expect(await listener.poll()).to.be.empty;
+    state.blockNumber = 2;
+    expect(await listener.poll()).to.have.length(1);
+    expect(attempts).to.equal(2);
+  });
+
+  it("Should leave an Azure role assignment in place while another grant holds it", async function () {
+    const calls = [];
+    const read = "Microsoft.Storage/storageAccounts/read";
+    const list = "Microsoft.Storage/storageAccounts/listKeys/action";
+    const state = {
+      blockNumber: 1,
+      queries: [],
+      events: [{ name: "PermissionRevoked", blockNumber: 1, args: { resourceId: storage } }],
+      allowed: new Set([`${storage}:${alice}:${list}`])
+    };
+    const ledger = new GrantsLedger(path.join(path.dirname(checkpointPath), "ledger.jsonl"));
+    const issue = (action) => {
+      const grant = ledger.record({ ...azureIssuance(), action, roleAssignmentId: "/subscriptions/1234/ra-1" });
+      return { ...azureIssuance(), action, grantId: grant.id };
+    };
+    const listener = new RevocationListener(fakeRegistry(state), fakeConnectors(calls), { checkpointPath, startBlock: 0, ledger });
+    const readIssuance = issue(read);
+    listener.track(readIssuance);
+    listener.track(issue(list));
+
+    expect(await listener.poll()).to.have.length(1);
+    expect(calls).to.be.empty;
+    expect(ledger.get(readIssuance.grantId).status).to.equal("revoked");
+
+    state.blockNumber = 2;
+    state.events.push({ name: "PermissionRevoked", blockNumber: 2, args: { resourceId: storage } });
+    state.allowed.clear();
+    expect(await listener.poll()).to.have.length(1);
+    expect(calls).to.deep.equal([["azure", "/subscriptions/1234/resourceGroups/storage-rg", "ra-1"]]);
+  });
+});
@@ -0,0 +1,39 @@
+// test/TimeWindow.test.js
+const { expect } = require("chai");
+const { isWindowActive, windowEnd } = require("../cloud/time-window");
+
+describe("Time windows", function () {
+  // Monday 1 January 2024, 00:00 UTC
+  const monday = Date.UTC(2024, 0, 1) / 1000;
+  const at = (day, hour, minute = 0) => monday + day * 86400 + hour * 3600 + minute * 60;
+  const window = (fields) => ({ validFrom: 0, validUntil: 0, dailyStartMinute: 0, dailyEndMinute: 0, weekdays: 0, ...fields });
+
+  it("Should follow the registry's window semantics", function () {
+    const businessHours = window({ dailyStartMinute: 9 * 60, dailyEndMinute: 17 * 60, weekdays: 0x3e });
+    expect(isWindowActive(businessHours, at(0, 9))).to.be.true;
+    expect(isWindowActive(businessHours, at(0, 17))).to.be.false;
+    expect(isWindowActive(businessHours, at(5, 12))).to.be.false;
+
+    const overnight = window({ dailyStartMinute: 22 * 60, dailyEndMinute: 2 * 60 });
+    expect(isWindowActive(overnight, at(0, 23))).to.be.true;
+    expect(isWindowActive(overnight, at(1, 1, 59))).to.be.true;
+    expect(isWindowActive(overnight, at(1, 2))).to.be.false;
+
+    expect(isWindowActive(window({ validFrom: at(0, 1), validUntil: at(0, 2) }), at(0, 2))).to.be.false;
+    expect(isWindowActive(window({}), 0)).to.be.true;
+  });
+
+  it("Should find when a window closes within a period", function () {
+    const businessHours = window({ dailyStartMinute: 9 * 60, dailyEndMinute: 17 * 60 });
+    expect(windowEnd(businessHours, at(0, 16, 50) + 30, at(0, 17, 5))).to.equal(at(0, 17));
+    expect(windowEnd(businessHours, at(0, 10), at(0, 10, 15))).to.be.null;
+
+    expect(windowEnd(window({ validUntil: at(0, 10, 5) + 30 }), at(0, 10), at(0, 10, 15))).to.equal(at(0, 10, 5) + 30);
+    // The daily window closes before validUntil
+    expect(windowEnd(window({ validUntil: at(0, 17, 10), dailyStartMinute: 9 * 60, dailyEndMinute: 17 * 60 }), at(0, 16, 55), at(0, 17, 20)))
+      .to.equal(at(0, 17));
+
+    // All day on Monday only: the window closes at midnight
+    expect(windowEnd(window({ weekdays: 0x02 }), at(0, 23, 50), at(1, 0, 5))).to.equal(at(1, 0));
+  });
+});